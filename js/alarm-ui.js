@@ -0,0 +1,132 @@
+// Alarm settings dialog
+import { APP_CONFIG } from './config.js';
+import { getStations } from './stations.js';
+import { alarmScheduler, getNextAlarmTime } from './alarm.js';
+import { openModal, escapeHtml } from './ui.js';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const REPEAT_OPTIONS = {
+    once: 'Once',
+    daily: 'Every day',
+    weekdays: 'Weekdays',
+    weekends: 'Weekends',
+    custom: 'Specific days'
+};
+const FIELD_CLASSES = 'w-full bg-white/50 dark:bg-slate-800/60 text-slate-900 dark:text-white border border-slate-300/50 dark:border-slate-600/80 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * Open the alarm settings dialog
+ * @returns {Object} - The modal handle
+ */
+export function openAlarmSettings() {
+    const alarm = alarmScheduler.getAlarm();
+    const stations = getStations();
+    const currentStation = alarm.stationName || (stations[0] && stations[0].name) || '';
+
+    const modal = openModal('Wake-up Alarm', `
+        <form id="alarm-form" class="space-y-4" novalidate>
+            <label class="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-200">
+                <input type="checkbox" id="alarm-enabled" ${alarm.enabled ? 'checked' : ''}>
+                Alarm on
+            </label>
+            <div>
+                <label for="alarm-time" class="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">Time</label>
+                <input type="time" id="alarm-time" value="${escapeHtml(alarm.time)}" required class="${FIELD_CLASSES}">
+            </div>
+            <div>
+                <label for="alarm-station" class="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">Station</label>
+                <select id="alarm-station" class="${FIELD_CLASSES}">
+                    ${stations.map(station => `<option value="${escapeHtml(station.name)}" ${station.name === currentStation ? 'selected' : ''}>${escapeHtml(station.name)}</option>`).join('')}
+                </select>
+            </div>
+            <div>
+                <label for="alarm-repeat" class="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">Repeat</label>
+                <select id="alarm-repeat" class="${FIELD_CLASSES}">
+                    ${Object.entries(REPEAT_OPTIONS).map(([value, label]) => `<option value="${value}" ${value === alarm.repeat ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>
+            <fieldset id="alarm-days" class="${alarm.repeat === 'custom' ? '' : 'hidden'}">
+                <legend class="text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">Days</legend>
+                <div class="flex flex-wrap gap-3">
+                    ${DAY_NAMES.map((day, index) => `
+                        <label class="flex items-center gap-1 text-sm text-slate-700 dark:text-slate-200">
+                            <input type="checkbox" name="alarm-day" value="${index}" ${alarm.days.includes(index) ? 'checked' : ''}>
+                            ${day}
+                        </label>
+                    `).join('')}
+                </div>
+            </fieldset>
+            <div>
+                <label for="alarm-ramp" class="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">Volume ramp-up</label>
+                <select id="alarm-ramp" class="${FIELD_CLASSES}">
+                    ${APP_CONFIG.ALARM.RAMP_OPTIONS.map(seconds => `<option value="${seconds}" ${seconds === alarm.rampSeconds ? 'selected' : ''}>${formatRamp(seconds)}</option>`).join('')}
+                </select>
+            </div>
+            <p id="alarm-status" class="text-sm text-slate-600 dark:text-slate-300" role="status" aria-live="polite"></p>
+            <p class="text-xs text-slate-500 dark:text-slate-400">Keep this tab open. If your browser blocks automatic playback, a button appears to start the station.</p>
+            <div class="flex justify-end gap-2 pt-2">
+                <button type="button" id="alarm-cancel" class="bg-slate-600 hover:bg-slate-500 text-white px-3 py-2 rounded-lg text-sm transition-colors">Cancel</button>
+                <button type="submit" class="bg-indigo-600 hover:bg-indigo-500 text-white px-3 py-2 rounded-lg text-sm transition-colors">Save</button>
+            </div>
+        </form>
+    `, { id: 'alarm-dialog' });
+
+    const form = modal.body.querySelector('#alarm-form');
+    const repeatSelect = form.querySelector('#alarm-repeat');
+    const daysFieldset = form.querySelector('#alarm-days');
+    const statusEl = form.querySelector('#alarm-status');
+
+    const readForm = () => ({
+        enabled: form.querySelector('#alarm-enabled').checked,
+        time: form.querySelector('#alarm-time').value,
+        stationName: form.querySelector('#alarm-station').value,
+        repeat: repeatSelect.value,
+        days: [...form.querySelectorAll('input[name="alarm-day"]:checked')].map(input => parseInt(input.value, 10)),
+        rampSeconds: parseInt(form.querySelector('#alarm-ramp').value, 10)
+    });
+
+    const updateStatus = () => {
+        const settings = readForm();
+        if (!settings.time) {
+            statusEl.textContent = 'Choose a time.';
+            return;
+        }
+        const next = getNextAlarmTime(settings);
+        statusEl.textContent = !next
+            ? 'Choose at least one day.'
+            : `${settings.enabled ? 'Next alarm' : 'Would go off'}: ${formatNextAlarm(next)}`;
+    };
+
+    repeatSelect.addEventListener('change', () => {
+        daysFieldset.classList.toggle('hidden', repeatSelect.value !== 'custom');
+    });
+    form.addEventListener('change', updateStatus);
+    form.querySelector('#alarm-cancel').addEventListener('click', modal.close);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const settings = readForm();
+        if (!settings.time || !getNextAlarmTime(settings)) {
+            updateStatus();
+            return;
+        }
+        alarmScheduler.setAlarm(settings);
+        modal.close();
+    });
+
+    updateStatus();
+    return modal;
+}
+
+/**
+ * Format an alarm time with the weekday, e.g. "Mon 07:00"
+ * @param {Date} date - Alarm time
+ * @returns {string} - Formatted time
+ */
+export function formatNextAlarm(date) {
+    return date.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function formatRamp(seconds) {
+    return seconds < 60 ? `${seconds} seconds` : `${seconds / 60} minute${seconds === 60 ? '' : 's'}`;
+}
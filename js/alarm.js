@@ -0,0 +1,223 @@
+// Wake-up alarm - starts a chosen station at a time of day and ramps the volume up
+import { APP_CONFIG } from './config.js';
+import { loadAlarm, saveAlarm } from './storage.js';
+import { findStationByName } from './stations.js';
+import { playbackState, PLAYBACK_STATES, PLAYBACK_EVENTS } from './playback-state.js';
+import { volumeController } from './volume-control.js';
+import { updateScreenReaderStatus } from './ui.js';
+import { EventEmitter } from './event-emitter.js';
+
+const ALARM_CONFIG = APP_CONFIG.ALARM;
+const MINUTE_MS = 60 * 1000;
+
+// Days are Date.getDay() values: 0 = Sunday
+export const REPEAT_DAYS = {
+    once: [0, 1, 2, 3, 4, 5, 6],
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+const DEFAULT_ALARM = {
+    enabled: false,
+    time: '07:00',
+    stationName: '',
+    repeat: 'once', // once, daily, weekdays, weekends or custom
+    days: [1, 2, 3, 4, 5], // used when repeat is 'custom'
+    rampSeconds: ALARM_CONFIG.DEFAULT_RAMP_SECONDS
+};
+
+/**
+ * Get the next time an alarm goes off
+ * @param {Object} alarm - Alarm settings
+ * @param {Date} from - Time to search from
+ * @returns {Date|null} - Next trigger time, or null when no day is selected
+ */
+export function getNextAlarmTime(alarm, from = new Date()) {
+    const [hours, minutes] = alarm.time.split(':').map(Number);
+    const days = alarm.repeat === 'custom' ? alarm.days : REPEAT_DAYS[alarm.repeat];
+    if (!days || !days.length) return null;
+
+    // Today plus the next seven days covers every repeat rule
+    for (let offset = 0; offset <= 7; offset++) {
+        const candidate = new Date(from);
+        candidate.setDate(from.getDate() + offset);
+        candidate.setHours(hours, minutes, 0, 0);
+
+        if (candidate > from && days.includes(candidate.getDay())) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+class AlarmScheduler extends EventEmitter {
+    constructor() {
+        super('alarm');
+        this.alarm = { ...DEFAULT_ALARM, ...(loadAlarm() || {}) };
+        this.onTrigger = null;
+        this.nextTime = null;
+        this.checkInterval = null;
+        this.rampInterval = null;
+        this.rampPending = false;
+        this.rampTargetVolume = null;
+    }
+
+    /**
+     * Start watching the clock for the stored alarm
+     * @param {Function} onTrigger - Called with the station to start when the alarm goes off
+     */
+    initialize(onTrigger) {
+        this.onTrigger = onTrigger;
+
+        playbackState.on(PLAYBACK_EVENTS.STATE_CHANGE, ({ state, station }) => {
+            if (state === PLAYBACK_STATES.PLAYING) {
+                this.handlePlaying(station);
+            } else if (!playbackState.isActive()) {
+                // Paused, stopped or failed - the listener is back in charge of the volume
+                this.stopRamp(true);
+            }
+        });
+
+        this.schedule();
+    }
+
+    getAlarm() {
+        return { ...this.alarm };
+    }
+
+    /**
+     * Replace the alarm settings and reschedule
+     * @param {Object} updates - Alarm fields to change
+     */
+    setAlarm(updates) {
+        this.alarm = { ...this.alarm, ...updates };
+        saveAlarm(this.alarm);
+        this.schedule();
+
+        if (this.alarm.enabled && this.nextTime) {
+            updateScreenReaderStatus(`Alarm set for ${this.nextTime.toLocaleString([], { weekday: 'long', hour: '2-digit', minute: '2-digit' })}`, 'polite');
+        } else {
+            updateScreenReaderStatus('Alarm off', 'polite');
+        }
+    }
+
+    /**
+     * Keep the alarm pointing at a station after the station is renamed
+     * @param {string} oldName - Previous station name
+     * @param {string} newName - New station name
+     */
+    renameStation(oldName, newName) {
+        if (this.alarm.stationName === oldName) {
+            this.alarm.stationName = newName;
+            saveAlarm(this.alarm);
+            this.notify();
+        }
+    }
+
+    schedule() {
+        clearInterval(this.checkInterval);
+        this.checkInterval = null;
+        this.nextTime = this.alarm.enabled && this.alarm.stationName ? getNextAlarmTime(this.alarm) : null;
+
+        if (this.nextTime) {
+            console.log(`⏰ Alarm scheduled for ${this.nextTime.toLocaleString()} (${this.alarm.stationName})`);
+            this.checkInterval = setInterval(() => this.check(), ALARM_CONFIG.CHECK_INTERVAL);
+        }
+        this.notify();
+    }
+
+    check() {
+        if (!this.nextTime || Date.now() < this.nextTime.getTime()) return;
+
+        const lateBy = Date.now() - this.nextTime.getTime();
+        if (lateBy > ALARM_CONFIG.MISSED_GRACE_MINUTES * MINUTE_MS) {
+            console.warn(`⏰ Alarm for ${this.nextTime.toLocaleString()} missed by ${Math.round(lateBy / MINUTE_MS)} minutes (device asleep?) - skipping`);
+        } else {
+            this.trigger();
+        }
+
+        if (this.alarm.repeat === 'once') {
+            this.alarm.enabled = false;
+            saveAlarm(this.alarm);
+        }
+        this.schedule();
+    }
+
+    trigger() {
+        const station = findStationByName(this.alarm.stationName);
+        if (!station) {
+            console.warn(`⏰ Alarm station "${this.alarm.stationName}" no longer exists`);
+            updateScreenReaderStatus(`Alarm: station ${this.alarm.stationName} was not found`, 'assertive');
+            return;
+        }
+
+        console.log(`⏰ Alarm: starting ${station.name}`);
+        updateScreenReaderStatus(`Alarm: starting ${station.name}`, 'assertive');
+
+        // The ramp starts once audio actually plays - which may wait for a tap if autoplay is blocked
+        this.stopRamp(true);
+        this.rampPending = true;
+        this.onTrigger(station);
+    }
+
+    handlePlaying(station) {
+        if (!this.rampPending) return;
+        this.rampPending = false;
+
+        // The listener picked another station before the alarm station started
+        if (!station || station.name !== this.alarm.stationName) return;
+
+        this.startRamp();
+    }
+
+    startRamp() {
+        const duration = Math.max(this.alarm.rampSeconds, 0) * 1000;
+        const startVolume = ALARM_CONFIG.RAMP_START_VOLUME;
+        const rampStart = Date.now();
+
+        this.rampTargetVolume = volumeController.getVolume();
+        if (!duration || this.rampTargetVolume <= startVolume) {
+            this.rampTargetVolume = null;
+            return;
+        }
+
+        console.log(`⏰ Ramping volume up to ${Math.round(this.rampTargetVolume * 100)}% over ${this.alarm.rampSeconds}s`);
+        // Ramp steps are not saved, so the stored volume stays what the listener chose
+        volumeController.setVolume(startVolume, false);
+
+        this.rampInterval = setInterval(() => {
+            const progress = Math.min(1, (Date.now() - rampStart) / duration);
+            volumeController.setVolume(startVolume + (this.rampTargetVolume - startVolume) * progress, false);
+
+            if (progress >= 1) {
+                this.stopRamp(false);
+            }
+        }, ALARM_CONFIG.RAMP_STEP_INTERVAL);
+    }
+
+    stopRamp(restoreVolume) {
+        clearInterval(this.rampInterval);
+        this.rampInterval = null;
+
+        if (restoreVolume && this.rampTargetVolume !== null) {
+            volumeController.setVolume(this.rampTargetVolume, false);
+        }
+        this.rampTargetVolume = null;
+    }
+
+    getNextTime() {
+        return this.nextTime;
+    }
+
+    notify() {
+        this.emit('change', this.getAlarm(), this.nextTime);
+    }
+}
+
+// Create global instance
+export const alarmScheduler = new AlarmScheduler();
+
+export function initializeAlarm(onTrigger) {
+    alarmScheduler.initialize(onTrigger);
+}
@@ -1,5 +1,6 @@
 // Codec Manager - Dynamic loading of format-specific codec modules
-import { APP_CONFIG } from './config.js';
+import { APP_CONFIG, STATION_CONFIG } from './config.js';
+import { sniffStreamFormat, describeSniffResult } from './stream-sniffer.js';
 
 // Available codec modules
 const CODEC_MODULES = {
@@ -8,7 +9,8 @@ const CODEC_MODULES = {
     'opus': 'js/player/icecast-metadata-player-1.17.12.opus.min.js',
     'vorbis': 'js/player/icecast-metadata-player-1.17.12.vorbis.min.js', // OGG
     'mediasource': 'js/player/icecast-metadata-player-1.17.12.mediasource.min.js',
-    'synaudio': 'js/player/icecast-metadata-player-1.17.12.synaudio.min.js'
+    'synaudio': 'js/player/icecast-metadata-player-1.17.12.synaudio.min.js',
+    'common': 'js/player/icecast-metadata-player-1.17.12.common.min.js' // WASM decoder runtime shared by flac/opus/vorbis
 };
 
 // Format detection patterns
@@ -20,6 +22,15 @@ const FORMAT_PATTERNS = {
     'aac': ['.aac', '/aac', 'aac', '.m4a', '/m4a']
 };
 
+// Default quality labels for streams without an explicit quality description
+const FORMAT_QUALITY_LABELS = {
+    'flac': 'FLAC (Lossless)',
+    'mpeg': 'MP3',
+    'opus': 'Opus',
+    'vorbis': 'OGG Vorbis',
+    'aac': 'AAC'
+};
+
 // Loaded modules cache
 const loadedModules = new Set();
 const loadingPromises = new Map();
@@ -53,14 +64,54 @@ const MIME_TYPE_FORMATS = {
     'audio/x-opus': 'opus',
     
     // WebM (often contains Opus)
-    'audio/webm': 'opus',
-    
-    // Generic/fallback
-    'audio/x-scpls': 'mpeg', // Playlist, assume MP3
-    'application/pls+xml': 'mpeg', // Playlist
-    'audio/x-mpegurl': 'mpeg', // M3U playlist
-    'application/vnd.apple.mpegurl': 'mpeg', // HLS playlist
-    'application/x-mpegURL': 'mpeg'
+    'audio/webm': 'opus'
+};
+
+// Playlist MIME types - these point at a list of streams, not at audio
+const PLAYLIST_MIME_TYPES = {
+    'audio/x-scpls': 'pls',
+    'application/pls+xml': 'pls',
+    'audio/scpls': 'pls',
+    'audio/x-mpegurl': 'm3u',
+    'audio/mpegurl': 'm3u',
+    'application/vnd.apple.mpegurl': 'm3u',
+    'application/x-mpegurl': 'm3u',
+    'application/xspf+xml': 'xspf'
+};
+
+// Container named by a stream's Content-Type, for picking the SourceBuffer type
+const CONTAINER_MIME_TYPES = {
+    'audio/ogg': 'ogg',
+    'audio/x-ogg': 'ogg',
+    'application/ogg': 'ogg',
+    'audio/vorbis': 'ogg',
+    'audio/opus': 'ogg',
+    'audio/x-opus': 'ogg',
+    'audio/webm': 'webm',
+    'audio/mp4': 'mp4',
+    'audio/x-m4a': 'mp4',
+    'audio/flac': 'flac',
+    'audio/x-flac': 'flac'
+};
+
+// SourceBuffer types by container and codec
+const MEDIA_SOURCE_TYPES = {
+    'ogg': {
+        'opus': 'audio/ogg; codecs="opus"',
+        'vorbis': 'audio/ogg; codecs="vorbis"',
+        'flac': 'audio/ogg; codecs="flac"'
+    },
+    'webm': {
+        'opus': 'audio/webm; codecs="opus"',
+        'vorbis': 'audio/webm; codecs="vorbis"'
+    },
+    'mp4': {
+        'flac': 'audio/mp4; codecs="flac"',
+        'opus': 'audio/mp4; codecs="opus"'
+    },
+    'flac': {
+        'flac': 'audio/flac'
+    }
 };
 
 // Cache for MIME type results (to avoid repeated requests)
@@ -70,9 +121,10 @@ const mimeTypeCache = new Map();
  * Detect stream format by performing a HEAD request to check MIME type
  * @param {string} url - The stream URL
  * @param {number} timeoutMs - Request timeout in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the request; the promise then rejects with an AbortError
  * @returns {Promise<Object>} - Detection result with format, mimeType, and metadata
  */
-export async function detectStreamMimeType(url, timeoutMs = 5000) {
+export async function detectStreamMimeType(url, timeoutMs = 5000, signal = null) {
     // Check cache first
     if (mimeTypeCache.has(url)) {
         console.log(`🔍 Using cached MIME type for: ${url}`);
@@ -88,14 +140,19 @@ export async function detectStreamMimeType(url, timeoutMs = 5000) {
         detected: false,
         error: null,
         headers: {},
-        redirectUrl: null
+        redirectUrl: null,
+        playlistFormat: null
     };
     
+    // Create abort controller for timeout, also aborted when the caller cancels
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const abortRequest = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', abortRequest, { once: true });
+    }
+    
     try {
-        // Create abort controller for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-        
         // Perform HEAD request
         const response = await fetch(url, {
             method: 'HEAD',
@@ -104,8 +161,6 @@ export async function detectStreamMimeType(url, timeoutMs = 5000) {
             redirect: 'follow' // Follow redirects to get final URL
         });
         
-        clearTimeout(timeoutId);
-        
         // Get headers
         const contentType = response.headers.get('content-type');
         const server = response.headers.get('server');
@@ -129,7 +184,11 @@ export async function detectStreamMimeType(url, timeoutMs = 5000) {
             result.mimeType = cleanMimeType;
             
             // Map MIME type to format
-            if (MIME_TYPE_FORMATS[cleanMimeType]) {
+            if (PLAYLIST_MIME_TYPES[cleanMimeType]) {
+                // Playlists must be resolved to a stream URL before the codec can be known
+                result.playlistFormat = PLAYLIST_MIME_TYPES[cleanMimeType];
+                console.log(`📃 Playlist MIME type detected: ${cleanMimeType} → ${result.playlistFormat}`);
+            } else if (MIME_TYPE_FORMATS[cleanMimeType]) {
                 result.format = MIME_TYPE_FORMATS[cleanMimeType];
                 result.detected = true;
                 console.log(`✅ MIME type detected: ${cleanMimeType} → ${result.format}`);
@@ -156,13 +215,21 @@ export async function detectStreamMimeType(url, timeoutMs = 5000) {
         }
         
     } catch (error) {
-        if (error.name === 'AbortError') {
+        if (signal && signal.aborted) {
+            // Cancelled, not failed - nothing worth caching
+            throw error;
+        } else if (error.name === 'AbortError') {
             result.error = 'Request timeout';
             console.warn(`⏱️ MIME type detection timeout for: ${url}`);
         } else {
             result.error = error.message;
             console.warn(`❌ MIME type detection failed for: ${url}`, error);
         }
+    } finally {
+        clearTimeout(timeoutId);
+        if (signal) {
+            signal.removeEventListener('abort', abortRequest);
+        }
     }
     
     // Cache the result (even failures, to avoid repeated requests)
@@ -171,6 +238,34 @@ export async function detectStreamMimeType(url, timeoutMs = 5000) {
     return result;
 }
 
+/**
+ * Get the SourceBuffer type for a FLAC, Opus or Vorbis stream
+ * Icecast serves these codecs in Ogg, so Ogg is assumed when the Content-Type names no container.
+ * @param {string} codec - Codec from getBestCodec
+ * @param {string} [contentType] - The stream's Content-Type, if known
+ * @returns {string|null} - MIME type with a codecs parameter that MediaSource accepts, or null
+ */
+export function getMediaSourceMimeType(codec, contentType = '') {
+    const cleanMimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    const container = CONTAINER_MIME_TYPES[cleanMimeType] || 'ogg';
+    const mimeType = (MEDIA_SOURCE_TYPES[container] || {})[codec];
+    
+    if (!mimeType || !window.MediaSource || !MediaSource.isTypeSupported(mimeType)) {
+        return null;
+    }
+    return mimeType;
+}
+
+/**
+ * Check whether a MIME type describes a playlist rather than an audio stream
+ * @param {string} mimeType - The MIME type (parameters are ignored)
+ * @returns {string|null} - Playlist format ('pls', 'm3u', 'xspf') or null
+ */
+export function getPlaylistFormatForMimeType(mimeType) {
+    if (!mimeType) return null;
+    return PLAYLIST_MIME_TYPES[mimeType.split(';')[0].trim().toLowerCase()] || null;
+}
+
 /**
  * Guess format from MIME type string when not in our mapping
  * @param {string} mimeType - The MIME type
@@ -189,16 +284,20 @@ function guessFormatFromMimeType(mimeType) {
 }
 
 /**
- * Enhanced format detection using both MIME type and URL patterns
+ * Enhanced format detection using the stream's content, its MIME type and URL patterns
  * @param {string} url - The stream URL
  * @param {string} quality - The quality description (optional)
+ * @param {AbortSignal} [signal] - Cancels the MIME type and sniffing requests
  * @returns {Promise<Object>} - Enhanced detection result
  */
-export async function detectStreamFormatEnhanced(url, quality = '') {
+export async function detectStreamFormatEnhanced(url, quality = '', signal = null) {
     console.log(`🔍 Enhanced format detection for: ${url}`);
     
-    // First, try MIME type detection
-    const mimeResult = await detectStreamMimeType(url);
+    // MIME type detection and content sniffing run side by side
+    const [mimeResult, sniffResult] = await Promise.all([
+        detectStreamMimeType(url, undefined, signal),
+        sniffStreamFormat(url, signal)
+    ]);
     
     // Also do pattern-based detection as fallback
     const patternFormat = detectStreamFormat(url, quality);
@@ -208,22 +307,36 @@ export async function detectStreamFormatEnhanced(url, quality = '') {
         detectedFormat: null,
         confidence: 'low',
         mimeTypeResult: mimeResult,
+        sniffResult,
         patternFormat,
         finalFormat: null,
+        // Content type to treat the stream as - the sniffed container wins over a mislabelled header
+        mimeType: sniffResult.mimeType || mimeResult.mimeType,
         metadata: {}
     };
     
+    // Add metadata from headers
+    if (mimeResult.stationName) result.metadata.stationName = mimeResult.stationName;
+    if (mimeResult.genre) result.metadata.genre = mimeResult.genre;
+    if (mimeResult.bitrate) result.metadata.bitrate = mimeResult.bitrate;
+    
     // Determine the best format based on available information
-    if (mimeResult.detected && mimeResult.format) {
+    if (sniffResult.detected) {
+        // The stream's own bytes outrank its Content-Type, which says audio/ogg for Opus and FLAC alike
+        result.detectedFormat = sniffResult.format;
+        result.confidence = 'high';
+        result.finalFormat = sniffResult.format;
+        
+        if (sniffResult.sampleRate) result.metadata.sampleRate = sniffResult.sampleRate;
+        if (sniffResult.channels) result.metadata.channels = sniffResult.channels;
+        if (sniffResult.bitrate) result.metadata.bitrate = sniffResult.bitrate;
+        
+        console.log(`✅ High confidence detection: ${result.finalFormat} (stream content: ${describeSniffResult(sniffResult)})`);
+    } else if (mimeResult.detected && mimeResult.format) {
         result.detectedFormat = mimeResult.format;
         result.confidence = 'high';
         result.finalFormat = mimeResult.format;
         
-        // Add metadata from headers
-        if (mimeResult.stationName) result.metadata.stationName = mimeResult.stationName;
-        if (mimeResult.genre) result.metadata.genre = mimeResult.genre;
-        if (mimeResult.bitrate) result.metadata.bitrate = mimeResult.bitrate;
-        
         console.log(`✅ High confidence detection: ${result.finalFormat} (MIME: ${mimeResult.mimeType})`);
     } else {
         // Fall back to pattern matching
@@ -234,10 +347,15 @@ export async function detectStreamFormatEnhanced(url, quality = '') {
         console.log(`⚠️ Medium confidence detection: ${result.finalFormat} (pattern-based)`);
     }
     
-    // Cross-validate: if both methods agree, increase confidence
-    if (mimeResult.format === patternFormat && mimeResult.detected) {
+    // Cross-validate: if two methods agree, increase confidence
+    const agreeing = [
+        sniffResult.detected && sniffResult.format,
+        mimeResult.detected && mimeResult.format,
+        patternFormat
+    ].filter(format => format === result.finalFormat).length;
+    if (agreeing >= 2) {
         result.confidence = 'very-high';
-        console.log(`🎯 Very high confidence: Both MIME and pattern agree on ${result.finalFormat}`);
+        console.log(`🎯 Very high confidence: ${agreeing} detection methods agree on ${result.finalFormat}`);
     }
     
     return result;
@@ -268,6 +386,15 @@ export function detectStreamFormat(url, quality = '') {
     return 'mpeg';
 }
 
+/**
+ * Get a default quality label for a detected format
+ * @param {string} format - Format key
+ * @returns {string} - Quality label suitable for a station entry
+ */
+export function getFormatQualityLabel(format) {
+    return FORMAT_QUALITY_LABELS[format] || STATION_CONFIG.DEFAULT_QUALITY;
+}
+
 /**
  * Load a codec module dynamically
  * @param {string} format - The format key
@@ -319,6 +446,25 @@ export function loadCodecModule(format) {
     return loadPromise;
 }
 
+/**
+ * Get the IcecastMetadataPlayer constructor, however the bundle exposes it
+ * @returns {Function|null} - Constructor, or null when the library is not loaded
+ */
+export function getIcecastMetadataPlayer() {
+    if (typeof IcecastMetadataPlayer === 'undefined') {
+        return null;
+    }
+    
+    if (typeof IcecastMetadataPlayer.default === 'function') {
+        return IcecastMetadataPlayer.default;
+    } else if (typeof IcecastMetadataPlayer === 'function') {
+        return IcecastMetadataPlayer;
+    } else if (typeof IcecastMetadataPlayer.IcecastMetadataPlayer === 'function') {
+        return IcecastMetadataPlayer.IcecastMetadataPlayer;
+    }
+    return null;
+}
+
 /**
  * Load multiple codec modules
  * @param {string[]} formats - Array of format keys
@@ -368,21 +514,22 @@ export async function preloadCommonCodecs() {
  * @param {string} url - Stream URL
  * @param {string} quality - Quality description
  * @param {boolean} useMimeDetection - Whether to use MIME type detection
+ * @param {AbortSignal} [signal] - Cancels detection, e.g. when another station is selected
  * @returns {Promise<Object>} - Best available codec info with detection details
  */
-export async function getBestCodec(url, quality = '', useMimeDetection = true) {
+export async function getBestCodec(url, quality = '', useMimeDetection = true, signal = null) {
     let detectedFormat;
     let detectionInfo = null;
     
     if (useMimeDetection) {
         // Use enhanced detection with MIME type
-        detectionInfo = await detectStreamFormatEnhanced(url, quality);
+        detectionInfo = await detectStreamFormatEnhanced(url, quality, signal);
         detectedFormat = detectionInfo.finalFormat;
         
         console.log(`🎵 Enhanced detection result:`, {
             format: detectedFormat,
             confidence: detectionInfo.confidence,
-            mimeType: detectionInfo.mimeTypeResult.mimeType,
+            mimeType: detectionInfo.mimeType,
             metadata: detectionInfo.metadata
         });
     } else {
@@ -481,7 +628,7 @@ export async function getCodecInfo(station, useMimeDetection = false) {
     if (detectionInfo && detectionInfo.metadata) {
         result.enhancedMetadata = detectionInfo.metadata;
         result.confidence = detectionInfo.confidence;
-        result.mimeType = detectionInfo.mimeTypeResult.mimeType;
+        result.mimeType = detectionInfo.mimeType;
     }
     
     return result;
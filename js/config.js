@@ -55,7 +55,8 @@ export const APP_CONFIG = {
         DEVICE_DETECTION: {
             MOBILE_THRESHOLD: 768, // pixels - below this is considered mobile
             LOW_MEMORY_THRESHOLD: 1000, // MB - rough estimate
-            HIGH_PERFORMANCE_INDICATORS: ['WebGL2', 'OES_vertex_array_object']
+            HIGH_PERFORMANCE_INDICATORS: ['WebGL2', 'OES_vertex_array_object'],
+            SLOW_CONNECTION_TYPES: ['slow-2g', '2g', '3g'] // navigator.connection.effectiveType values
         },
         AUTO_QUALITY: {
             INITIAL_BENCHMARK_DURATION: 3000, // ms to test performance
@@ -74,6 +75,76 @@ export const APP_CONFIG = {
         SEARCH_DEBOUNCE_TIME: 300 // milliseconds
     },
 
+    // Sleep timer
+    SLEEP_TIMER: {
+        PRESET_MINUTES: [15, 30, 60],
+        MAX_MINUTES: 720,
+        FADE_OPTIONS: [10, 30, 60], // seconds
+        DEFAULT_FADE_SECONDS: 30,
+        FADE_STEP_INTERVAL: 500, // ms between volume steps
+        WARNING_MINUTES: 1 // announce to screen readers this long before the fade
+    },
+
+    // Wake-up alarm
+    ALARM: {
+        CHECK_INTERVAL: 15000, // ms - polling survives sleeping devices better than one long timeout
+        MISSED_GRACE_MINUTES: 10, // alarms found later than this (e.g. after sleep) are skipped
+        RAMP_OPTIONS: [30, 60, 300], // seconds
+        DEFAULT_RAMP_SECONDS: 60,
+        RAMP_START_VOLUME: 0.05,
+        RAMP_STEP_INTERVAL: 1000
+    },
+
+    // Stream recording
+    RECORDER: {
+        DEFAULT_MODE: 'raw', // 'raw' keeps the station's own bytes, 'encode' records the decoded audio
+        MAX_PART_BYTES: 32 * 1024 * 1024, // start a new file past this size even without a title change - each part is held in memory until saved
+        ENCODE_MIME_TYPES: ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'],
+        ENCODE_TIMESLICE: 1000, // ms between MediaRecorder data events
+        MAX_FILE_NAME_LENGTH: 120,
+        STREAM_HEAD_BYTES: 256 * 1024 // start of each stream kept so raw recordings joining later get its Ogg/FLAC headers
+    },
+
+    // Time-shift (pause and rewind live radio) - MediaSource playback only
+    TIMESHIFT: {
+        BUFFER_SECONDS: 1800, // audio kept in MediaSource buffers behind the live edge
+        MIN_BUFFER_SECONDS: 60, // lower bound when the browser's buffer quota forces a smaller window
+        TRIM_MARGIN: 10, // seconds past the window before old audio is removed, to batch removals
+        LIVE_THRESHOLD: 10, // seconds behind the newest audio that still count as live
+        LIVE_EDGE_OFFSET: 3, // seconds behind the newest audio that "jump to live" lands on
+        UPDATE_INTERVAL: 1000 // ms - the buffer keeps growing while paused, without timeupdate events
+    },
+
+    // Crossfade between stations
+    CROSSFADE: {
+        DEFAULT_ENABLED: false,
+        DURATION_OPTIONS: [2, 4, 8], // seconds
+        DEFAULT_SECONDS: 4
+    },
+
+    // Station scan ("seek" through the list, like a car radio)
+    SCAN: {
+        DWELL_OPTIONS: [5, 10, 15], // seconds each station plays
+        DEFAULT_DWELL_SECONDS: 10,
+        CONNECT_TIMEOUT_SECONDS: 12 // a station that has not started playing by then is skipped
+    },
+
+    // Next / previous / shuffle
+    NAVIGATION: {
+        SHUFFLE_HISTORY_SIZE: 50 // stations remembered so "previous" can retrace a shuffle
+    },
+
+    // Picking up where the listener left off
+    RESUME: {
+        GRACE_SECONDS: 5 // countdown after the network returns, so the listener can cancel the reconnect
+    },
+
+    // Now-playing track history
+    TRACK_HISTORY: {
+        MAX_ENTRIES: 500, // oldest entries are dropped beyond this
+        MAX_AGE_DAYS: 30
+    },
+
     // Theme settings
     THEME: {
         DEFAULT: 'auto', // 'light', 'dark', 'auto'
@@ -83,7 +154,33 @@ export const APP_CONFIG = {
     // Audio settings
     AUDIO: {
         CROSSORIGIN: 'anonymous',
-        DEFAULT_VOLUME: 1.0
+        DEFAULT_VOLUME: 1.0,
+        PLAYLIST_RESOLVE_TIMEOUT: 5000, // milliseconds
+        PLAYLIST_MAX_BYTES: 65536, // playlists larger than this are treated as streams
+        PLAYLIST_MAX_DEPTH: 2, // nested playlists (e.g. a .pls pointing at an .m3u)
+        HLS: {
+            LIVE_EDGE_SEGMENTS: 3, // start this many segments behind the live edge
+            DEFAULT_BANDWIDTH: 500000, // bits per second, used before any segment has been measured
+            BANDWIDTH_SAFETY_FACTOR: 0.8, // only pick variants using this share of the measured bandwidth
+            UPSWITCH_GOOD_REPORTS: 3, // consecutive 'good' buffer reports before switching up
+            SEGMENT_TIMEOUT: 10000, // milliseconds
+            SEGMENT_RETRIES: 2, // also used for live playlist refreshes
+            PLAYLIST_RETRY_DELAY: 1000 // milliseconds before retrying a playlist refresh, doubling each attempt
+        },
+        WEBAUDIO: {
+            PREBUFFER_SECONDS: 1, // decoded audio queued before playback starts, and again after running dry
+            MAX_BUFFER_SECONDS: 20, // decoded audio held at most; older audio is dropped to stay live
+            CONNECT_TIMEOUT: 15000 // milliseconds to wait for the first decoded audio
+        },
+        MEDIA_SOURCE: {
+            MAX_QUEUE_BYTES: 1024 * 1024, // chunks waiting for the SourceBuffer before the stream reader is held back
+            PLAYED_MARGIN: 2 // seconds behind the playback position kept when a full buffer forces removing played audio
+        },
+        SNIFF: {
+            MAX_BYTES: 16384, // stream bytes read to identify the codec; live streams ignore Range and are cut off here
+            TIMEOUT: 5000 // milliseconds
+        },
+        ICY_CONNECT_TIMEOUT: 10000 // milliseconds to wait for the in-band metadata connection
     }
 };
 
@@ -91,7 +188,14 @@ export const APP_CONFIG = {
 export const STATION_CONFIG = {
     DEFAULT_QUALITY: 'Unknown',
     DEFAULT_GENRE: 'Various',
-    SUPPORTED_FORMATS: ['mp3', 'aac', 'flac', 'ogg']
+    SUPPORTED_FORMATS: ['mp3', 'aac', 'flac', 'ogg'],
+    // Named quality tiers a station can offer; higher rank means better quality
+    QUALITY_TIERS: {
+        lossless: { label: 'Lossless', rank: 3, bitrate: 1000 },
+        high: { label: 'High', rank: 2, bitrate: 256 },
+        low: { label: 'Low', rank: 1, bitrate: 64 }
+    },
+    DEFAULT_QUALITY_PREFERENCE: 'auto'
 };
 
 // Error messages
@@ -111,8 +215,17 @@ export const ERROR_MESSAGES = {
 // Retry configuration
 export const RETRY_CONFIG = {
     MAX_RETRIES: 3,
-    RETRY_DELAY: 2000, // milliseconds
-    CONNECTION_TIMEOUT: 15000 // milliseconds
+    RETRY_DELAY: 2000, // milliseconds - first retry; later ones back off exponentially
+    MAX_RETRY_DELAY: 30000, // milliseconds - backoff cap
+    RETRY_JITTER: 0.3, // share of each delay randomised, so listeners of a restarted server don't reconnect in lockstep
+    CONNECTION_TIMEOUT: 15000, // milliseconds
+    // Mid-stream stall watchdog
+    STALL_TIMEOUT: 8000, // milliseconds without playback progress before reconnecting
+    STALL_CHECK_INTERVAL: 2000, // milliseconds
+    MAX_RECONNECTS: 6, // reconnect attempts before giving up on the station
+    RECONNECT_STABLE_TIME: 30000, // milliseconds of uninterrupted playback that reset the attempt count
+    // Errors that move playback on to the station's next mirror
+    FAILOVER_ERROR_TYPES: ['NETWORK', 'ABORTED', 'UNSUPPORTED', 'CORS']
 };
 
 // Debug and Development configuration
@@ -0,0 +1,97 @@
+// Crossfade preference - whether station changes overlap the old and new stream, and for how long
+import { APP_CONFIG } from './config.js';
+import { loadCrossfade, saveCrossfade } from './storage.js';
+import { EventEmitter } from './event-emitter.js';
+
+const CROSSFADE_CONFIG = APP_CONFIG.CROSSFADE;
+
+class CrossfadeSettings extends EventEmitter {
+    constructor() {
+        super('crossfade');
+        const stored = loadCrossfade() || {};
+
+        this.enabled = typeof stored.enabled === 'boolean' ? stored.enabled : CROSSFADE_CONFIG.DEFAULT_ENABLED;
+        this.seconds = CROSSFADE_CONFIG.DURATION_OPTIONS.includes(stored.seconds)
+            ? stored.seconds
+            : CROSSFADE_CONFIG.DEFAULT_SECONDS;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+        this.save();
+    }
+
+    /**
+     * Set the crossfade length
+     * @param {number} seconds - One of APP_CONFIG.CROSSFADE.DURATION_OPTIONS
+     */
+    setSeconds(seconds) {
+        if (!CROSSFADE_CONFIG.DURATION_OPTIONS.includes(seconds)) {
+            console.warn(`Unsupported crossfade length: ${seconds}s`);
+            return;
+        }
+
+        this.seconds = seconds;
+        this.save();
+    }
+
+    getSettings() {
+        return {
+            enabled: this.enabled,
+            seconds: this.seconds
+        };
+    }
+
+    save() {
+        saveCrossfade(this.getSettings());
+        this.emit('change', this.getSettings());
+    }
+}
+
+// Create global instance
+export const crossfadeSettings = new CrossfadeSettings();
+
+/**
+ * Create the crossfade controls
+ * @param {HTMLElement} container - Element to append the controls to
+ * @returns {HTMLElement} - The controls element
+ */
+export function createCrossfadeUI(container) {
+    const crossfadeContainer = document.createElement('div');
+    crossfadeContainer.className = 'crossfade w-full flex items-center justify-between gap-3 flex-wrap text-sm';
+    crossfadeContainer.setAttribute('role', 'group');
+    crossfadeContainer.setAttribute('aria-label', 'Crossfade');
+    crossfadeContainer.innerHTML = `
+        <label class="flex items-center gap-2 text-slate-600 dark:text-slate-300" title="Keep the current station playing while the next one connects, then blend them">
+            <input type="checkbox" id="crossfade-enabled">
+            <i class="fas fa-exchange-alt" aria-hidden="true"></i>Crossfade stations
+        </label>
+        <label for="crossfade-seconds" class="sr-only">Crossfade length</label>
+        <select id="crossfade-seconds" class="bg-white/20 dark:bg-slate-700 text-slate-900 dark:text-white rounded px-2 py-1 text-sm border border-white/20 dark:border-slate-600">
+            ${CROSSFADE_CONFIG.DURATION_OPTIONS.map(seconds => `<option value="${seconds}">${seconds}s</option>`).join('')}
+        </select>
+    `;
+
+    const enabledToggle = crossfadeContainer.querySelector('#crossfade-enabled');
+    const secondsSelect = crossfadeContainer.querySelector('#crossfade-seconds');
+
+    const render = ({ enabled, seconds }) => {
+        enabledToggle.checked = enabled;
+        secondsSelect.value = String(seconds);
+        secondsSelect.disabled = !enabled;
+    };
+
+    enabledToggle.addEventListener('change', (e) => {
+        crossfadeSettings.setEnabled(e.target.checked);
+    });
+
+    secondsSelect.addEventListener('change', (e) => {
+        crossfadeSettings.setSeconds(parseInt(e.target.value, 10));
+    });
+
+    crossfadeSettings.on('change', render);
+    render(crossfadeSettings.getSettings());
+
+    container.appendChild(crossfadeContainer);
+    return crossfadeContainer;
+}
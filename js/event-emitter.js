@@ -0,0 +1,47 @@
+// Event emitter - named events for the app's singletons; a throwing listener does not stop the others
+
+export class EventEmitter {
+    /**
+     * @param {string} name - Shown when a listener throws, e.g. 'sleep timer'
+     * @param {Array<string>} [types] - Event types on() accepts; any type when omitted
+     */
+    constructor(name, types = null) {
+        this.emitterName = name;
+        this.eventTypes = types;
+        this.listeners = {};
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - Event type, e.g. 'change'
+     * @param {Function} listener - Called with the emitted arguments
+     * @returns {Function} - Unsubscribes the listener
+     */
+    on(type, listener) {
+        if (this.eventTypes && !this.eventTypes.includes(type)) {
+            console.warn(`Unknown ${this.emitterName} event: ${type}`);
+            return () => {};
+        }
+
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter(existing => existing !== listener);
+    }
+
+    emit(type, ...args) {
+        (this.listeners[type] || []).forEach(listener => {
+            try {
+                listener(...args);
+            } catch (error) {
+                console.error(`Error in ${this.emitterName} ${type} listener:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,640 @@
+// HLS playback - parses master/media playlists and turns segments into a MediaSource-ready byte stream
+import { APP_CONFIG } from './config.js';
+
+const HLS_CONFIG = APP_CONFIG.AUDIO.HLS;
+
+// MPEG-TS stream types carrying audio we can hand to MediaSource
+const TS_AUDIO_STREAM_TYPES = {
+    0x0F: 'aac',  // ADTS AAC
+    0x03: 'mpeg', // MPEG-1 audio
+    0x04: 'mpeg'  // MPEG-2 audio
+};
+
+// MediaSource MIME types for the elementary streams produced from segments
+const SEGMENT_MIME_TYPES = {
+    'aac': 'audio/aac',
+    'mpeg': 'audio/mpeg'
+};
+
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+
+/**
+ * Check whether the browser can play HLS without MediaSource (Safari, iOS)
+ * @param {HTMLAudioElement} audioElement - Audio element to test
+ * @returns {boolean} - True when the element plays m3u8 natively
+ */
+export function canPlayHlsNatively(audioElement) {
+    return ['probably', 'maybe'].includes(audioElement.canPlayType('application/vnd.apple.mpegurl'));
+}
+
+/**
+ * Parse an HLS playlist into either a list of variants (master) or segments (media)
+ * @param {string} text - Playlist contents
+ * @param {string} baseUrl - Playlist URL, used to resolve relative URIs
+ * @returns {Object} - { type: 'master', variants } or { type: 'media', segments, ... }
+ */
+export function parseHlsPlaylist(text, baseUrl) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (!lines.length || !lines[0].startsWith('#EXTM3U')) {
+        throw new Error('Not an HLS playlist');
+    }
+
+    if (lines.some(line => line.startsWith('#EXT-X-STREAM-INF:'))) {
+        return parseMasterPlaylist(lines, baseUrl);
+    }
+
+    return parseMediaPlaylist(lines, baseUrl);
+}
+
+/**
+ * Pick the best variant that fits within the available bandwidth
+ * @param {Array} variants - Variants sorted by ascending bandwidth
+ * @param {number} bandwidth - Available bandwidth in bits per second
+ * @returns {number} - Index of the chosen variant
+ */
+export function selectVariantIndex(variants, bandwidth) {
+    const budget = bandwidth * HLS_CONFIG.BANDWIDTH_SAFETY_FACTOR;
+    let selected = 0;
+
+    variants.forEach((variant, index) => {
+        if (variant.bandwidth <= budget) {
+            selected = index;
+        }
+    });
+
+    return selected;
+}
+
+function parseMasterPlaylist(lines, baseUrl) {
+    const variants = [];
+
+    lines.forEach((line, index) => {
+        if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+
+        const uri = lines.slice(index + 1).find(next => !next.startsWith('#'));
+        if (!uri) return;
+
+        const attributes = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+        variants.push({
+            url: new URL(uri, baseUrl).href,
+            bandwidth: parseInt(attributes['AVERAGE-BANDWIDTH'] || attributes['BANDWIDTH'], 10) || 0,
+            codecs: attributes['CODECS'] || '',
+            name: attributes['NAME'] || ''
+        });
+    });
+
+    if (!variants.length) {
+        throw new Error('HLS master playlist has no variants');
+    }
+
+    // Variants with different codecs cannot share one SourceBuffer, so keep the family of the first one
+    const codecFamily = getAudioCodec(variants[0].codecs).split('.')[0];
+    const compatible = variants.filter(variant => getAudioCodec(variant.codecs).split('.')[0] === codecFamily);
+
+    return {
+        type: 'master',
+        variants: compatible.sort((a, b) => a.bandwidth - b.bandwidth)
+    };
+}
+
+function parseMediaPlaylist(lines, baseUrl) {
+    const playlist = {
+        type: 'media',
+        targetDuration: 6,
+        mediaSequence: 0,
+        endList: false,
+        initSegment: null,
+        segments: []
+    };
+
+    let pendingDuration = null;
+    let currentMap = null;
+
+    lines.forEach(line => {
+        if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+            playlist.targetDuration = parseFloat(line.split(':')[1]) || playlist.targetDuration;
+        } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+            playlist.mediaSequence = parseInt(line.split(':')[1], 10) || 0;
+        } else if (line.startsWith('#EXT-X-ENDLIST')) {
+            playlist.endList = true;
+        } else if (line.startsWith('#EXT-X-MAP:')) {
+            const attributes = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+            currentMap = attributes['URI'] ? new URL(attributes['URI'], baseUrl).href : null;
+            playlist.initSegment = playlist.initSegment || currentMap;
+        } else if (line.startsWith('#EXT-X-KEY:')) {
+            const attributes = parseAttributes(line.slice('#EXT-X-KEY:'.length));
+            if (attributes['METHOD'] && attributes['METHOD'] !== 'NONE') {
+                throw new Error('Encrypted HLS streams are not supported');
+            }
+        } else if (line.startsWith('#EXTINF:')) {
+            pendingDuration = parseFloat(line.slice('#EXTINF:'.length)) || 0;
+        } else if (!line.startsWith('#')) {
+            playlist.segments.push({
+                url: new URL(line, baseUrl).href,
+                duration: pendingDuration || playlist.targetDuration,
+                sequence: playlist.mediaSequence + playlist.segments.length,
+                initSegment: currentMap
+            });
+            pendingDuration = null;
+        }
+    });
+
+    return playlist;
+}
+
+/**
+ * Parse an attribute list such as BANDWIDTH=128000,CODECS="mp4a.40.2"
+ * @param {string} text - Attribute list
+ * @returns {Object} - Attribute map with upper-case keys
+ */
+function parseAttributes(text) {
+    const attributes = {};
+    for (const match of text.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/gi)) {
+        attributes[match[1].toUpperCase()] = match[2].replace(/^"|"$/g, '');
+    }
+    return attributes;
+}
+
+function getAudioCodec(codecs) {
+    const audioCodec = codecs.split(',').map(codec => codec.trim())
+        .find(codec => /^(mp4a|opus|flac|ac-3|ec-3)/i.test(codec));
+    return audioCodec || 'mp4a.40.2';
+}
+
+/**
+ * Extract the audio elementary stream from an MPEG-TS segment
+ * @param {Uint8Array} bytes - Segment contents
+ * @returns {Object} - Audio format ('aac' or 'mpeg') and the raw ADTS/MPEG frames
+ */
+export function demuxTransportStream(bytes) {
+    let pmtPid = null;
+    let audioPid = null;
+    let format = null;
+    const payloads = [];
+    let pesChunks = null;
+
+    const flushPes = () => {
+        if (!pesChunks) return;
+        const pes = concatBytes(pesChunks);
+        // PES header: start code (3), stream id (1), length (2), flags (2), header length (1)
+        if (pes.length > 9 && pes[0] === 0 && pes[1] === 0 && pes[2] === 1) {
+            payloads.push(pes.subarray(9 + pes[8]));
+        }
+        pesChunks = null;
+    };
+
+    for (let offset = 0; offset + TS_PACKET_SIZE <= bytes.length; offset += TS_PACKET_SIZE) {
+        if (bytes[offset] !== TS_SYNC_BYTE) continue;
+
+        const packetStart = (bytes[offset + 1] & 0x40) !== 0;
+        const pid = ((bytes[offset + 1] & 0x1F) << 8) | bytes[offset + 2];
+        const adaptationControl = (bytes[offset + 3] >> 4) & 0x03;
+
+        let payloadOffset = offset + 4;
+        if (adaptationControl & 0x02) {
+            payloadOffset += 1 + bytes[offset + 4];
+        }
+        if (!(adaptationControl & 0x01) || payloadOffset >= offset + TS_PACKET_SIZE) continue;
+
+        const payload = bytes.subarray(payloadOffset, offset + TS_PACKET_SIZE);
+
+        if (pid === 0 && packetStart) {
+            pmtPid = readPmtPid(payload);
+        } else if (pid === pmtPid && packetStart && audioPid === null) {
+            const stream = readAudioStream(payload);
+            if (stream) {
+                audioPid = stream.pid;
+                format = stream.format;
+            }
+        } else if (pid === audioPid) {
+            if (packetStart) {
+                flushPes();
+                pesChunks = [];
+            }
+            if (pesChunks) {
+                pesChunks.push(payload);
+            }
+        }
+    }
+    flushPes();
+
+    if (audioPid === null) {
+        throw new Error('No supported audio track in MPEG-TS segment');
+    }
+
+    return { format, data: concatBytes(payloads) };
+}
+
+function readPmtPid(payload) {
+    const section = payload.subarray(1 + payload[0]);
+    const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
+    const end = Math.min(3 + sectionLength - 4, section.length);
+
+    // Program entries start after the 8-byte header; program 0 is the network PID
+    for (let i = 8; i + 4 <= end; i += 4) {
+        const programNumber = (section[i] << 8) | section[i + 1];
+        if (programNumber !== 0) {
+            return ((section[i + 2] & 0x1F) << 8) | section[i + 3];
+        }
+    }
+    return null;
+}
+
+function readAudioStream(payload) {
+    const section = payload.subarray(1 + payload[0]);
+    const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
+    const end = Math.min(3 + sectionLength - 4, section.length);
+    const programInfoLength = ((section[10] & 0x0F) << 8) | section[11];
+
+    for (let i = 12 + programInfoLength; i + 5 <= end;) {
+        const streamType = section[i];
+        const pid = ((section[i + 1] & 0x1F) << 8) | section[i + 2];
+        const infoLength = ((section[i + 3] & 0x0F) << 8) | section[i + 4];
+
+        if (TS_AUDIO_STREAM_TYPES[streamType]) {
+            return { pid, format: TS_AUDIO_STREAM_TYPES[streamType] };
+        }
+        i += 5 + infoLength;
+    }
+    return null;
+}
+
+/**
+ * Remove a leading ID3 tag (used for timestamps in packed audio segments)
+ * @param {Uint8Array} bytes - Segment contents
+ * @returns {Uint8Array} - Contents without the ID3 tag
+ */
+function stripId3(bytes) {
+    if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) {
+        return bytes;
+    }
+
+    // Tag size is a 28-bit syncsafe integer, plus a 10-byte header and optional footer
+    const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+    const footer = (bytes[5] & 0x10) ? 10 : 0;
+    return stripId3(bytes.subarray(10 + size + footer));
+}
+
+/**
+ * Work out how a segment has to be fed to MediaSource
+ * @param {Uint8Array} bytes - First segment contents
+ * @param {boolean} hasInitSegment - Whether the playlist declares an EXT-X-MAP
+ * @returns {string} - 'ts', 'fmp4', 'aac' or 'mpeg'
+ */
+function detectSegmentContainer(bytes, hasInitSegment) {
+    if (hasInitSegment) return 'fmp4';
+    if (bytes[0] === TS_SYNC_BYTE && (bytes.length < TS_PACKET_SIZE * 2 || bytes[TS_PACKET_SIZE] === TS_SYNC_BYTE)) return 'ts';
+
+    const boxType = String.fromCharCode(...bytes.subarray(4, 8));
+    if (['ftyp', 'styp', 'moof', 'sidx'].includes(boxType)) return 'fmp4';
+
+    // Packed audio: ADTS frames have layer bits 00, MPEG audio frames do not
+    const audio = stripId3(bytes);
+    if (audio[0] === 0xFF && (audio[1] & 0xF0) === 0xF0 && (audio[1] & 0x06) === 0) return 'aac';
+    return 'mpeg';
+}
+
+/**
+ * Whether a failure is temporary, so a live stream should keep waiting it out
+ * @param {Error} error - Error from fetchWithTimeout or playlist parsing
+ * @returns {boolean} - True for network failures, timeouts and server errors
+ */
+function isTransientError(error) {
+    return error instanceof TypeError || error.name === 'AbortError' || error.status >= 500;
+}
+
+function concatBytes(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
+
+/**
+ * A live or on-demand HLS stream exposed as a reader, so the MediaSource
+ * pipeline can consume it like a fetch body: read() resolves { done, value }.
+ */
+export class HlsSession {
+    constructor(url) {
+        this.url = url;
+        this.variants = [];
+        this.variantIndex = 0;
+        this.mediaPlaylistUrl = url;
+        this.playlist = null;
+        this.nextSequence = null;
+        this.container = null;
+        this.mimeType = null;
+        this.appendedInitSegment = null;
+        this.pendingChunk = null;
+        this.bandwidthEstimate = HLS_CONFIG.DEFAULT_BANDWIDTH;
+        this.goodReports = 0;
+        this.switchRequested = false;
+        this.abortController = new AbortController();
+        this.stopWaiting = null; // Ends a running wait() early
+        this.cancelled = false;
+    }
+
+    /**
+     * Load the playlists and first segment, working out the MediaSource MIME type
+     * @returns {Promise<string>} - MIME type for addSourceBuffer
+     */
+    async open() {
+        const { text, url } = await this.fetchText(this.url);
+        const parsed = parseHlsPlaylist(text, url);
+
+        if (parsed.type === 'master') {
+            this.variants = parsed.variants;
+            this.variantIndex = selectVariantIndex(this.variants, this.getInitialBandwidth());
+            this.mediaPlaylistUrl = this.variants[this.variantIndex].url;
+            console.log(`📺 HLS master playlist: ${this.variants.length} variant(s), starting at ${this.describeVariant()}`);
+            await this.loadMediaPlaylist();
+        } else {
+            this.mediaPlaylistUrl = url;
+            this.playlist = parsed;
+        }
+
+        if (!this.playlist.segments.length) {
+            throw new Error('HLS playlist has no segments');
+        }
+
+        // Live streams start a few segments behind the edge; on-demand streams from the beginning
+        const startIndex = this.playlist.endList
+            ? 0
+            : Math.max(0, this.playlist.segments.length - HLS_CONFIG.LIVE_EDGE_SEGMENTS);
+
+        // Fetch the first segment now - its contents decide the SourceBuffer type
+        const segment = this.playlist.segments[startIndex];
+        const bytes = await this.fetchSegment(segment.url);
+        this.container = detectSegmentContainer(bytes, Boolean(segment.initSegment));
+        this.pendingChunk = await this.prepareSegment(segment, bytes);
+        this.nextSequence = segment.sequence + 1;
+
+        console.log(`📺 HLS segments are ${this.container}, MediaSource type: ${this.mimeType}`);
+        return this.mimeType;
+    }
+
+    /**
+     * Read the next chunk of audio, waiting for the playlist to grow on live streams
+     * @returns {Promise<Object>} - { done, value } like ReadableStreamDefaultReader.read()
+     */
+    async read() {
+        if (this.pendingChunk) {
+            const value = this.pendingChunk;
+            this.pendingChunk = null;
+            return { done: false, value };
+        }
+
+        while (!this.cancelled) {
+            if (this.switchRequested) {
+                // Tried again on the next pass if the new variant's playlist is not reachable yet
+                this.switchRequested = !(await this.refreshMediaPlaylist());
+            }
+
+            const segment = this.playlist.segments.find(candidate => candidate.sequence >= this.nextSequence);
+            if (segment) {
+                if (segment.sequence > this.nextSequence) {
+                    console.warn(`⚠️ HLS fell behind the live window, skipping to segment ${segment.sequence}`);
+                }
+                this.nextSequence = segment.sequence + 1;
+
+                const value = await this.loadSegment(segment);
+                if (value && value.length) {
+                    return { done: false, value };
+                }
+                continue;
+            }
+
+            if (this.playlist.endList) {
+                return { done: true, value: undefined };
+            }
+
+            // Wait for the live playlist to advance (half a target duration when it has not changed)
+            await this.wait(this.playlist.targetDuration * 500);
+            if (this.cancelled) break;
+            // A refresh that keeps failing leaves the old playlist - the loop waits and tries again
+            await this.refreshMediaPlaylist();
+        }
+
+        return { done: true, value: undefined };
+    }
+
+    /**
+     * Stop fetching playlists and segments
+     */
+    cancel() {
+        this.cancelled = true;
+        this.abortController.abort();
+        if (this.stopWaiting) {
+            this.stopWaiting();
+        }
+    }
+
+    /**
+     * React to buffer health reports from addStreamQualityMonitoring by switching variants
+     * @param {string} quality - 'poor' or 'good'
+     * @param {number} bufferHealth - Seconds of audio buffered ahead of playback
+     */
+    handleBufferHealth(quality, bufferHealth) {
+        if (this.variants.length < 2 || this.cancelled) return;
+
+        if (quality === 'poor') {
+            this.goodReports = 0;
+            if (this.variantIndex > 0) {
+                this.switchVariant(this.variantIndex - 1, `buffer low (${bufferHealth.toFixed(1)}s)`);
+            }
+            return;
+        }
+
+        this.goodReports++;
+        const nextVariant = this.variants[this.variantIndex + 1];
+        if (nextVariant &&
+            this.goodReports >= HLS_CONFIG.UPSWITCH_GOOD_REPORTS &&
+            nextVariant.bandwidth <= this.bandwidthEstimate * HLS_CONFIG.BANDWIDTH_SAFETY_FACTOR) {
+            this.goodReports = 0;
+            this.switchVariant(this.variantIndex + 1, `buffer healthy (${bufferHealth.toFixed(1)}s)`);
+        }
+    }
+
+    /**
+     * Get a description of the variant currently being played
+     * @returns {string} - e.g. "128 kbps" or the variant name
+     */
+    describeVariant() {
+        const variant = this.variants[this.variantIndex];
+        if (!variant) return 'single variant';
+        return variant.name || `${Math.round(variant.bandwidth / 1000)} kbps`;
+    }
+
+    switchVariant(index, reason) {
+        this.variantIndex = index;
+        this.mediaPlaylistUrl = this.variants[index].url;
+        this.switchRequested = true;
+        console.log(`📺 HLS switching to ${this.describeVariant()}: ${reason}`);
+    }
+
+    async loadMediaPlaylist() {
+        const { text, url } = await this.fetchText(this.mediaPlaylistUrl);
+        const parsed = parseHlsPlaylist(text, url);
+        if (parsed.type !== 'media') {
+            throw new Error('Expected an HLS media playlist');
+        }
+        this.playlist = parsed;
+    }
+
+    /**
+     * Reload the media playlist, retrying failed requests with backoff while the previous playlist stays in use
+     * HTTP 4xx is retried too: a CDN edge may not have the playlist yet. It ends the stream once
+     * every attempt got one; timeouts and network or server errors leave the caller to try again later.
+     * @returns {Promise<boolean>} - False when every attempt failed
+     */
+    async refreshMediaPlaylist() {
+        let lastError = null;
+        for (let attempt = 0; attempt <= HLS_CONFIG.SEGMENT_RETRIES; attempt++) {
+            if (attempt > 0) {
+                await this.wait(HLS_CONFIG.PLAYLIST_RETRY_DELAY * 2 ** (attempt - 1));
+            }
+            if (this.cancelled) return false;
+
+            try {
+                await this.loadMediaPlaylist();
+                return true;
+            } catch (error) {
+                // A playlist that does not parse will not get better
+                if (this.cancelled || !(isTransientError(error) || error.status)) throw error;
+                lastError = error;
+                console.warn(`⚠️ HLS playlist refresh failed (attempt ${attempt + 1}):`, error);
+            }
+        }
+
+        if (!isTransientError(lastError)) {
+            throw lastError;
+        }
+        return false;
+    }
+
+    async loadSegment(segment) {
+        for (let attempt = 0; attempt <= HLS_CONFIG.SEGMENT_RETRIES; attempt++) {
+            try {
+                const bytes = await this.fetchSegment(segment.url);
+                return await this.prepareSegment(segment, bytes);
+            } catch (error) {
+                if (this.cancelled) throw error;
+                console.warn(`⚠️ HLS segment ${segment.sequence} failed (attempt ${attempt + 1}):`, error);
+            }
+        }
+
+        // A missing segment is a short gap; keep the stream going with the next one
+        console.warn(`⚠️ Skipping HLS segment ${segment.sequence}`);
+        return null;
+    }
+
+    /**
+     * Convert a segment into bytes for the SourceBuffer, prepending init segments when they change
+     * @param {Object} segment - Media playlist segment
+     * @param {Uint8Array} bytes - Segment contents
+     * @returns {Promise<Uint8Array>} - Bytes to append
+     */
+    async prepareSegment(segment, bytes) {
+        if (this.container === 'ts') {
+            const { format, data } = demuxTransportStream(bytes);
+            this.mimeType = this.mimeType || SEGMENT_MIME_TYPES[format];
+            return data;
+        }
+
+        if (this.container === 'fmp4') {
+            const variant = this.variants[this.variantIndex];
+            this.mimeType = this.mimeType || `audio/mp4; codecs="${getAudioCodec(variant ? variant.codecs : '')}"`;
+
+            // A new variant brings its own init segment, which must be appended before its media
+            if (segment.initSegment && segment.initSegment !== this.appendedInitSegment) {
+                const init = await this.fetchSegment(segment.initSegment);
+                this.appendedInitSegment = segment.initSegment;
+                return concatBytes([init, bytes]);
+            }
+            return bytes;
+        }
+
+        // Packed AAC/MP3 audio
+        this.mimeType = this.mimeType || SEGMENT_MIME_TYPES[this.container];
+        return stripId3(bytes);
+    }
+
+    async fetchSegment(url) {
+        const startTime = performance.now();
+        const { body } = await this.fetchWithTimeout(url, response => response.arrayBuffer());
+        const bytes = new Uint8Array(body);
+
+        // Track throughput so upswitches only happen when the connection can sustain them
+        const seconds = (performance.now() - startTime) / 1000;
+        if (seconds > 0 && bytes.length > 16384) {
+            const measured = (bytes.length * 8) / seconds;
+            this.bandwidthEstimate = this.bandwidthEstimate * 0.7 + measured * 0.3;
+        }
+
+        return bytes;
+    }
+
+    async fetchText(url) {
+        const { body, url: finalUrl } = await this.fetchWithTimeout(url, response => response.text(), { cache: 'no-cache' });
+        return { text: body, url: finalUrl };
+    }
+
+    /**
+     * Fetch a URL and read its body, with SEGMENT_TIMEOUT covering the download as well as the headers
+     * @param {string} url - Playlist or segment URL
+     * @param {Function} readBody - Reads the response, e.g. response => response.text()
+     * @param {Object} [options] - Extra fetch options
+     * @returns {Promise<Object>} - The body and the URL it came from after redirects
+     */
+    async fetchWithTimeout(url, readBody, options = {}) {
+        const timeoutId = setTimeout(() => this.abortController.abort(), HLS_CONFIG.SEGMENT_TIMEOUT);
+        try {
+            const response = await fetch(url, { ...options, signal: this.abortController.signal });
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status} for ${url}`);
+                error.status = response.status;
+                throw error;
+            }
+            return { body: await readBody(response), url: response.url || url };
+        } finally {
+            clearTimeout(timeoutId);
+            if (this.abortController.signal.aborted && !this.cancelled) {
+                // A timed-out request aborts the shared signal; give later requests a fresh one
+                this.abortController = new AbortController();
+            }
+        }
+    }
+
+    getInitialBandwidth() {
+        // navigator.connection.downlink is in megabits per second
+        if (navigator.connection && navigator.connection.downlink) {
+            this.bandwidthEstimate = navigator.connection.downlink * 1000000;
+        }
+        return this.bandwidthEstimate;
+    }
+
+    /**
+     * Sleep between playlist refreshes; cancel() ends the wait straight away
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise} - Resolves after ms, or as soon as the session is cancelled
+     */
+    wait(ms) {
+        return new Promise(resolve => {
+            if (this.cancelled) {
+                resolve();
+                return;
+            }
+            const timeoutId = setTimeout(() => this.stopWaiting(), ms);
+            this.stopWaiting = () => {
+                clearTimeout(timeoutId);
+                this.stopWaiting = null;
+                resolve();
+            };
+        });
+    }
+}
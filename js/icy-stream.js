@@ -0,0 +1,243 @@
+// ICY (Shoutcast/Icecast) in-band metadata - one connection for both audio and stream titles
+import { APP_CONFIG } from './config.js';
+
+// Content types whose bytes MediaSource accepts as-is once metadata blocks are removed
+const ICY_MEDIA_SOURCE_TYPES = {
+    'audio/mpeg': 'audio/mpeg',
+    'audio/mp3': 'audio/mpeg',
+    'audio/aac': 'audio/aac',
+    'audio/aacp': 'audio/aac',
+    'audio/x-aac': 'audio/aac'
+};
+
+// Fallback when the server does not send a usable Content-Type
+const CODEC_MEDIA_SOURCE_TYPES = {
+    'mpeg': 'audio/mpeg',
+    'aac': 'audio/aac'
+};
+
+/**
+ * Open a stream for MediaSource playback, with in-band ICY metadata when the server sends it
+ * Resolves null when the stream cannot be fetched as MP3/AAC or MediaSource cannot play it - the
+ * caller should then use the element's own connection plus a metadata player. A stream without
+ * in-band metadata still plays through the returned reader (hasMetadata is false); only its
+ * titles need a separate connection.
+ * @param {string} url - Stream URL
+ * @param {string} codec - Codec from getBestCodec, used when Content-Type is missing
+ * @param {AbortSignal} [signal] - Cancels the connection until it opens; the reader's cancel() closes it after that
+ * @returns {Promise<IcyStreamReader|null>} - Reader yielding audio-only chunks
+ */
+export async function openIcyStream(url, codec, signal = null) {
+    // Icy-MetaData is not a CORS-safelisted header, so servers without CORS support fail here
+    const { response, controller } = await openStream(url, { 'Icy-MetaData': '1' }, signal);
+
+    if (!response.ok || !response.body) {
+        controller.abort();
+        throw new Error(`HTTP ${response.status} opening ICY stream`);
+    }
+
+    // icy-metaint is only visible when the server exposes it through Access-Control-Expose-Headers
+    const metaInt = parseInt(response.headers.get('icy-metaint'), 10);
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const mimeType = ICY_MEDIA_SOURCE_TYPES[contentType] || (contentType ? null : CODEC_MEDIA_SOURCE_TYPES[codec]);
+
+    if (!mimeType || !window.MediaSource || !MediaSource.isTypeSupported(mimeType)) {
+        console.log(`📻 Stream cannot play through MediaSource (type: ${contentType || 'unknown'})`);
+        controller.abort();
+        return null;
+    }
+
+    if (metaInt) {
+        console.log(`📻 ICY stream opened: metadata every ${metaInt} bytes, ${mimeType}`);
+        return new IcyStreamReader(response.body.getReader(), metaInt, mimeType, controller);
+    }
+
+    // The server may interleave metadata blocks even though CORS hides icy-metaint, and those
+    // bytes would corrupt the audio - read the stream again without asking for metadata
+    controller.abort();
+    console.log(`📻 No in-band ICY metadata for ${url}, reading the stream without it`);
+
+    const plain = await openStream(url, {}, signal);
+    if (!plain.response.ok || !plain.response.body) {
+        plain.controller.abort();
+        throw new Error(`HTTP ${plain.response.status} opening stream`);
+    }
+    return new IcyStreamReader(plain.response.body.getReader(), null, mimeType, plain.controller);
+}
+
+/**
+ * Fetch a stream, giving up after ICY_CONNECT_TIMEOUT
+ * @param {string} url - Stream URL
+ * @param {Object} headers - Request headers
+ * @param {AbortSignal} [signal] - Cancels the request until the response arrives
+ * @returns {Promise<Object>} - response, plus the controller that closes the connection
+ */
+async function openStream(url, headers, signal) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), APP_CONFIG.AUDIO.ICY_CONNECT_TIMEOUT);
+    const abortRequest = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', abortRequest, { once: true });
+    }
+
+    try {
+        const response = await fetch(url, { headers, signal: controller.signal, cache: 'no-store' });
+        return { response, controller };
+    } finally {
+        clearTimeout(timeoutId);
+        if (signal) {
+            signal.removeEventListener('abort', abortRequest);
+        }
+    }
+}
+
+/**
+ * Parse an ICY metadata block such as StreamTitle='Artist - Title';StreamUrl='';
+ * @param {string} text - Metadata text without padding
+ * @returns {Object} - Key/value pairs (StreamTitle, StreamUrl, ...)
+ */
+export function parseIcyMetadata(text) {
+    const metadata = {};
+    for (const match of text.matchAll(/(\w+)='(.*?)';(?=\w+=|$)/gs)) {
+        metadata[match[1]] = match[2];
+    }
+    return metadata;
+}
+
+/**
+ * Reader over an ICY response body that removes metadata blocks from the audio
+ * and reports them through onMetadata. read() resolves { done, value } like a fetch reader.
+ * Without a metadata interval the body passes through unchanged.
+ */
+export class IcyStreamReader {
+    constructor(reader, metaInt, mimeType, controller) {
+        this.reader = reader;
+        this.metaInt = metaInt; // null when the stream carries no metadata blocks
+        this.mimeType = mimeType;
+        this.controller = controller;
+        this.bytesUntilMetadata = metaInt;
+        this.metadataLength = null; // set while inside a metadata block
+        this.metadataChunks = [];
+        this.metadataReceived = 0;
+        this.lastMetadata = null;
+        this.onMetadata = null;
+    }
+
+    /**
+     * Whether titles arrive in the stream, through onMetadata
+     */
+    get hasMetadata() {
+        return this.metaInt !== null;
+    }
+
+    async read() {
+        while (true) {
+            const { done, value } = await this.reader.read();
+            if (done) {
+                return { done: true, value: undefined };
+            }
+            if (!this.hasMetadata) {
+                return { done: false, value };
+            }
+
+            const audio = this.extractAudio(value);
+            if (audio.length) {
+                return { done: false, value: audio };
+            }
+        }
+    }
+
+    cancel() {
+        this.onMetadata = null;
+        this.controller.abort();
+        return this.reader.cancel().catch(() => {});
+    }
+
+    /**
+     * Split a network chunk into audio bytes and metadata blocks
+     * @param {Uint8Array} chunk - Bytes from the response body
+     * @returns {Uint8Array} - Audio bytes only
+     */
+    extractAudio(chunk) {
+        const audioParts = [];
+        let offset = 0;
+
+        while (offset < chunk.length) {
+            if (this.metadataLength === null && this.bytesUntilMetadata > 0) {
+                // Audio section
+                const take = Math.min(this.bytesUntilMetadata, chunk.length - offset);
+                audioParts.push(chunk.subarray(offset, offset + take));
+                this.bytesUntilMetadata -= take;
+                offset += take;
+            } else if (this.metadataLength === null) {
+                // Length byte: metadata size in 16-byte units, 0 means no update
+                this.metadataLength = chunk[offset] * 16;
+                this.metadataChunks = [];
+                this.metadataReceived = 0;
+                offset++;
+                if (this.metadataLength === 0) {
+                    this.finishMetadataBlock();
+                }
+            } else {
+                const take = Math.min(this.metadataLength - this.metadataReceived, chunk.length - offset);
+                this.metadataChunks.push(chunk.subarray(offset, offset + take));
+                this.metadataReceived += take;
+                offset += take;
+                if (this.metadataReceived === this.metadataLength) {
+                    this.finishMetadataBlock();
+                }
+            }
+        }
+
+        if (audioParts.length === 1) {
+            return audioParts[0];
+        }
+
+        const total = audioParts.reduce((sum, part) => sum + part.length, 0);
+        const audio = new Uint8Array(total);
+        let position = 0;
+        audioParts.forEach(part => {
+            audio.set(part, position);
+            position += part.length;
+        });
+        return audio;
+    }
+
+    finishMetadataBlock() {
+        if (this.metadataLength > 0) {
+            const bytes = new Uint8Array(this.metadataReceived);
+            let position = 0;
+            this.metadataChunks.forEach(part => {
+                bytes.set(part, position);
+                position += part.length;
+            });
+            this.emitMetadata(decodeMetadata(bytes));
+        }
+
+        this.metadataLength = null;
+        this.metadataChunks = [];
+        this.bytesUntilMetadata = this.metaInt;
+    }
+
+    emitMetadata(text) {
+        const metadata = parseIcyMetadata(text.replace(/\0+$/, ''));
+        if (!metadata.StreamTitle && metadata.StreamTitle !== '') return;
+
+        // Servers repeat the same block; only report changes
+        if (this.lastMetadata && this.lastMetadata.StreamTitle === metadata.StreamTitle) return;
+
+        this.lastMetadata = metadata;
+        if (this.onMetadata) {
+            this.onMetadata(metadata);
+        }
+    }
+}
+
+function decodeMetadata(bytes) {
+    // Most servers send UTF-8, older Shoutcast servers Latin-1
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+        return new TextDecoder('iso-8859-1').decode(bytes);
+    }
+}
@@ -4,21 +4,29 @@ import {
     loadFavorites, 
     saveFavorites, 
     loadSortOrder, 
+    saveSortOrder,
     loadTheme,
     saveTheme 
 } from './storage.js';
 import { 
+    initAudioDecks,
     initAudioContext, 
     resumeAudioContext, 
     getAnalyser, 
-    setupMetadata, 
     playStation,
-    setErrorCallback,
-    setRetryCallback,
+    pausePlayback,
+    setStreamChangeCallback,
+    getCurrentStation,
+    getCurrentStream,
+    isPlaybackStopped,
+    getAudioElement,
+    addAudioEventListener,
     addConnectionTimeout,
+    addStallWatchdog,
     addOfflineDetection,
     addStreamQualityMonitoring
 } from './player.js';
+import { playbackState, PLAYBACK_STATES, PLAYBACK_EVENTS } from './playback-state.js';
 import { 
     initVisualizer, 
     setupVisualization, 
@@ -34,6 +42,7 @@ import {
     populateStationList, 
     setActiveStation, 
     updatePlayerInfo, 
+    updateStreamInfo,
     updateNowPlaying, 
     updateThemeIcons, 
     initSortable, 
@@ -43,11 +52,14 @@ import {
     showRetryMessage,
     clearErrorMessage,
     clearRetryMessage,
+    showAutoplayPrompt,
+    clearAutoplayPrompt,
     showLoadingState,
     clearLoadingState,
     updateScreenReaderStatus,
     showCompatibilityStats,
-    toggleCompatibilityFilter
+    toggleCompatibilityFilter,
+    resetLazyLoading
 } from './ui.js';
 
 import { 
@@ -61,6 +73,21 @@ import {
     cleanupAudioContext 
 } from './memory-manager.js';
 import { createEqualizerUI } from './equalizer.js';
+import { qualitySelector, createQualitySelectorUI, getPlaybackStreams } from './quality-selector.js';
+import { openStationEditor } from './station-editor.js';
+import { openPlaylistImport, openPlaylistExport } from './playlist-ui.js';
+import { trackHistory } from './track-history.js';
+import { openTrackHistory } from './track-history-ui.js';
+import { initMediaSession, updateMediaSessionStation, updateMediaSessionTitle } from './media-session.js';
+import { sleepTimer, createSleepTimerUI } from './sleep-timer.js';
+import { alarmScheduler, initializeAlarm } from './alarm.js';
+import { streamRecorder, initializeRecorder, createRecorderUI } from './recorder.js';
+import { initTimeShiftControls } from './timeshift.js';
+import { createCrossfadeUI } from './crossfade.js';
+import { stationScanner, initializeStationScan, createStationScanUI } from './station-scan.js';
+import { stationNavigator, initializeStationNavigation, initStationNavigationControls } from './station-navigation.js';
+import { playbackResume, initializePlaybackResume } from './playback-resume.js';
+import { openAlarmSettings, formatNextAlarm } from './alarm-ui.js';
 import { initializeVolumeControl, volumeController } from './volume-control.js';
 import { APP_CONFIG } from './config.js';
 import { initCodecManager, getCodecInfoSync } from './codec-manager.js';
@@ -78,26 +105,44 @@ let currentFocusedStationIndex = -1; // Track keyboard focus
 let keyboardNavigationEnabled = false;
 
 // DOM element references
-let stationList, audioPlayer, infoName, infoGenre;
+let stationList, infoName, infoGenre, infoQuality;
 let visualizerContainer, themeToggleButton, searchInput;
 
 function initializeApp() {
     // Get DOM elements
     stationList = document.getElementById('station-list');
-    audioPlayer = document.getElementById('audio-player');
+    initAudioDecks(document.getElementById('audio-player'));
     infoName = document.getElementById('info-name');
     infoGenre = document.getElementById('info-genre');
+    infoQuality = document.getElementById('info-quality');
     visualizerContainer = document.getElementById('visualizer-container');
     themeToggleButton = document.getElementById('theme-toggle');
     searchInput = document.getElementById('search-input');
 
-    // Setup error handling callbacks
-    setErrorCallback((message, error, station) => {
+    // Playback errors, retries, titles and state all arrive as playback events
+    playbackState.on(PLAYBACK_EVENTS.ERROR, ({ message, error, station, errorType }) => {
         // Only show errors for critical audio issues, not metadata problems
         if (message.includes('IcecastMetadataPlayer')) {
             console.warn('Metadata error (non-critical):', message);
             return; // Don't show error UI for metadata issues
         }
+
+        // A scan moves past stations that fail instead of stopping on them
+        if (stationScanner.isScanning()) {
+            console.warn('Scan: skipping station after error:', message);
+            stationScanner.handleError(station);
+            return;
+        }
+
+        // Autoplay policy blocked playback the listener did not start (e.g. an alarm) - ask for a tap
+        if (errorType === 'NOT_ALLOWED' && station) {
+            clearRetryMessage();
+            updateNowPlaying('Tap to start playback', infoGenre);
+            showAutoplayPrompt(station.name, () => {
+                stationList.dispatchEvent(new CustomEvent('stationPlay', { detail: station }));
+            });
+            return;
+        }
         
         let enhancedMessage = message;
         
@@ -128,12 +173,35 @@ function initializeApp() {
         showInitialIcon(visualizerContainer);
     });
 
-    setRetryCallback((currentRetry, maxRetries, station) => {
-        console.log(`Retry attempt ${currentRetry}/${maxRetries} for ${station.name}`);
-        showRetryMessage(currentRetry, maxRetries, station.name);
+    playbackState.on(PLAYBACK_EVENTS.RETRY, ({ attempt, maxAttempts, station }) => {
+        console.log(`Retry attempt ${attempt}/${maxAttempts} for ${station.name}`);
+        showRetryMessage(attempt, maxAttempts, station.name);
         showLoadingState(infoGenre);
     });
 
+    playbackState.on(PLAYBACK_EVENTS.METADATA, ({ station, title, metadata }) => {
+        handleMetadataUpdate(station, title, metadata);
+    });
+
+    playbackState.on(PLAYBACK_EVENTS.STATE_CHANGE, handlePlaybackStateChange);
+
+    playbackState.on(PLAYBACK_EVENTS.STATION_CHANGE, ({ station }) => {
+        handleStationChange(station);
+    });
+
+    // #info-quality is a live region, so a failover to a mirror is announced too
+    setStreamChangeCallback((station, stream) => {
+        if (stream.index > 0) {
+            console.log(`🔀 ${station.name} is playing from ${stream.label}: ${stream.url}`);
+        }
+        updateStreamInfo(stream, infoQuality);
+    });
+
+    // Media keys and the lock screen widget switch stations through the same event as the list
+    initMediaSession((station) => {
+        stationList.dispatchEvent(new CustomEvent('stationPlay', { detail: station }));
+    });
+
     setVisualizerErrorCallback((message, error) => {
         console.warn('Visualizer error:', message, error);
         const vizType = getVisualizerType();
@@ -145,28 +213,33 @@ function initializeApp() {
     });
 
     // Add connection timeout and error event listeners to audio player
-    addConnectionTimeout(audioPlayer);
+    addConnectionTimeout();
     addAudioErrorListeners();
 
+    // Reconnect streams that drop mid-play; attempts show through the retry callback above
+    addStallWatchdog();
+
     // Add offline detection
     addOfflineDetection(
         () => {
             showErrorMessage('You are currently offline. Playback may be interrupted.');
             updateNowPlaying('Offline - No internet connection', infoGenre);
+            playbackResume.handleOffline();
         },
         () => {
             clearErrorMessage();
             updateNowPlaying('Connection restored', infoGenre);
+            playbackResume.handleOnline();
         }
     );
 
     // Add stream quality monitoring
     let qualityInterval;
-    audioPlayer.addEventListener('playing', () => {
+    addAudioEventListener('playing', () => {
         if (qualityInterval) {
             clearInterval(qualityInterval);
         }
-        qualityInterval = addStreamQualityMonitoring(audioPlayer, (quality, bufferHealth) => {
+        qualityInterval = addStreamQualityMonitoring((quality, bufferHealth) => {
             if (quality === 'poor') {
                 console.warn('Poor connection detected, buffer health:', bufferHealth);
                 updateNowPlaying('Poor connection - buffering may occur', infoGenre);
@@ -174,7 +247,7 @@ function initializeApp() {
         });
     });
 
-    audioPlayer.addEventListener('ended', () => {
+    addAudioEventListener('ended', () => {
         if (qualityInterval) {
             clearInterval(qualityInterval);
         }
@@ -183,6 +256,9 @@ function initializeApp() {
     // Load stored data and apply to stations
     loadStoredData();
 
+    // Initialize performance monitoring
+    setupPerformanceMonitoring();
+
     // Initialize codec manager
     initCodecManager().then(() => {
         console.log('✅ Codec manager ready');
@@ -206,6 +282,39 @@ function initializeApp() {
         populateStationList(stationList, favorites, searchInput.value);
     });
 
+    // Stream quality, crossfade, scan, the sleep timer and recording live with the playback controls
+    const playerCard = document.getElementById('custom-audio-player');
+    if (playerCard) {
+        createQualitySelectorUI(playerCard);
+        createCrossfadeUI(playerCard);
+        createStationScanUI(playerCard);
+        createSleepTimerUI(playerCard);
+        createRecorderUI(playerCard);
+    }
+    initializeRecorder();
+
+    // Scan walks the list as currently searched and filtered, through the same event as the list
+    initializeStationScan((station) => {
+        stationList.dispatchEvent(new CustomEvent('stationPlay', { detail: station }));
+    }, () => searchInput.value);
+
+    // Next/previous/shuffle follow the list's current search and filters too
+    initializeStationNavigation((station) => {
+        stationList.dispatchEvent(new CustomEvent('stationPlay', { detail: station }));
+    }, () => searchInput.value);
+
+    // Wake-up alarm starts its station through the same event as the station list
+    initializeAlarm((station) => {
+        stationList.dispatchEvent(new CustomEvent('stationPlay', { detail: station }));
+    });
+
+    // Reconnecting after an outage and "continue listening" go through the same event too
+    initializePlaybackResume((station) => {
+        stationList.dispatchEvent(new CustomEvent('stationPlay', { detail: station }));
+    });
+    playbackResume.offerLastStation();
+    qualitySelector.on('change', handleQualityPreferenceChange);
+
     // Create and add equalizer UI
     const controlsContainer = document.getElementById('controls-container') || document.querySelector('.controls');
     if (controlsContainer) {
@@ -251,9 +360,6 @@ function loadStoredData() {
         const newStations = stations.filter(s => !storedOrder.includes(s.name));
         setStations([...orderedStations, ...newStations]);
     }
-
-    // Initialize performance monitoring
-    setupPerformanceMonitoring();
 }
 
 function setupPerformanceMonitoring() {
@@ -349,8 +455,10 @@ function playFocusedStation() {
     const visibleStations = getVisibleStations();
     if (currentFocusedStationIndex >= 0 && currentFocusedStationIndex < visibleStations.length) {
         const focusedStation = visibleStations[currentFocusedStationIndex];
-        const stationName = focusedStation.dataset.stationName;
-        handleStationClick(stationName);
+        const station = findStationByName(focusedStation.dataset.stationName);
+        if (station) {
+            stationList.dispatchEvent(new CustomEvent('stationPlay', { detail: station }));
+        }
     }
 }
 
@@ -360,6 +468,13 @@ function handleKeyboardNavigation(event) {
         return;
     }
     
+    // While scanning, Enter or Space stays on the station being sampled
+    if (stationScanner.isScanning() && (event.key === 'Enter' || event.key === ' ') && !event.target.closest('button, select, a')) {
+        event.preventDefault();
+        stationScanner.stop();
+        return;
+    }
+    
     switch (event.key) {
         case 'ArrowDown':
             event.preventDefault();
@@ -407,6 +522,43 @@ function handleKeyboardNavigation(event) {
             }
             break;
             
+        case 'n':
+        case 'N':
+        case 'p':
+        case 'P':
+            // Next/previous station in the list (Ctrl+P is the performance display)
+            if (!event.ctrlKey && !event.metaKey && !event.altKey) {
+                event.preventDefault();
+                if (event.key.toLowerCase() === 'n') {
+                    stationNavigator.next();
+                } else {
+                    stationNavigator.previous();
+                }
+            }
+            break;
+            
+        case 'r':
+        case 'R':
+            // Toggle shuffle for next/previous
+            if (!event.ctrlKey && !event.metaKey && !event.altKey) {
+                event.preventDefault();
+                stationNavigator.setShuffle(!stationNavigator.shuffle);
+            }
+            break;
+            
+        case 's':
+        case 'S':
+            // Start or stop scanning the listed stations
+            if (!event.ctrlKey && !event.metaKey && !event.altKey) {
+                event.preventDefault();
+                if (stationScanner.isScanning()) {
+                    stationScanner.stop();
+                } else {
+                    stationScanner.start();
+                }
+            }
+            break;
+            
         case 'f':
         case 'F':
             // Toggle favorite for focused station
@@ -430,6 +582,9 @@ function showKeyboardHelp() {
         ↑/↓ Arrow keys: Navigate stations
         Enter/Space: Play selected station
         F: Toggle favorite for focused station
+        N/P: Next/previous station
+        R: Toggle shuffle
+        S: Scan the listed stations (Enter/Space stays on one)
         Home/End: Go to first/last station
         Escape: Return to search box
         ?: Show this help
@@ -438,7 +593,7 @@ function showKeyboardHelp() {
     updateScreenReaderStatus(helpMessage, 'polite');
     
     // Also show visual help
-    alert(`Keyboard Shortcuts:\n\n↑/↓ Arrow keys - Navigate stations\nEnter/Space - Play selected station\nF - Toggle favorite for focused station\nHome/End - Go to first/last station\nEscape - Return to search box\n? - Show this help\nTab - Navigate between controls`);
+    alert(`Keyboard Shortcuts:\n\n↑/↓ Arrow keys - Navigate stations\nEnter/Space - Play selected station\nF - Toggle favorite for focused station\nN/P - Next/previous station\nR - Toggle shuffle\nS - Scan the listed stations (Enter/Space stays on one)\nHome/End - Go to first/last station\nEscape - Return to search box\n? - Show this help\nTab - Navigate between controls`);
 }
 
 function setupEventListeners() {
@@ -451,9 +606,6 @@ function setupEventListeners() {
     // Station play custom event handler
     stationList.addEventListener('stationPlay', handleStationPlay);
 
-    // Audio player events
-    audioPlayer.addEventListener('playing', handleAudioPlaying);
-
     // Theme toggle
     themeToggleButton.addEventListener('click', handleThemeToggle);
 
@@ -465,6 +617,51 @@ function setupEventListeners() {
         });
     }
 
+    // Add user station
+    const addStationButton = document.getElementById('add-station');
+    if (addStationButton) {
+        addStationButton.addEventListener('click', () => openStationEditor(null, stationEditorCallbacks));
+    }
+
+    // Import stations from a playlist file
+    const importPlaylistButton = document.getElementById('import-playlist');
+    if (importPlaylistButton) {
+        importPlaylistButton.addEventListener('click', () => {
+            openPlaylistImport({ onImport: handlePlaylistImport });
+        });
+    }
+
+    // Export stations, favorites and order as a playlist
+    const exportPlaylistButton = document.getElementById('export-playlist');
+    if (exportPlaylistButton) {
+        exportPlaylistButton.addEventListener('click', () => {
+            openPlaylistExport({ searchTerm: searchInput.value });
+        });
+    }
+
+    // Wake-up alarm settings; the button title shows the next alarm
+    const alarmButton = document.getElementById('alarm-settings');
+    if (alarmButton) {
+        const updateAlarmButton = (alarm, nextTime) => {
+            const label = nextTime ? `Alarm: ${formatNextAlarm(nextTime)} - ${alarm.stationName}` : 'Set a wake-up alarm';
+            alarmButton.title = label;
+            alarmButton.setAttribute('aria-label', label);
+            alarmButton.classList.toggle('text-indigo-600', Boolean(nextTime));
+        };
+        alarmButton.addEventListener('click', openAlarmSettings);
+        alarmScheduler.on('change', updateAlarmButton);
+        updateAlarmButton(alarmScheduler.getAlarm(), alarmScheduler.getNextTime());
+    }
+
+    // Browse and export the now-playing track history
+    const trackHistoryButton = document.getElementById('track-history');
+    if (trackHistoryButton) {
+        trackHistoryButton.addEventListener('click', () => {
+            const station = getCurrentStation();
+            openTrackHistory({ stationName: station ? station.name : '' });
+        });
+    }
+
     // Search input
     searchInput.addEventListener('input', handleSearchInput);
     
@@ -485,6 +682,16 @@ function handleStationListClick(event) {
         return;
     }
 
+    const editBtn = event.target.closest('.edit-station-btn');
+    if (editBtn) {
+        event.stopPropagation();
+        const station = findStationByName(editBtn.dataset.stationName);
+        if (station) {
+            openStationEditor(station, stationEditorCallbacks);
+        }
+        return;
+    }
+
     const stationItem = event.target.closest('.station-item');
     if (stationItem) {
         const stationName = stationItem.dataset.stationName;
@@ -492,57 +699,22 @@ function handleStationListClick(event) {
 
         if (!selectedStation) return;
 
-        // Clear any previous error/retry messages
-        clearErrorMessage();
-        clearRetryMessage();
-
-        // Clear keyboard navigation when using mouse
-        currentFocusedStationIndex = -1;
-        keyboardNavigationEnabled = false;
-        
-        // Remove keyboard focus styling from all stations
-        document.querySelectorAll('.station-item').forEach(station => {
-            station.classList.remove('keyboard-focused');
-            station.setAttribute('tabindex', '-1');
-        });
-
-        setActiveStation(stationName);
-        updatePlayerInfo(selectedStation, infoName);
-        showLoadingState(infoGenre);
-        
-        playStation(selectedStation, audioPlayer)
-            .then(() => {
-                clearLoadingState(infoGenre, selectedStation.genre);
-                updateScreenReaderStatus(`Now playing: ${selectedStation.name}`, 'polite');
-                
-                // Set up metadata with error handling - don't let it break audio playback
-                try {
-                    setupMetadata(selectedStation, audioPlayer, (title) => {
-                        updateNowPlaying(title, infoGenre);
-                    });
-                } catch (error) {
-                    console.warn('Metadata setup failed (audio continues):', error);
-                    updateNowPlaying(selectedStation.genre, infoGenre);
-                }
-            })
-            .catch(error => {
-                // Error is already handled by the error callback
-                // Just ensure loading state is cleared
-                clearLoadingState(infoGenre, "Error loading stream");
-            });
+        selectStation(selectedStation);
     }
 }
 
-function handleStationPlay(event) {
-    console.log('handleStationPlay called:', event.detail); // Debug log
-    const station = event.detail;
-    if (!station) return;
-
+/**
+ * Play a station chosen with the mouse or through a stationPlay event
+ * The list, player card and media session follow through the STATION_CHANGE subscriber.
+ * @param {Object} station - Station to play
+ */
+function selectStation(station) {
     // Clear any previous error/retry messages
     clearErrorMessage();
     clearRetryMessage();
+    clearAutoplayPrompt();
 
-    // Clear keyboard navigation when using custom event
+    // Clear keyboard navigation when not using the keyboard
     currentFocusedStationIndex = -1;
     keyboardNavigationEnabled = false;
     
@@ -551,31 +723,85 @@ function handleStationPlay(event) {
         stationItem.classList.remove('keyboard-focused');
         stationItem.setAttribute('tabindex', '-1');
     });
+    
+    // Progress, titles and failures come back as playback events
+    playStation(station).catch(() => {});
+}
 
+/**
+ * Show a station that is starting, and let the features that follow the current station know
+ * @param {Object} station - Station from the STATION_CHANGE event
+ */
+function handleStationChange(station) {
     setActiveStation(station.name);
-    updatePlayerInfo(station, infoName);
-    showLoadingState(infoGenre);
-    
-    playStation(station, audioPlayer)
-        .then(() => {
+    updatePlayerInfo(station, infoName, infoQuality);
+    updateMediaSessionStation(station);
+    stationScanner.handleStationChange(station);
+    stationNavigator.recordStation(station);
+}
+
+/**
+ * Show a metadata update and pass stream titles on to the features that follow them
+ * @param {Object} station - Station the update belongs to
+ * @param {string} title - Stream title, or the station genre before any title arrives
+ * @param {Object} metadata - Metadata object; absent for the genre placeholder
+ */
+function handleMetadataUpdate(station, title, metadata) {
+    updateNowPlaying(title, infoGenre);
+    if (!metadata) return;
+
+    trackHistory.record(station, title, metadata);
+    updateMediaSessionTitle(station, title, metadata);
+    sleepTimer.handleTitleChange(station, title);
+    streamRecorder.handleTitleChange(station, title);
+}
+
+/**
+ * Switch the playing station to the newly preferred quality tier, if that changes its stream
+ */
+function handleQualityPreferenceChange() {
+    const station = getCurrentStation();
+    const stream = getCurrentStream();
+    if (!station || !stream || !playbackState.isActive()) return;
+
+    const [preferred] = getPlaybackStreams(station);
+    if (preferred && preferred.url !== stream.url) {
+        console.log(`🎚️ Quality preference changed, switching ${station.name} to ${preferred.label}`);
+        stationList.dispatchEvent(new CustomEvent('stationPlay', { detail: station }));
+    }
+}
+
+function handleStationPlay(event) {
+    console.log('handleStationPlay called:', event.detail); // Debug log
+    const station = event.detail;
+    if (!station) return;
+
+    selectStation(station);
+}
+
+/**
+ * Show loading, playing and error progress in the player info
+ * @param {Object} event - Playback statechange event
+ */
+function handlePlaybackStateChange({ state, previous, station }) {
+    switch (state) {
+        case PLAYBACK_STATES.RESOLVING:
+        case PLAYBACK_STATES.BUFFERING:
+        case PLAYBACK_STATES.RECONNECTING:
+            showLoadingState(infoGenre);
+            break;
+        case PLAYBACK_STATES.PLAYING:
+            clearRetryMessage();
             clearLoadingState(infoGenre, station.genre);
-            updateScreenReaderStatus(`Now playing: ${station.name}`, 'polite');
-            
-            // Set up metadata with error handling - don't let it break audio playback
-            try {
-                setupMetadata(station, audioPlayer, (title) => {
-                    updateNowPlaying(title, infoGenre);
-                });
-            } catch (error) {
-                console.warn('Metadata setup failed (audio continues):', error);
-                updateNowPlaying(station.genre, infoGenre);
+            if ([PLAYBACK_STATES.CONNECTING, PLAYBACK_STATES.RECONNECTING].includes(previous)) {
+                updateScreenReaderStatus(`Now playing: ${station.name}`, 'polite');
             }
-        })
-        .catch(error => {
-            // Error is already handled by the error callback
-            // Just ensure loading state is cleared
-            clearLoadingState(infoGenre, "Error loading stream");
-        });
+            handleAudioPlaying();
+            break;
+        case PLAYBACK_STATES.ERROR:
+            clearLoadingState(infoGenre, 'Error loading stream');
+            break;
+    }
 }
 
 function handleAudioPlaying() {
@@ -584,19 +810,19 @@ function handleAudioPlaying() {
     
     if (!isVisualizerInitialized()) {
         console.log('Visualizer not initialized, attempting to initialize...');
-        const audioContextData = initAudioContext(audioPlayer);
+        const audioContextData = initAudioContext();
         if (audioContextData) {
             console.log('Audio context created, initializing visualizer...');
             
             // Initialize volume control with the audio element
-            initializeVolumeControl(audioPlayer);
+            initializeVolumeControl(getAudioElement());
             
             const success = initVisualizer(visualizerContainer, audioContextData.audioContext, audioContextData.analyser);
             if (success) {
                 console.log('Visualizer initialized successfully, setting up visualization...');
                 setupVisualization(currentViz, audioContextData.analyser);
                 console.log('Starting animation...');
-                animate(audioContextData.analyser, currentViz, !audioPlayer.paused);
+                animate(audioContextData.analyser, currentViz);
                 
                 // Log the visualizer type for debugging
                 const vizType = getVisualizerType();
@@ -654,10 +880,66 @@ function toggleFavorite(stationName) {
     keyboardNavigationEnabled = false;
 }
 
+// Station editor callbacks - keep favorites and the saved order in sync with user stations
+const stationEditorCallbacks = {
+    onSave: (station, previousName) => {
+        if (previousName && previousName !== station.name) {
+            renameStoredStation(previousName, station.name);
+        }
+        refreshAfterStationChange();
+    },
+    onDelete: (station) => {
+        const favIndex = favorites.indexOf(station.name);
+        if (favIndex > -1) {
+            favorites.splice(favIndex, 1);
+            saveFavorites(favorites);
+        }
+        refreshAfterStationChange();
+    }
+};
+
+function renameStoredStation(oldName, newName) {
+    const favIndex = favorites.indexOf(oldName);
+    if (favIndex > -1) {
+        favorites[favIndex] = newName;
+        saveFavorites(favorites);
+    }
+
+    const storedOrder = loadSortOrder();
+    if (storedOrder) {
+        saveSortOrder(storedOrder.map(name => name === oldName ? newName : name));
+    }
+
+    trackHistory.renameStation(oldName, newName);
+    alarmScheduler.renameStation(oldName, newName);
+    stationNavigator.renameStation(oldName, newName);
+    playbackResume.renameStation(oldName, newName);
+}
+
+function handlePlaylistImport(result) {
+    // Apply favorite flags carried by JSON exports
+    const newFavorites = (result.favoriteNames || []).filter(name => !favorites.includes(name));
+    if (newFavorites.length) {
+        favorites.push(...newFavorites);
+        saveFavorites(favorites);
+    }
+    refreshAfterStationChange();
+}
+
+function refreshAfterStationChange() {
+    loadStoredData();
+    resetLazyLoading();
+    populateStationList(stationList, favorites, searchInput.value);
+    
+    // Reset keyboard focus when list changes
+    currentFocusedStationIndex = -1;
+    keyboardNavigationEnabled = false;
+}
+
 function addAudioErrorListeners() {
     // Handle HTML5 audio errors
-    audioPlayer.addEventListener('error', (e) => {
-        const error = audioPlayer.error;
+    addAudioEventListener('error', (e) => {
+        const error = e.target.error;
         if (!error) return;
         
         const errorTypes = ['Unknown error', 'MEDIA_ERR_ABORTED', 'MEDIA_ERR_NETWORK', 'MEDIA_ERR_DECODE', 'MEDIA_ERR_SRC_NOT_SUPPORTED'];
@@ -672,45 +954,30 @@ function addAudioErrorListeners() {
     });
 
     // Handle loading states
-    audioPlayer.addEventListener('loadstart', () => {
+    addAudioEventListener('loadstart', () => {
         console.log('Loading started');
     });
 
-    audioPlayer.addEventListener('loadeddata', () => {
+    addAudioEventListener('loadeddata', () => {
         console.log('Data loaded');
         clearRetryMessage();
     });
 
-    audioPlayer.addEventListener('canplay', () => {
+    addAudioEventListener('canplay', () => {
         console.log('Can start playing');
         clearRetryMessage();
     });
 
-    audioPlayer.addEventListener('stalled', () => {
+    addAudioEventListener('stalled', () => {
         console.warn('Loading stalled - network might be slow');
         // Don't immediately show error - give it some time
         setTimeout(() => {
-            if (audioPlayer.readyState < 2 && audioPlayer.networkState === audioPlayer.NETWORK_LOADING) {
+            const audioElement = getAudioElement();
+            if (audioElement.readyState < 2 && audioElement.networkState === audioElement.NETWORK_LOADING) {
                 updateNowPlaying('Connection seems slow...', infoGenre);
             }
         }, 3000);
     });
-
-    audioPlayer.addEventListener('waiting', () => {
-        console.log('Buffering...');
-        showLoadingState(infoGenre);
-    });
-
-    audioPlayer.addEventListener('canplaythrough', () => {
-        console.log('Can play through');
-        clearLoadingState(infoGenre);
-    });
-    
-    // Also clear loading state when playback resumes
-    audioPlayer.addEventListener('playing', () => {
-        console.log('Playback resumed/started');
-        clearLoadingState(infoGenre);
-    });
 }
 
 function getUserFriendlyAudioErrorMessage(errorCode) {
@@ -748,6 +1015,9 @@ function cleanup() {
     
     // Clean up volume controller
     volumeController.cleanup();
+
+    // Save whatever has been recorded so far
+    streamRecorder.stop();
     
     // Clear search cache
     clearSearchCache();
@@ -776,40 +1046,38 @@ document.addEventListener('DOMContentLoaded', () => {
     const muteBtn = customPlayer.querySelector('#mute-btn');
     const volumeUpIcon = customPlayer.querySelector('#volume-up-icon');
     const volumeMuteIcon = customPlayer.querySelector('#volume-mute-icon');
-    const progressBar = customPlayer.querySelector('#progress-bar');
     const volumeBar = customPlayer.querySelector('#volume-bar');
-    const currentTimeEl = customPlayer.querySelector('#current-time');
-    const durationEl = customPlayer.querySelector('#duration');
     const stationTitle = customPlayer.querySelector('#station-title');
     const stationGenre = customPlayer.querySelector('#station-genre');
 
-    // Reference to main audio element
-    const audio = document.getElementById('audio-player');
-
     // Play/Pause logic
     playPauseBtn.addEventListener('click', () => {
-        if (audio.paused) {
-            audio.play();
+        const station = getCurrentStation();
+        if (station && (isPlaybackStopped() || playbackState.getState() === PLAYBACK_STATES.ERROR)) {
+            // Playback was stopped (e.g. by the sleep timer) or failed - reconnect to the station
+            document.getElementById('station-list').dispatchEvent(new CustomEvent('stationPlay', { detail: station }));
+        } else if (playbackState.isActive()) {
+            pausePlayback();
         } else {
-            audio.pause();
+            getAudioElement().play();
         }
     });
-    audio.addEventListener('play', () => {
-        playIcon.classList.add('hidden');
-        pauseIcon.classList.remove('hidden');
-    });
-    audio.addEventListener('pause', () => {
-        playIcon.classList.remove('hidden');
-        pauseIcon.classList.add('hidden');
+    // Show pause while a station plays or is on its way
+    playbackState.on(PLAYBACK_EVENTS.STATE_CHANGE, () => {
+        const active = playbackState.isActive();
+        playIcon.classList.toggle('hidden', active);
+        pauseIcon.classList.toggle('hidden', !active);
     });
 
     // Mute/Unmute logic
+    // Both playback decks share volume and mute, so setting the active one is enough
     muteBtn.addEventListener('click', () => {
+        const audio = getAudioElement();
         audio.muted = !audio.muted;
         updateMuteUI();
     });
     function updateMuteUI() {
-        if (audio.muted) {
+        if (getAudioElement().muted) {
             volumeUpIcon.classList.add('hidden');
             volumeMuteIcon.classList.remove('hidden');
         } else {
@@ -817,33 +1085,21 @@ document.addEventListener('DOMContentLoaded', () => {
             volumeMuteIcon.classList.add('hidden');
         }
     }
-    audio.addEventListener('volumechange', updateMuteUI);
+    addAudioEventListener('volumechange', updateMuteUI);
 
     // Volume control
     volumeBar.addEventListener('input', (e) => {
-        audio.volume = e.target.value / 100;
+        getAudioElement().volume = e.target.value / 100;
     });
-    audio.addEventListener('volumechange', () => {
-        volumeBar.value = Math.round(audio.volume * 100);
+    addAudioEventListener('volumechange', () => {
+        volumeBar.value = Math.round(getAudioElement().volume * 100);
     });
 
-    // Progress bar logic
-    audio.addEventListener('timeupdate', () => {
-        // if (audio.duration) {
-        //     progressBar.value = Math.round((audio.currentTime / audio.duration) * 100);
-        //     currentTimeEl.textContent = formatTime(audio.currentTime);
-        //     //durationEl.textContent = formatTime(audio.duration);
-        // } else {
-        //     progressBar.value = 0;
-        //     currentTimeEl.textContent = '0:00';
-        //     durationEl.textContent = '0:00';
-        // }
-    });
-    progressBar.addEventListener('input', (e) => {
-        if (audio.duration) {
-            audio.currentTime = (e.target.value / 100) * audio.duration;
-        }
-    });
+    // Progress bar: position in the time-shift buffer, "LIVE" when at the newest audio
+    initTimeShiftControls(customPlayer);
+
+    // Previous/next/shuffle buttons around play/pause
+    initStationNavigationControls(customPlayer);
 
     // Update station info when station changes
     function updateCustomPlayerInfo(station) {
@@ -855,15 +1111,6 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Initial UI state
     updateMuteUI();
-    volumeBar.value = Math.round(audio.volume * 100);
-    currentTimeEl.textContent = '0:00';
-    durationEl.textContent = '0:00';
+    volumeBar.value = Math.round(getAudioElement().volume * 100);
 });
-
-function formatTime(seconds) {
-    seconds = Math.floor(seconds);
-    const min = Math.floor(seconds / 60);
-    const sec = seconds % 60;
-    return `${min}:${sec.toString().padStart(2, '0')}`;
-}
 // --- End Custom Audio Player UI Logic ---
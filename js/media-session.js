@@ -0,0 +1,120 @@
+// Media Session integration - lock screen metadata and OS/hardware media keys
+import { getCurrentStation, isPlaybackStopped, stopPlayback, pausePlayback, getAudioElement } from './player.js';
+import { playbackState, PLAYBACK_STATES, PLAYBACK_EVENTS } from './playback-state.js';
+import { parseTrackTitle } from './track-history.js';
+import { stationNavigator } from './station-navigation.js';
+
+const APP_NAME = 'Hi-Fi Radio';
+const DEFAULT_ARTWORK = [
+    { src: '/favicon.svg', sizes: 'any', type: 'image/svg+xml' },
+    { src: '/favicon-32x32.png', sizes: '32x32', type: 'image/png' }
+];
+
+let onStationRequest = null;
+
+export function isMediaSessionSupported() {
+    return 'mediaSession' in navigator;
+}
+
+/**
+ * Register media key handlers and keep the session's playback state in sync with playback
+ * @param {Function} onStationChange - Called with a station that should start playing
+ * @returns {boolean} - True if the Media Session API is available
+ */
+export function initMediaSession(onStationChange) {
+    if (!isMediaSessionSupported()) {
+        console.log('Media Session API not supported - media keys unavailable');
+        return false;
+    }
+
+    onStationRequest = onStationChange;
+
+    setActionHandler('play', handlePlay);
+    setActionHandler('pause', pausePlayback);
+    setActionHandler('stop', stopPlayback);
+    setActionHandler('nexttrack', () => stationNavigator.next());
+    setActionHandler('previoustrack', () => stationNavigator.previous());
+
+    // Live streams cannot seek; clearing these stops browsers showing seek buttons
+    ['seekbackward', 'seekforward', 'seekto'].forEach(action => setActionHandler(action, null));
+
+    playbackState.on(PLAYBACK_EVENTS.STATE_CHANGE, ({ state }) => {
+        if (state === PLAYBACK_STATES.PAUSED) {
+            navigator.mediaSession.playbackState = 'paused';
+        } else if (state === PLAYBACK_STATES.IDLE || state === PLAYBACK_STATES.ERROR) {
+            navigator.mediaSession.playbackState = 'none';
+        } else {
+            navigator.mediaSession.playbackState = 'playing';
+        }
+    });
+
+    console.log('🎛️ Media Session handlers registered');
+    return true;
+}
+
+/**
+ * Show a station in the lock screen / media notification before any track title is known
+ * @param {Object} station - Station that is starting
+ */
+export function updateMediaSessionStation(station) {
+    if (!isMediaSessionSupported() || !station) return;
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title: station.name,
+        artist: station.genre || '',
+        album: APP_NAME,
+        artwork: getStationArtwork(station)
+    });
+}
+
+/**
+ * Show the current track title from station metadata
+ * @param {Object} station - Station that is playing
+ * @param {string} rawTitle - StreamTitle as received
+ * @param {Object} metadata - Metadata object (ICY fields or Vorbis comments)
+ */
+export function updateMediaSessionTitle(station, rawTitle, metadata = {}) {
+    if (!isMediaSessionSupported() || !station) return;
+    if (!rawTitle || !rawTitle.trim()) {
+        updateMediaSessionStation(station);
+        return;
+    }
+
+    const { artist, title } = parseTrackTitle(rawTitle.trim(), metadata);
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title,
+        artist: artist || station.name,
+        album: station.name,
+        artwork: getStationArtwork(station)
+    });
+}
+
+function getStationArtwork(station) {
+    if (!station.logo) {
+        return DEFAULT_ARTWORK;
+    }
+    return [{ src: station.logo, sizes: '512x512' }, ...DEFAULT_ARTWORK];
+}
+
+function handlePlay() {
+    const station = getCurrentStation();
+
+    // After a stop or a failure the connection is closed, so reconnect instead of resuming
+    if (station && (isPlaybackStopped() || playbackState.getState() === PLAYBACK_STATES.ERROR)) {
+        onStationRequest(station);
+        return;
+    }
+
+    getAudioElement().play().catch(error => {
+        console.warn('Media Session play failed:', error);
+    });
+}
+
+function setActionHandler(action, handler) {
+    try {
+        navigator.mediaSession.setActionHandler(action, handler);
+    } catch (error) {
+        // Older browsers throw for actions they do not know
+        console.warn(`Media Session action "${action}" not supported`);
+    }
+}
@@ -1,9 +1,94 @@
 // Memory Management utilities for the Radio Player
 import { DEBUG_CONFIG } from './config.js';
 
+/**
+ * Resources that belong to one piece of work, such as a station session, and end together
+ * Disposing aborts the scope's signal, clears its timers and listeners and runs its cleanup functions.
+ */
+export class ResourceScope {
+    constructor(name) {
+        this.name = name;
+        this.abortController = new AbortController();
+        this.signal = this.abortController.signal;
+        this.timeouts = new Set();
+        this.intervals = [];
+        this.eventListeners = [];
+        this.cleanupFunctions = [];
+    }
+
+    get disposed() {
+        return this.signal.aborted;
+    }
+
+    /**
+     * setTimeout that is cleared when the scope is disposed
+     * @param {Function} callback - Called after the delay
+     * @param {number} delay - Milliseconds
+     * @returns {number} - Timeout id
+     */
+    setTimeout(callback, delay) {
+        const timeoutId = setTimeout(() => {
+            this.timeouts.delete(timeoutId);
+            callback();
+        }, delay);
+        this.timeouts.add(timeoutId);
+        return timeoutId;
+    }
+
+    addInterval(intervalId) {
+        this.intervals.push(intervalId);
+    }
+
+    addEventListener(element, event, handler, options = {}) {
+        element.addEventListener(event, handler, options);
+        this.eventListeners.push({ element, event, handler, options });
+    }
+
+    /**
+     * Run a function when the scope is disposed (at once if it already is)
+     * @param {Function} fn - Cleanup function
+     * @returns {Function} - Unregisters the function, for resources handed on before the scope ends
+     */
+    addCleanup(fn) {
+        if (this.disposed) {
+            fn();
+            return () => {};
+        }
+
+        this.cleanupFunctions.push(fn);
+        return () => {
+            this.cleanupFunctions = this.cleanupFunctions.filter(existing => existing !== fn);
+        };
+    }
+
+    dispose() {
+        if (this.disposed) return;
+        this.abortController.abort();
+
+        this.timeouts.forEach(id => clearTimeout(id));
+        this.timeouts.clear();
+        this.intervals.forEach(id => clearInterval(id));
+        this.intervals = [];
+
+        this.eventListeners.forEach(({ element, event, handler, options }) => {
+            element.removeEventListener(event, handler, options);
+        });
+        this.eventListeners = [];
+
+        this.cleanupFunctions.forEach(fn => {
+            try {
+                fn();
+            } catch (e) {
+                console.warn(`Cleanup in ${this.name} failed:`, e);
+            }
+        });
+        this.cleanupFunctions = [];
+    }
+}
+
 class MemoryManager {
     constructor() {
-        this.cleanup = [];
+        this.cleanupFunctions = [];
         this.observers = [];
         this.intervals = [];
         this.timeouts = [];
@@ -13,7 +98,24 @@ class MemoryManager {
 
     // Register cleanup functions
     addCleanup(fn) {
-        this.cleanup.push(fn);
+        this.cleanupFunctions.push(fn);
+    }
+
+    /**
+     * Create a scope for resources that are torn down together before the page unloads
+     * @param {string} name - Name for log messages
+     * @returns {ResourceScope} - The scope; it is also disposed by cleanup()
+     */
+    createScope(name) {
+        const scope = new ResourceScope(name);
+        const disposeScope = () => scope.dispose();
+        this.addCleanup(disposeScope);
+
+        // Drop the reference once the scope ends by itself
+        scope.addCleanup(() => {
+            this.cleanupFunctions = this.cleanupFunctions.filter(fn => fn !== disposeScope);
+        });
+        return scope;
     }
 
     // Register intervals for cleanup
@@ -95,15 +197,15 @@ class MemoryManager {
         });
         this.audioContexts = [];
 
-        // Run custom cleanup functions
-        this.cleanup.forEach(fn => {
+        // Run custom cleanup functions (a copy - disposing scopes removes their entries)
+        [...this.cleanupFunctions].forEach(fn => {
             try {
                 fn();
             } catch (e) {
                 console.warn('Cleanup function failed:', e);
             }
         });
-        this.cleanup = [];
+        this.cleanupFunctions = [];
 
         console.log('Memory cleanup completed');
     }
@@ -0,0 +1,142 @@
+// PCM player worklet - plays decoded audio posted from the main thread (runs in the AudioWorkletGlobalScope)
+
+const PROGRESS_INTERVAL = 0.25; // seconds of output between progress messages
+
+/**
+ * Queues decoded PCM and plays it at the context's sample rate
+ * Messages in: { type: 'pcm', channelData, sampleRate } and { type: 'stop' }.
+ * Messages out: { type: 'waiting', waiting } when the queue runs dry or refills, and
+ * { type: 'progress', playedSeconds, bufferedSeconds } while playing.
+ */
+class PcmPlayerProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { prebufferSeconds, maxBufferSeconds } = options.processorOptions;
+        this.prebufferFrames = Math.round(prebufferSeconds * sampleRate);
+        this.maxBufferFrames = Math.round(maxBufferSeconds * sampleRate);
+
+        this.chunks = []; // { channels: Float32Array[], offset } at the context's sample rate
+        this.bufferedFrames = 0;
+        this.waiting = true; // Silent until prebufferFrames are queued
+        this.playedFrames = 0;
+        this.framesSinceProgress = 0;
+        this.stopped = false;
+
+        // Resampling state carried across chunks so their joins stay continuous
+        this.lastSamples = null;
+        this.resamplePhase = 1;
+
+        this.port.onmessage = ({ data }) => {
+            if (data.type === 'pcm') {
+                this.enqueue(data.channelData, data.sampleRate);
+            } else if (data.type === 'stop') {
+                this.stopped = true;
+            }
+        };
+    }
+
+    enqueue(channelData, inputRate) {
+        const channels = inputRate === sampleRate ? channelData : this.resample(channelData, inputRate);
+        if (!channels.length || !channels[0].length) return;
+
+        this.chunks.push({ channels, offset: 0 });
+        this.bufferedFrames += channels[0].length;
+
+        // More queued than a live stream needs (a server burst, or a paused context) - drop the oldest audio
+        while (this.bufferedFrames > this.maxBufferFrames && this.chunks.length > 1) {
+            const dropped = this.chunks.shift();
+            this.bufferedFrames -= dropped.channels[0].length - dropped.offset;
+        }
+    }
+
+    /**
+     * Linear resampling to the context's rate
+     * Output positions are counted from the previous chunk's last sample, so chunks join without a gap.
+     * @param {Float32Array[]} channelData - One array per channel at inputRate
+     * @param {number} inputRate - Sample rate of the decoded audio
+     * @returns {Float32Array[]} - Channels at the context's sample rate
+     */
+    resample(channelData, inputRate) {
+        const step = inputRate / sampleRate;
+        const length = channelData[0].length;
+        if (!this.lastSamples || this.lastSamples.length !== channelData.length) {
+            this.lastSamples = channelData.map(channel => channel[0]);
+            this.resamplePhase = 1;
+        }
+
+        const outputLength = Math.max(0, Math.floor((length - this.resamplePhase) / step) + 1);
+        const output = channelData.map((channel, c) => {
+            const samples = new Float32Array(outputLength);
+            let position = this.resamplePhase - 1;
+            for (let i = 0; i < outputLength; i++, position += step) {
+                const index = Math.floor(position);
+                const fraction = position - index;
+                const before = index < 0 ? this.lastSamples[c] : channel[index];
+                const after = channel[Math.min(index + 1, length - 1)];
+                samples[i] = before + (after - before) * fraction;
+            }
+            return samples;
+        });
+
+        this.resamplePhase = this.resamplePhase + outputLength * step - length;
+        this.lastSamples = channelData.map(channel => channel[length - 1]);
+        return output;
+    }
+
+    process(inputs, outputs) {
+        if (this.stopped) return false;
+
+        const output = outputs[0];
+        const frames = output[0].length;
+
+        if (this.waiting) {
+            if (this.bufferedFrames < this.prebufferFrames) return true;
+            this.setWaiting(false);
+        }
+
+        let written = 0;
+        while (written < frames && this.chunks.length) {
+            const chunk = this.chunks[0];
+            const available = chunk.channels[0].length - chunk.offset;
+            const count = Math.min(available, frames - written);
+
+            output.forEach((outputChannel, c) => {
+                // Mono streams fill every output channel
+                const source = chunk.channels[Math.min(c, chunk.channels.length - 1)];
+                outputChannel.set(source.subarray(chunk.offset, chunk.offset + count), written);
+            });
+
+            chunk.offset += count;
+            written += count;
+            if (chunk.offset >= chunk.channels[0].length) {
+                this.chunks.shift();
+            }
+        }
+
+        this.bufferedFrames -= written;
+        this.playedFrames += written;
+        this.framesSinceProgress += written;
+
+        if (written < frames) {
+            // Ran dry - the rest of this block stays silent until the queue refills
+            this.setWaiting(true);
+        }
+
+        if (this.framesSinceProgress >= PROGRESS_INTERVAL * sampleRate) {
+            this.framesSinceProgress = 0;
+            this.port.postMessage({
+                type: 'progress',
+                playedSeconds: this.playedFrames / sampleRate,
+                bufferedSeconds: this.bufferedFrames / sampleRate
+            });
+        }
+        return true;
+    }
+
+    setWaiting(waiting) {
+        this.waiting = waiting;
+        this.port.postMessage({ type: 'waiting', waiting });
+    }
+}
+
+registerProcessor('pcm-player', PcmPlayerProcessor);
@@ -82,6 +82,14 @@ class PerformanceMonitor {
         return 'unknown';
     }
 
+    isSlowConnection() {
+        // Treat the browser's data saver setting as a slow connection too
+        if (navigator.connection && navigator.connection.saveData) {
+            return true;
+        }
+        return APP_CONFIG.PERFORMANCE.DEVICE_DETECTION.SLOW_CONNECTION_TYPES.includes(this.getConnectionSpeed());
+    }
+
     startMonitoring() {
         this.monitoringInterval = setInterval(() => {
             this.checkMemoryUsage();
@@ -314,3 +322,7 @@ export function startPerformanceMonitoring() {
 export function getDeviceCapabilities() {
     return performanceMonitor.deviceCapabilities;
 }
+
+export function isSlowConnection() {
+    return performanceMonitor.isSlowConnection();
+}
@@ -0,0 +1,147 @@
+// Playback resume - reconnects the station once the network is back, and offers the last station after a reload
+import { APP_CONFIG } from './config.js';
+import { loadLastStation, saveLastStation } from './storage.js';
+import { findStationByName } from './stations.js';
+import { getCurrentStation, isPlaybackStopped, stopPlayback } from './player.js';
+import { playbackState, PLAYBACK_STATES, PLAYBACK_EVENTS } from './playback-state.js';
+import { showResumePrompt, clearResumePrompt, updateScreenReaderStatus } from './ui.js';
+
+const GRACE_SECONDS = APP_CONFIG.RESUME.GRACE_SECONDS;
+
+class PlaybackResume {
+    constructor() {
+        this.offlineStation = null; // Station that was playing when the network went away
+        this.countdownInterval = null;
+        this.onPlay = null;
+    }
+
+    /**
+     * @param {Function} onPlay - Called with the station to start
+     */
+    initialize(onPlay) {
+        this.onPlay = onPlay;
+
+        playbackState.on(PLAYBACK_EVENTS.STATE_CHANGE, ({ state, station }) => {
+            if (state === PLAYBACK_STATES.PLAYING && station) {
+                this.handlePlaying(station);
+            }
+        });
+    }
+
+    handlePlaying(station) {
+        saveLastStation({ name: station.name, playedAt: Date.now() });
+
+        // Something is playing, so the "continue listening" offer is out of date
+        if (!this.countdownInterval) {
+            clearResumePrompt();
+        }
+    }
+
+    /**
+     * Remember the station if the listener was hearing it when the network went away
+     */
+    handleOffline() {
+        this.cancelCountdown();
+
+        const station = getCurrentStation();
+        if (!this.offlineStation && station && !isPlaybackStopped() && playbackState.isActive()) {
+            this.offlineStation = station;
+        }
+    }
+
+    /**
+     * Count down to reconnecting the station that was playing before the network went away
+     */
+    handleOnline() {
+        const station = this.offlineStation;
+        if (!station || this.countdownInterval) return;
+
+        // The listener moved on, stopped or paused while offline
+        if (getCurrentStation() !== station || isPlaybackStopped() || playbackState.getState() === PLAYBACK_STATES.PAUSED) {
+            this.offlineStation = null;
+            return;
+        }
+
+        let remaining = GRACE_SECONDS;
+        const message = () => `Connection restored - resuming ${station.name} in ${remaining}s`;
+        const prompt = showResumePrompt(message(), 'Cancel', () => this.cancel(), () => this.cancel());
+        const messageEl = prompt.querySelector('.resume-prompt-message');
+
+        console.log(`📶 Back online - resuming ${station.name} in ${GRACE_SECONDS}s`);
+        this.countdownInterval = setInterval(() => {
+            remaining--;
+            if (getCurrentStation() !== station) {
+                // Another station was picked during the countdown
+                this.offlineStation = null;
+                this.cancelCountdown();
+                clearResumePrompt();
+            } else if (remaining <= 0) {
+                this.resume();
+            } else {
+                messageEl.textContent = message();
+            }
+        }, 1000);
+    }
+
+    resume() {
+        const station = this.offlineStation;
+        this.offlineStation = null;
+        this.cancelCountdown();
+        clearResumePrompt();
+
+        if (!station || getCurrentStation() !== station || isPlaybackStopped()) return;
+
+        console.log(`📶 Resuming ${station.name}`);
+        this.onPlay(station);
+    }
+
+    /**
+     * Skip the reconnect; the station stays selected, so the play button starts it again
+     */
+    cancel() {
+        const station = this.offlineStation;
+        this.offlineStation = null;
+        this.cancelCountdown();
+
+        if (station && getCurrentStation() === station) {
+            stopPlayback();
+        }
+        updateScreenReaderStatus('Resume cancelled', 'polite');
+    }
+
+    cancelCountdown() {
+        clearInterval(this.countdownInterval);
+        this.countdownInterval = null;
+    }
+
+    /**
+     * Offer the station from the last visit, unless something already plays
+     */
+    offerLastStation() {
+        const lastStation = loadLastStation();
+        const station = lastStation && findStationByName(lastStation.name);
+        if (!station || getCurrentStation()) return;
+
+        // Starting from the button's click also satisfies the browser's autoplay policy
+        showResumePrompt(`Continue listening to ${station.name}?`, 'Play', () => this.onPlay(station));
+    }
+
+    /**
+     * Keep the stored last station pointing at a station after it is renamed
+     * @param {string} oldName - Previous station name
+     * @param {string} newName - New station name
+     */
+    renameStation(oldName, newName) {
+        const lastStation = loadLastStation();
+        if (lastStation && lastStation.name === oldName) {
+            saveLastStation({ ...lastStation, name: newName });
+        }
+    }
+}
+
+// Create global instance
+export const playbackResume = new PlaybackResume();
+
+export function initializePlaybackResume(onPlay) {
+    playbackResume.initialize(onPlay);
+}
@@ -0,0 +1,150 @@
+// Playback state machine - what the player is doing, announced as events the UI subscribes to
+import { EventEmitter } from './event-emitter.js';
+
+export const PLAYBACK_STATES = {
+    IDLE: 'idle', // nothing playing: no station yet, or stopped
+    RESOLVING: 'resolving', // expanding playlists and picking the stream to play
+    CONNECTING: 'connecting', // stream chosen, waiting for the first audio
+    BUFFERING: 'buffering', // was playing, now waiting for data
+    PLAYING: 'playing',
+    RECONNECTING: 'reconnecting', // the stream dropped and the same station is being reconnected
+    PAUSED: 'paused', // paused by the listener
+    ERROR: 'error' // the station could not be played
+};
+
+export const PLAYBACK_EVENTS = {
+    STATE_CHANGE: 'statechange',
+    METADATA: 'metadata',
+    ERROR: 'error',
+    RETRY: 'retry',
+    STATION_CHANGE: 'stationchange'
+};
+
+/**
+ * @typedef {Object} StateChangeEvent
+ * @property {string} state - New PLAYBACK_STATES value
+ * @property {string} previous - State before the change
+ * @property {Object|null} station - Current station
+ *
+ * @typedef {Object} MetadataEvent
+ * @property {Object} station - Station the title belongs to
+ * @property {string} title - Stream title, or the station genre before any title arrives
+ * @property {Object} [metadata] - ICY fields or Vorbis comments; absent for the genre placeholder
+ *
+ * @typedef {Object} ErrorEvent
+ * @property {string} message - Message for the listener
+ * @property {Error|MediaError} [error] - Underlying error
+ * @property {Object} [station] - Station that failed; absent for errors not tied to one
+ * @property {string} [errorType] - NETWORK, CORS, UNSUPPORTED, ...
+ *
+ * @typedef {Object} RetryEvent
+ * @property {number} attempt - Attempt about to be made, from 1
+ * @property {number} maxAttempts - Attempts before giving up
+ * @property {Object} station - Station being retried
+ *
+ * @typedef {Object} StationChangeEvent
+ * @property {Object} station - Station that is starting
+ * @property {Object|null} previous - Station that was current before
+ */
+
+const { IDLE, RESOLVING, CONNECTING, BUFFERING, PLAYING, RECONNECTING, PAUSED, ERROR } = PLAYBACK_STATES;
+
+// Where each state can go next. Starting a station (RESOLVING) and stopping (IDLE) are allowed from anywhere.
+const TRANSITIONS = {
+    [IDLE]: [ERROR],
+    [RESOLVING]: [CONNECTING, PAUSED, ERROR],
+    [CONNECTING]: [PLAYING, PAUSED, ERROR],
+    [BUFFERING]: [PLAYING, PAUSED, RECONNECTING, ERROR],
+    [PLAYING]: [BUFFERING, PAUSED, RECONNECTING, ERROR],
+    [RECONNECTING]: [PLAYING, PAUSED, ERROR],
+    [PAUSED]: [PLAYING, BUFFERING, RECONNECTING, ERROR],
+    [ERROR]: [PLAYING] // a mirror that plays after an error was already reported
+};
+
+class PlaybackStateMachine extends EventEmitter {
+    constructor() {
+        super('playback', Object.values(PLAYBACK_EVENTS));
+        this.state = IDLE;
+        this.station = null;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    getStation() {
+        return this.station;
+    }
+
+    /**
+     * Whether the player is on its way to sound or making it - everything but idle, paused and error
+     * @returns {boolean}
+     */
+    isActive() {
+        return ![IDLE, PAUSED, ERROR].includes(this.state);
+    }
+
+    /**
+     * Move to another state
+     * @param {string} nextState - PLAYBACK_STATES value
+     * @returns {boolean} - False when the change is not allowed from the current state
+     */
+    transition(nextState) {
+        if (nextState === this.state) return true;
+
+        const allowed = nextState === RESOLVING || nextState === IDLE || TRANSITIONS[this.state].includes(nextState);
+        if (!allowed) {
+            console.warn(`Ignoring playback state change ${this.state} -> ${nextState}`);
+            return false;
+        }
+
+        const previous = this.state;
+        this.state = nextState;
+        console.log(`🎚️ Playback state: ${previous} -> ${nextState}`);
+        this.emit(PLAYBACK_EVENTS.STATE_CHANGE, { state: nextState, previous, station: this.station });
+        return true;
+    }
+
+    /**
+     * Start a station: announce it if it differs from the current one, then resolve its stream
+     * @param {Object} station - Station that is starting
+     */
+    startStation(station) {
+        const previous = this.station;
+        this.station = station;
+        if (previous !== station) {
+            this.emit(PLAYBACK_EVENTS.STATION_CHANGE, { station, previous });
+        }
+        this.transition(RESOLVING);
+    }
+
+    /**
+     * Pass on a title, unless it belongs to a station that is no longer current
+     * @param {Object} station - Station the title was read from
+     * @param {string} title - Stream title or genre placeholder
+     * @param {Object} [metadata] - Metadata fields
+     */
+    reportMetadata(station, title, metadata) {
+        if (station !== this.station) return;
+        this.emit(PLAYBACK_EVENTS.METADATA, { station, title, metadata });
+    }
+
+    /**
+     * Report a playback failure; playback moves to the error state
+     * @param {ErrorEvent} detail - Error details
+     */
+    reportError(detail) {
+        this.transition(ERROR);
+        this.emit(PLAYBACK_EVENTS.ERROR, detail);
+    }
+
+    /**
+     * @param {RetryEvent} detail - Retry details
+     */
+    reportRetry(detail) {
+        this.emit(PLAYBACK_EVENTS.RETRY, detail);
+    }
+}
+
+// Create global instance
+export const playbackState = new PlaybackStateMachine();
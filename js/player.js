@@ -1,21 +1,132 @@
 // Audio player functionality
-import { ERROR_MESSAGES } from './config.js';
+import { APP_CONFIG, ERROR_MESSAGES, RETRY_CONFIG } from './config.js';
 import { memoryManager } from './memory-manager.js';
 import { initializeEqualizer } from './equalizer.js';
-import { getBestCodec, getCodecInfoSync } from './codec-manager.js';
+import { getBestCodec, getCodecInfoSync, getMediaSourceMimeType, getIcecastMetadataPlayer } from './codec-manager.js';
+import { resolveStreamCandidates, cacheResolvedStream, clearResolvedStream } from './stream-resolver.js';
+import { getPlaybackStreams } from './quality-selector.js';
+import { HlsSession, canPlayHlsNatively } from './hls-player.js';
+import { openIcyStream, IcyStreamReader } from './icy-stream.js';
+import { VorbisMetadataReader, VorbisCommentStreamReader, concatBytes } from './vorbis-metadata.js';
+import { SourceBufferAppender } from './source-buffer-appender.js';
+import { WebAudioStream, canPlayWithWebAudio } from './webaudio-stream.js';
+import { crossfadeSettings } from './crossfade.js';
+import { playbackState, PLAYBACK_STATES, PLAYBACK_EVENTS } from './playback-state.js';
 
-let audioContext, analyser, sourceNode;
+let audioContext, analyser, mixNode;
 let metadataPlayer;
+let metadataReader = null; // VorbisMetadataReader for Ogg/FLAC stations played directly
+
+// Codecs whose titles travel in Vorbis comment headers rather than ICY blocks
+const VORBIS_COMMENT_CODECS = ['vorbis', 'opus', 'flac'];
 let currentStation = null;
+let currentStream = null; // Stream (main URL or mirror) that is playing, plus the URL it resolved to
+let playbackStopped = false; // Set by stopPlayback until the next playStation
+let activeStreamReader = null; // Reader feeding the MediaSource pipeline (fetch body, HlsSession, IcyStreamReader or VorbisCommentStreamReader), or a WebAudioStream
+let stationSession = null; // ResourceScope for the station being started: detection, connection attempts, retries, metadata setup
+
+// Two audio elements ("decks"): the next station connects on one while the other keeps playing
+let audioDecks = [];
+let activeAudioElement = null; // Deck playing the current station
+let outgoingDeck = null; // { element, reader, timeout } for the station fading out after a crossfade
+const deckNodes = new Map(); // Deck -> { source, gain } once the audio graph exists
+const deckAppenders = new WeakMap(); // Deck -> SourceBufferAppender while it plays from MediaSource
+const deckStreamHeads = new WeakMap(); // Deck -> first bytes of the stream it reads itself (MediaSource or WebAudio)
+const streamByteTaps = new Set(); // Callbacks receiving the active deck's stream bytes, see tapStreamBytes
+const CROSSFADE_CURVE_STEPS = 64;
 let retryCount = 0;
-let maxRetries = 3;
-let retryDelay = 2000; // 2 seconds
+let maxRetries = RETRY_CONFIG.MAX_RETRIES;
 
-// Error handling callbacks
-let onErrorCallback = null;
-let onRetryCallback = null;
+let onStreamChangeCallback = null;
+
+/**
+ * Set up playback on the page's audio element plus a second, hidden deck used for crossfades
+ * @param {HTMLAudioElement} audioElement - The page's audio element
+ */
+export function initAudioDecks(audioElement) {
+    const standbyElement = document.createElement('audio');
+    standbyElement.crossOrigin = audioElement.crossOrigin || 'anonymous';
+    standbyElement.preload = 'none';
+    standbyElement.volume = audioElement.volume;
+    standbyElement.muted = audioElement.muted;
+    
+    audioDecks = [audioElement, standbyElement];
+    activeAudioElement = audioElement;
+    
+    // The decks share volume and mute, so a station fading in is as loud as the one it replaces
+    audioDecks.forEach(element => {
+        element.addEventListener('volumechange', () => {
+            const other = getOtherDeck(element);
+            if (other.volume !== element.volume) other.volume = element.volume;
+            if (other.muted !== element.muted) other.muted = element.muted;
+        });
+    });
+    
+    bindPlaybackStateEvents();
+}
 
-export function initAudioContext(audioElement) {
+/**
+ * Follow the active deck's media events in the playback state machine
+ * Station starts, reconnects, stops and errors are driven from playStation, the stall watchdog and stopPlayback.
+ */
+function bindPlaybackStateEvents() {
+    const { CONNECTING, BUFFERING, PLAYING, RECONNECTING, PAUSED, ERROR } = PLAYBACK_STATES;
+    
+    addAudioEventListener('playing', () => {
+        const state = playbackState.getState();
+        // An error reported mid-connection (e.g. the connection timeout) is over once a mirror plays
+        const recovered = state === ERROR && stationSession !== null && !playbackStopped;
+        if ([CONNECTING, BUFFERING, RECONNECTING, PAUSED].includes(state) || recovered) {
+            playbackState.transition(PLAYING);
+        }
+    });
+    addAudioEventListener('waiting', () => {
+        if (playbackState.getState() === PLAYING) {
+            playbackState.transition(BUFFERING);
+        }
+    });
+    // Pauses while switching streams or at the end of a dropped stream are not the listener's
+    addAudioEventListener('pause', (event) => {
+        if ([PLAYING, BUFFERING].includes(playbackState.getState()) && !event.target.ended) {
+            playbackState.transition(PAUSED);
+        }
+    });
+}
+
+/**
+ * Get the audio element playing the current station
+ * @returns {HTMLAudioElement} - The active deck; changes when a crossfade starts
+ */
+export function getAudioElement() {
+    return activeAudioElement;
+}
+
+/**
+ * Listen for media events from whichever deck plays the current station
+ * Events from a deck that is fading out or idle are ignored.
+ * @param {string} type - Media event name
+ * @param {Function} listener - Called with the event
+ */
+export function addAudioEventListener(type, listener) {
+    audioDecks.forEach(element => {
+        memoryManager.addEventListener(element, type, (event) => {
+            if (element === activeAudioElement) {
+                listener(event);
+            }
+        });
+    });
+}
+
+function getOtherDeck(element) {
+    return audioDecks.find(deck => deck !== element);
+}
+
+export function initAudioContext() {
+    // Already created, e.g. for a WebAudio stream before the first station played
+    if (audioContext && deckNodes.size > 0) {
+        return { audioContext, analyser, sourceNode: mixNode };
+    }
+    
     try {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
         analyser = audioContext.createAnalyser();
@@ -23,23 +134,31 @@ export function initAudioContext(audioElement) {
         // Register audio context with memory manager
         memoryManager.addAudioContext(audioContext);
         
-        // Note: The ScriptProcessorNode deprecation warning comes from the AnalyserNode
-        // but AnalyserNode is still the standard way to get frequency data for visualizations
-        sourceNode = audioContext.createMediaElementSource(audioElement);
+        // Each deck gets its own gain for crossfades; both feed one mix so the
+        // equalizer and analyser always see what is audible
+        mixNode = audioContext.createGain();
+        audioDecks.forEach(element => {
+            const source = audioContext.createMediaElementSource(element);
+            const gain = audioContext.createGain();
+            gain.gain.value = element === activeAudioElement ? 1 : 0;
+            source.connect(gain);
+            gain.connect(mixNode);
+            deckNodes.set(element, { source, gain });
+        });
         
         // Initialize equalizer - it will handle the audio routing
-        initializeEqualizer(audioContext, sourceNode);
+        initializeEqualizer(audioContext, mixNode);
         
-        // Connect analyser in parallel for visualization
-        sourceNode.connect(analyser);
+        // Note: The ScriptProcessorNode deprecation warning comes from the AnalyserNode
+        // but AnalyserNode is still the standard way to get frequency data for visualizations
+        mixNode.connect(analyser);
         
         console.log('Audio context and equalizer initialized successfully');
-        return { audioContext, analyser, sourceNode };
+        return { audioContext, analyser, sourceNode: mixNode };
     } catch (error) {
         console.error("Audio context initialization failed:", error);
-        if (onErrorCallback) {
-            onErrorCallback(ERROR_MESSAGES.AUDIO_CONTEXT_FAILED, error);
-        }
+        // Playback carries on without the audio graph, so this is not an error state
+        playbackState.emit(PLAYBACK_EVENTS.ERROR, { message: ERROR_MESSAGES.AUDIO_CONTEXT_FAILED, error });
         return null;
     }
 }
@@ -163,6 +282,76 @@ async function performQuickLoadTest(url, timeout) {
     });
 }
 
+/**
+ * Tap the decoded audio for recording
+ * @returns {Object|null} - MediaStream plus a function to remove the tap, or null before the audio graph exists
+ */
+export function createRecordingStream() {
+    const nodes = deckNodes.get(activeAudioElement);
+    if (!audioContext || !nodes) return null;
+    
+    // Tap the station's own deck, so a crossfade into the next station is not recorded
+    const destination = audioContext.createMediaStreamDestination();
+    nodes.source.connect(destination);
+    
+    return {
+        stream: destination.stream,
+        disconnect: () => nodes.source.disconnect(destination)
+    };
+}
+
+/**
+ * Tap the stream bytes the active deck reads, so a recording keeps the station's own codec
+ * Direct playback leaves the connection to the browser and HLS segments are repackaged, so neither can be tapped.
+ * @param {Function} callback - Called with each chunk (Uint8Array) as it is read, ICY metadata removed
+ * @returns {Object|null} - The stream's first bytes (header) plus a function to remove the tap, or null
+ */
+export function tapStreamBytes(callback) {
+    const head = deckStreamHeads.get(activeAudioElement);
+    if (!head || activeStreamReader instanceof HlsSession) return null;
+    
+    streamByteTaps.add(callback);
+    return {
+        header: head,
+        remove: () => streamByteTaps.delete(callback)
+    };
+}
+
+/**
+ * Pass bytes a deck read to the stream taps, keeping the start of the stream for later taps
+ * @param {HTMLAudioElement} audioElement - Deck the bytes were read for
+ * @param {Uint8Array} chunk - Bytes read
+ */
+function forwardStreamBytes(audioElement, chunk) {
+    const head = deckStreamHeads.get(audioElement);
+    if (head && head.length < APP_CONFIG.RECORDER.STREAM_HEAD_BYTES) {
+        deckStreamHeads.set(audioElement, concatBytes(head, chunk));
+    }
+    
+    // A deck fading out is no longer the station being recorded
+    if (audioElement !== activeAudioElement) return;
+    streamByteTaps.forEach(callback => {
+        try {
+            callback(chunk);
+        } catch (error) {
+            console.error('Error in stream byte tap:', error);
+        }
+    });
+}
+
+/**
+ * Create the audio graph if no station has played yet, and wake a suspended context
+ * main.js creates the graph on the first PLAYING state, but a WebAudio stream needs it before then.
+ * @returns {boolean} - Whether the graph exists
+ */
+function ensureAudioGraph() {
+    if (!deckNodes.size) {
+        initAudioContext();
+    }
+    resumeAudioContext();
+    return deckNodes.size > 0;
+}
+
 export function resumeAudioContext() {
     if (audioContext && audioContext.state === 'suspended') {
         audioContext.resume();
@@ -177,24 +366,92 @@ export function getAnalyser() {
     return analyser;
 }
 
-export async function setupMetadata(station, audioElement, onMetadataUpdate) {
+function stopMetadata() {
     if (metadataPlayer) {
         try {
             metadataPlayer.disconnect();
         } catch (error) {
             console.warn("Error disconnecting metadata player:", error);
         }
+        metadataPlayer = null;
+    }
+    
+    if (metadataReader) {
+        metadataReader.stop();
+        metadataReader = null;
+    }
+}
+
+/**
+ * Start reading Vorbis comments from an Ogg/FLAC stream over a connection of its own
+ * Only for direct playback - MediaSource playback reads them from its own connection.
+ * @param {Object} station - Station being played
+ * @param {string} streamUrl - Stream URL
+ * @param {Function} onMetadataUpdate - Called with (title, metadata)
+ */
+async function startVorbisMetadata(station, streamUrl, onMetadataUpdate) {
+    const reader = new VorbisMetadataReader(streamUrl, (metadata) => {
+        if (currentStation !== station) return;
+        console.log('🏷️ Vorbis comment metadata received:', metadata.StreamTitle);
+        onMetadataUpdate(metadata.StreamTitle, metadata);
+    });
+    metadataReader = reader;
+    
+    try {
+        await reader.start();
+    } catch (error) {
+        console.warn('Ogg/FLAC metadata unavailable (using station genre):', error);
+        if (metadataReader === reader) {
+            metadataReader = null;
+        }
     }
+}
+
+/**
+ * Start reading track titles for the station that just started playing
+ * Titles go out as playback metadata events, which drop any that arrive after the station changed.
+ * @param {Object} station - Station that is playing
+ * @param {ResourceScope} session - Station session; ending it cancels detection and the delayed player setup
+ */
+async function setupMetadata(station, session) {
+    stopMetadata();
+    session.addCleanup(stopMetadata);
+    const onMetadataUpdate = (title, metadata) => playbackState.reportMetadata(station, title, metadata);
     
     // Always provide fallback immediately - don't wait for metadata
     onMetadataUpdate(station.genre);
     
+    if (activeStreamReader instanceof HlsSession) {
+        console.log('📺 HLS stream - no Icecast metadata, using station genre');
+        return;
+    }
+    
+    if ((activeStreamReader instanceof IcyStreamReader && activeStreamReader.hasMetadata) ||
+        activeStreamReader instanceof VorbisCommentStreamReader || activeStreamReader instanceof WebAudioStream) {
+        // Titles arrive in-band on the playback connection - no second connection needed
+        const icyStream = activeStreamReader;
+        icyStream.onMetadata = (metadata) => {
+            if (currentStation !== station || !metadata.StreamTitle) return;
+            console.log('📻 In-band metadata received:', metadata.StreamTitle);
+            onMetadataUpdate(metadata.StreamTitle, metadata);
+        };
+        if (icyStream.lastMetadata) {
+            icyStream.onMetadata(icyStream.lastMetadata);
+        }
+        return;
+    }
+    
     // Get codec info for this station
     const codecInfo = getCodecInfoSync(station);
     console.log(`🎵 Station format info:`, codecInfo);
     
+    // Read metadata from the mirror and playlist entry that is actually playing
+    const playingStream = currentStation === station ? currentStream : null;
+    const streamUrl = playingStream ? playingStream.resolvedUrl : station.url;
+    const quality = playingStream ? playingStream.quality : station.quality;
+    
     // Get the best codec for this stream
-    const codecResult = await getBestCodec(station.url, station.quality, true); // Use MIME detection
+    const codecResult = await getBestCodec(streamUrl, quality, true, session.signal); // Use MIME detection
     if (!codecResult.success) {
         console.warn('❌ No suitable codec available for this stream format');
         console.log("Continuing without metadata parsing - using station genre");
@@ -208,11 +465,19 @@ export async function setupMetadata(station, audioElement, onMetadataUpdate) {
     if (codecResult.detectionInfo) {
         console.log('🔍 Enhanced detection details:', {
             confidence: codecResult.detectionInfo.confidence,
-            mimeType: codecResult.detectionInfo.mimeTypeResult.mimeType,
+            mimeType: codecResult.detectionInfo.mimeType,
             metadata: codecResult.detectionInfo.metadata
         });
     }
     
+    if (VORBIS_COMMENT_CODECS.includes(bestCodec)) {
+        // Ogg/FLAC stations update titles through Vorbis comments at chained-stream boundaries
+        if (!session.disposed) {
+            await startVorbisMetadata(station, streamUrl, onMetadataUpdate);
+        }
+        return;
+    }
+    
     if (typeof IcecastMetadataPlayer === 'undefined') {
         console.warn(ERROR_MESSAGES.METADATA_LIBRARY_MISSING);
         console.log("Continuing without metadata parsing - using station genre");
@@ -228,38 +493,26 @@ export async function setupMetadata(station, audioElement, onMetadataUpdate) {
     }
 
     // Try to set up metadata, but don't let it block audio playback
-    setTimeout(() => {
+    session.setTimeout(() => {
         try {
             // Only set up metadata if audio is still playing and hasn't been changed
-            if (audioElement.paused || audioElement.src !== station.url) {
+            if (activeAudioElement.paused || currentStation !== station) {
                 console.log('Audio state changed, skipping metadata setup');
                 return;
             }
 
-            // Try different ways the library might be exposed
-            let Player;
-            
-            if (typeof IcecastMetadataPlayer !== 'undefined') {
-                if (typeof IcecastMetadataPlayer.default === 'function') {
-                    Player = IcecastMetadataPlayer.default;
-                } else if (typeof IcecastMetadataPlayer === 'function') {
-                    Player = IcecastMetadataPlayer;
-                } else if (typeof IcecastMetadataPlayer.IcecastMetadataPlayer === 'function') {
-                    Player = IcecastMetadataPlayer.IcecastMetadataPlayer;
-                }
-            }
-            
+            const Player = getIcecastMetadataPlayer();
             if (!Player) {
                 throw new Error('IcecastMetadataPlayer constructor not found');
             }
 
             // IMPORTANT: Don't pass the audioElement to avoid conflicts
             // Let the metadata player create its own audio context
-            metadataPlayer = new Player(station.url, {
+            metadataPlayer = new Player(streamUrl, {
                 onMetadata: (metadata) => {
                     if (metadata && metadata.StreamTitle) {
                         console.log(`📻 Metadata received (${bestCodec}):`, metadata.StreamTitle);
-                        onMetadataUpdate(metadata.StreamTitle);
+                        onMetadataUpdate(metadata.StreamTitle, metadata);
                     }
                 },
                 onError: (error) => {
@@ -279,22 +532,298 @@ export async function setupMetadata(station, audioElement, onMetadataUpdate) {
     }, 2000); // Longer delay to ensure audio is stable
 }
 
-export async function playStation(station, audioElement) {
-    console.log(`🎵 Starting playback for: ${station.name} (${station.url})`);
-    console.log(`Audio element state - readyState: ${audioElement.readyState}, networkState: ${audioElement.networkState}, paused: ${audioElement.paused}`);
+/**
+ * Play a station, failing over to its mirrors
+ * @param {Object} station - Station to play
+ * @param {Object} [options]
+ * @param {boolean} [options.reconnect=false] - Reconnecting the current station after its stream dropped:
+ *     no crossfade, the state stays reconnecting, and failures are left to the caller
+ * @returns {Promise} - Resolves once audio plays, or when another station was selected meanwhile
+ */
+export async function playStation(station, { reconnect = false } = {}) {
+    const crossfade = !reconnect && shouldCrossfade();
+    console.log(`🎵 ${reconnect ? 'Reconnecting' : 'Starting playback for'}: ${station.name} (${station.url})${crossfade ? ' with crossfade' : ''}`);
     
+    const session = startStationSession(station);
     currentStation = station;
+    currentStream = null;
+    playbackStopped = false;
     retryCount = 0; // Reset retry count for new station
+    stopMetadata();
+    if (!reconnect) {
+        playbackState.startStation(station);
+    }
+    
+    if (crossfade) {
+        // Keep the current station playing while the new one connects on the other deck
+        handOverDeck();
+    } else {
+        // Stop current playback and reset
+        disposeOutgoingDeck();
+        stopActiveStream();
+        activeAudioElement.pause();
+        activeAudioElement.currentTime = 0;
+        setDeckGain(activeAudioElement, 1);
+    }
+    
+    const audioElement = activeAudioElement;
+    console.log(`Audio element state - readyState: ${audioElement.readyState}, networkState: ${audioElement.networkState}, paused: ${audioElement.paused}`);
+    
+    // Preferred quality tier first, then the main stream and mirrors for failover
+    const streams = getPlaybackStreams(station);
+    
+    let lastError = null;
+    for (const [index, stream] of streams.entries()) {
+        if (index > 0) {
+            console.log(`🔀 Failing over to ${stream.label} (${index + 1}/${streams.length}): ${stream.url}`);
+        }
+        
+        try {
+            const played = await playStreamCandidates(audioElement, station, stream, session);
+            if (!played) {
+                // Another station was selected while this one was still connecting
+                return;
+            }
+            
+            currentStream = {
+                ...stream,
+                index,
+                total: streams.length,
+                resolvedUrl: played.url,
+                sniffResult: played.sniffResult
+            };
+            if (outgoingDeck) {
+                startCrossfade();
+            }
+            if (onStreamChangeCallback) {
+                onStreamChangeCallback(station, currentStream);
+            }
+            setupMetadata(station, session).catch(error => {
+                if (!session.disposed) {
+                    console.warn('Metadata setup failed (audio continues):', error);
+                }
+            });
+            return;
+        } catch (error) {
+            if (session.disposed) {
+                // Another station was selected or playback stopped - the failure is not this station's
+                return;
+            }
+            lastError = error;
+            if (!shouldFailOver(error)) {
+                break;
+            }
+            console.warn(`⚠️ ${stream.label} failed (${error.errorType}), ${index + 1 < streams.length ? 'trying next mirror' : 'no mirrors left'}`);
+        }
+    }
+    
+    if (session.disposed) {
+        return;
+    }
+    
+    // Nothing to fade to - stop the previous station rather than leave it playing under the error
+    disposeOutgoingDeck();
+    setDeckGain(audioElement, 1);
+    
+    if (!reconnect) {
+        reportPlaybackError(lastError, station);
+    }
+    throw lastError;
+}
+
+/**
+ * End the previous station session and start one for the next connection
+ * Ending a session cancels its codec detection, playlist requests, readers that are still
+ * connecting, retry timers and metadata setup. Readers that made it to playback are handed
+ * to the deck, so a crossfade can keep the outgoing station playing.
+ * @param {Object} station - Station being started
+ * @returns {ResourceScope} - The new session
+ */
+function startStationSession(station) {
+    endStationSession();
+    stationSession = memoryManager.createScope(`station session: ${station.name}`);
+    return stationSession;
+}
+
+function endStationSession() {
+    if (stationSession) {
+        stationSession.dispose();
+        stationSession = null;
+    }
+}
+
+/**
+ * Whether a station change should overlap the old and new stream
+ * @returns {boolean} - True when crossfade is on and a station is audible through the audio graph
+ */
+function shouldCrossfade() {
+    const { enabled, seconds } = crossfadeSettings.getSettings();
+    return enabled && seconds > 0 && deckNodes.size > 0 &&
+        currentStation !== null && !playbackStopped && !activeAudioElement.paused;
+}
+
+/**
+ * Move the playing station to the outgoing slot and switch the active deck
+ * The outgoing station keeps its stream and volume until startCrossfade.
+ */
+function handOverDeck() {
+    // Only two decks - a fade still running ends now
+    disposeOutgoingDeck();
+    
+    outgoingDeck = { element: activeAudioElement, reader: activeStreamReader, timeout: null };
+    activeStreamReader = null;
+    activeAudioElement = getOtherDeck(activeAudioElement);
+    setDeckGain(activeAudioElement, 0);
+}
+
+/**
+ * Fade the outgoing deck out and the active deck in, then release the outgoing stream
+ */
+function startCrossfade() {
+    const deck = outgoingDeck;
+    const { seconds } = crossfadeSettings.getSettings();
     
-    // Stop current playback and reset
-    audioElement.pause();
-    audioElement.currentTime = 0;
+    console.log(`🔀 Crossfading over ${seconds}s`);
+    rampDeckGain(deck.element, 0, seconds);
+    rampDeckGain(activeAudioElement, 1, seconds);
+    
+    deck.timeout = setTimeout(() => {
+        if (outgoingDeck === deck) {
+            disposeOutgoingDeck();
+        }
+    }, seconds * 1000);
+}
+
+/**
+ * Stop the deck that is fading out and close its connection
+ */
+function disposeOutgoingDeck() {
+    if (!outgoingDeck) return;
+    
+    const { element, reader, timeout } = outgoingDeck;
+    outgoingDeck = null;
+    clearTimeout(timeout);
+    
+    if (reader) {
+        try {
+            reader.cancel();
+        } catch (error) {
+            console.warn('Error stopping faded-out stream:', error);
+        }
+    }
+    
+    setDeckGain(element, 0);
+    element.pause();
+    element.removeAttribute('src');
+    element.load();
+}
+
+function setDeckGain(element, value) {
+    const nodes = deckNodes.get(element);
+    if (!nodes) return;
+    
+    const gain = nodes.gain.gain;
+    gain.cancelScheduledValues(audioContext.currentTime);
+    gain.setValueAtTime(value, audioContext.currentTime);
+}
+
+/**
+ * Ramp a deck's gain along an equal-power curve, which keeps the combined loudness steady
+ * @param {HTMLAudioElement} element - Deck to fade
+ * @param {number} target - Gain at the end of the ramp
+ * @param {number} seconds - Ramp length
+ */
+function rampDeckGain(element, target, seconds) {
+    const nodes = deckNodes.get(element);
+    if (!nodes) return;
+    
+    const gain = nodes.gain.gain;
+    const start = gain.value; // Mid-ramp value if a previous fade was interrupted
+    const curve = new Float32Array(CROSSFADE_CURVE_STEPS);
+    for (let i = 0; i < CROSSFADE_CURVE_STEPS; i++) {
+        const angle = (i / (CROSSFADE_CURVE_STEPS - 1)) * Math.PI / 2;
+        const shape = target > start ? Math.sin(angle) : 1 - Math.cos(angle);
+        curve[i] = start + (target - start) * shape;
+    }
+    
+    gain.cancelScheduledValues(audioContext.currentTime);
+    gain.setValueCurveAtTime(curve, audioContext.currentTime, seconds);
+}
+
+/**
+ * Play one of a station's stream URLs, expanding playlist URLs (.pls/.m3u/.xspf) first
+ * @param {HTMLAudioElement} audioElement - Audio element
+ * @param {Object} station - Station being played
+ * @param {Object} stream - Main stream, mirror or quality tier, with url and quality
+ * @param {ResourceScope} session - Station session
+ * @returns {Promise<Object|null>} - The URL that played and its sniff result, or null if the session ended meanwhile
+ */
+async function playStreamCandidates(audioElement, station, stream, session) {
+    const { url } = stream;
+    let resolution;
+    try {
+        resolution = await resolveStreamCandidates(url, session.signal);
+    } catch (error) {
+        if (session.disposed) {
+            return null;
+        }
+        throw error;
+    }
+    
+    let lastError = null;
+    for (const [index, { url: streamUrl, isHls }] of resolution.candidates.entries()) {
+        if (session.disposed) {
+            return null;
+        }
+        
+        if (index > 0) {
+            console.log(`🔁 Trying playlist candidate ${index + 1}/${resolution.candidates.length}: ${streamUrl}`);
+        }
+        retryCount = 0;
+        
+        try {
+            const sniffResult = await playStreamUrl(audioElement, station, streamUrl, stream.quality, isHls, session);
+            cacheResolvedStream(url, streamUrl, resolution);
+            return { url: streamUrl, sniffResult };
+        } catch (error) {
+            if (session.disposed) {
+                return null;
+            }
+            lastError = error;
+            console.warn(`⚠️ Stream candidate failed: ${streamUrl}`, error);
+        }
+    }
+    
+    // Every candidate failed - resolve the playlist again next time
+    if (resolution.isPlaylist) {
+        clearResolvedStream(url);
+    }
+    
+    throw lastError;
+}
+
+/**
+ * Play a single stream URL, choosing the playback path from the detected codec
+ * @param {HTMLAudioElement} audioElement - Audio element
+ * @param {Object} station - Station being played
+ * @param {string} streamUrl - Stream URL
+ * @param {string} quality - Quality description of the stream, e.g. "AAC 128kbps"
+ * @param {boolean} isHls - Whether the URL is an HLS playlist
+ * @param {ResourceScope} session - Station session
+ * @returns {Promise<Object|null>} - What sniffing found in the stream (format, sample rate, channels, bitrate), or null
+ */
+async function playStreamUrl(audioElement, station, streamUrl, quality, isHls, session) {
+    if (isHls) {
+        await attemptHlsPlayback(audioElement, station, streamUrl, session);
+        return null;
+    }
     
     // Get the best codec for this stream
-    const codecResult = await getBestCodec(station.url, station.quality, true);
+    const codecResult = await getBestCodec(streamUrl, quality, true, session.signal);
     if (!codecResult.success) {
         console.warn('❌ No suitable codec available, trying direct playback');
-        return attemptDirectPlayback(audioElement, station);
+        await attemptDirectPlayback(audioElement, station, streamUrl, session);
+        return null;
     }
     
     const bestCodec = codecResult.format;
@@ -302,21 +831,65 @@ export async function playStation(station, audioElement) {
     
     // Try codec-enhanced playback first, fall back to direct playback
     try {
-        return await attemptCodecPlayback(audioElement, station, bestCodec, codecResult.detectionInfo);
+        await attemptCodecPlayback(audioElement, station, streamUrl, bestCodec, codecResult.detectionInfo, session);
     } catch (error) {
+        if (error.errorType || session.disposed) {
+            // Already a classified playback failure from attemptPlayback, or the session is over
+            throw error;
+        }
         console.warn(`⚠️ Codec playback failed, falling back to direct playback:`, error);
-        return attemptDirectPlayback(audioElement, station);
+        await attemptDirectOrWebAudioPlayback(audioElement, station, streamUrl, bestCodec, session);
+    }
+    
+    const sniffResult = codecResult.detectionInfo && codecResult.detectionInfo.sniffResult;
+    return sniffResult && sniffResult.detected ? sniffResult : null;
+}
+
+/**
+ * Play a stream directly, decoding it with WebAudio instead if the browser cannot play the format
+ * @param {HTMLAudioElement} audioElement - Audio element
+ * @param {Object} station - Station being played
+ * @param {string} streamUrl - Stream URL
+ * @param {string} codec - Codec from getBestCodec
+ * @param {ResourceScope} session - Station session
+ * @returns {Promise} - Resolves once playback starts; rejects with the direct playback error when both fail
+ */
+async function attemptDirectOrWebAudioPlayback(audioElement, station, streamUrl, codec, session) {
+    try {
+        return await attemptDirectPlayback(audioElement, station, streamUrl, session);
+    } catch (error) {
+        const formatError = ['UNSUPPORTED', 'DECODE', 'CODEC'].includes(error.errorType);
+        if (session.disposed || !formatError || !canPlayWithWebAudio(codec)) {
+            throw error;
+        }
+        
+        console.warn(`⚠️ Direct playback of ${codec} failed, decoding with WebAudio instead`);
+        try {
+            return await attemptWebAudioPlayback(audioElement, station, streamUrl, codec, session);
+        } catch (webAudioError) {
+            if (session.disposed || webAudioError.errorType) {
+                throw webAudioError;
+            }
+            console.warn('⚠️ WebAudio playback failed:', webAudioError);
+            throw error;
+        }
     }
 }
 
-async function attemptCodecPlayback(audioElement, station, codec, detectionInfo) {
+async function attemptCodecPlayback(audioElement, station, streamUrl, codec, detectionInfo, session) {
     console.log(`🎯 Attempting codec-enhanced playback with: ${codec}`);
     
     // For formats that HTML5 audio can handle directly, use direct playback
     const directPlaybackFormats = ['mpeg', 'aac'];
     if (directPlaybackFormats.includes(codec)) {
+        // Through MediaSource when the stream can be fetched, so it can be paused and rewound -
+        // one connection for audio and titles when the server sends in-band ICY metadata
+        if (await attemptIcyPlayback(audioElement, station, streamUrl, codec, session)) {
+            return;
+        }
+        
         console.log(`📻 Using direct HTML5 audio playback for ${codec}`);
-        return attemptDirectPlayback(audioElement, station);
+        return attemptDirectPlayback(audioElement, station, streamUrl, session);
     }
     
     // For formats that need special handling (FLAC, Opus, Vorbis)
@@ -324,70 +897,286 @@ async function attemptCodecPlayback(audioElement, station, codec, detectionInfo)
     if (specialFormats.includes(codec)) {
         console.log(`🔧 Attempting special codec handling for ${codec}`);
         
-        // Check if we can use MediaSource API
-        if (window.MediaSource && MediaSource.isTypeSupported(`audio/${codec}`)) {
-            console.log(`✅ MediaSource API supports ${codec}`);
-            return attemptMediaSourcePlayback(audioElement, station, codec);
+        // Check if we can use MediaSource API, with the container the stream was found to use
+        const contentType = detectionInfo ? detectionInfo.mimeType : null;
+        const mimeType = getMediaSourceMimeType(codec, contentType);
+        if (mimeType) {
+            console.log(`✅ MediaSource API supports ${mimeType}`);
+            // Vorbis comments are read from the same bytes, so titles need no second connection
+            return attemptMediaSourcePlayback(audioElement, station, mimeType, async () => {
+                const reader = await openFetchReader(streamUrl, session.signal);
+                return new VorbisCommentStreamReader(reader, streamUrl);
+            }, session);
+        } else if (canPlayWithWebAudio(codec)) {
+            console.log(`🔊 MediaSource API doesn't support ${codec}, decoding with WebAudio`);
+            return attemptWebAudioPlayback(audioElement, station, streamUrl, codec, session);
         } else {
             console.log(`⚠️ MediaSource API doesn't support ${codec}, trying direct playback`);
-            return attemptDirectPlayback(audioElement, station);
+            return attemptDirectPlayback(audioElement, station, streamUrl, session);
         }
     }
     
     // Fallback to direct playback
-    return attemptDirectPlayback(audioElement, station);
+    return attemptDirectPlayback(audioElement, station, streamUrl, session);
 }
 
-async function attemptMediaSourcePlayback(audioElement, station, codec) {
+/**
+ * Open a stream with fetch for MediaSource playback
+ * The signal cancels the request until the response arrives. From then on only the reader's
+ * cancel() closes the connection, so a station fading out keeps playing after its session ends.
+ * @param {string} streamUrl - Stream URL
+ * @param {AbortSignal} signal - Station session signal
+ * @returns {Promise<ReadableStreamDefaultReader>} - Reader of the response body
+ */
+async function openFetchReader(streamUrl, signal) {
+    signal.throwIfAborted();
+    
+    const controller = new AbortController();
+    const abortRequest = () => controller.abort();
+    signal.addEventListener('abort', abortRequest, { once: true });
+    
+    try {
+        const response = await fetch(streamUrl, { signal: controller.signal });
+        if (!response.ok || !response.body) {
+            controller.abort();
+            throw new Error(`HTTP ${response.status} opening stream`);
+        }
+        return response.body.getReader();
+    } finally {
+        signal.removeEventListener('abort', abortRequest);
+    }
+}
+
+/**
+ * Play an MP3/AAC stream through MediaSource from a fetch, carrying ICY metadata when the server sends it
+ * @param {HTMLAudioElement} audioElement - Audio element
+ * @param {Object} station - Station being played
+ * @param {string} streamUrl - Stream URL
+ * @param {string} codec - Codec from getBestCodec
+ * @param {ResourceScope} session - Station session
+ * @returns {Promise<boolean>} - False when the stream has to be played directly instead
+ */
+async function attemptIcyPlayback(audioElement, station, streamUrl, codec, session) {
+    let icyStream;
+    try {
+        icyStream = await openIcyStream(streamUrl, codec, session.signal);
+    } catch (error) {
+        if (session.disposed) {
+            throw error;
+        }
+        console.log(`📻 Stream cannot be read via fetch (${error.message}), metadata will use a separate connection`);
+        return false;
+    }
+    
+    if (!icyStream) {
+        return false;
+    }
+    
+    try {
+        await attemptMediaSourcePlayback(audioElement, station, icyStream.mimeType, () => icyStream, session);
+        return true;
+    } catch (error) {
+        icyStream.cancel();
+        if ((error && error.errorType === 'NOT_ALLOWED') || session.disposed) {
+            // Autoplay was blocked - direct playback would be blocked too
+            throw error;
+        }
+        console.warn('⚠️ MediaSource playback of the ICY stream failed, falling back to direct playback:', error);
+        return false;
+    }
+}
+
+async function attemptHlsPlayback(audioElement, station, streamUrl, session) {
+    if (canPlayHlsNatively(audioElement)) {
+        console.log('📺 Using native HLS playback');
+        return attemptDirectPlayback(audioElement, station, streamUrl, session);
+    }
+    
+    if (!window.MediaSource) {
+        throw createPlaybackError('UNSUPPORTED', new Error('HLS playback needs MediaSource support'));
+    }
+    
+    const hlsSession = new HlsSession(streamUrl);
+    // Ending the station session while the playlist loads cancels it; open() then rejects
+    const releaseHlsSession = session.addCleanup(() => hlsSession.cancel());
+    let mimeType;
+    try {
+        mimeType = await hlsSession.open();
+    } catch (error) {
+        releaseHlsSession();
+        hlsSession.cancel();
+        if (session.disposed) {
+            throw error;
+        }
+        console.error('❌ HLS playlist could not be loaded:', error);
+        // fetch() rejects with a TypeError when the request itself fails
+        throw createPlaybackError(error instanceof TypeError ? 'NETWORK' : 'UNSUPPORTED', error);
+    }
+    
+    // attemptMediaSourcePlayback takes over cancelling the session once it has the reader
+    releaseHlsSession();
+    
+    if (!MediaSource.isTypeSupported(mimeType)) {
+        hlsSession.cancel();
+        throw createPlaybackError('UNSUPPORTED', new Error(`MediaSource cannot play ${mimeType}`));
+    }
+    
+    console.log(`📺 Playing HLS through MediaSource (${hlsSession.describeVariant()})`);
+    try {
+        return await attemptMediaSourcePlayback(audioElement, station, mimeType, () => hlsSession, session);
+    } catch (error) {
+        hlsSession.cancel();
+        if (session.disposed) {
+            throw error;
+        }
+        throw createPlaybackError(getAudioErrorType(error, audioElement), error);
+    }
+}
+
+/**
+ * Decode a FLAC/Opus/Vorbis stream in JavaScript and play it on a deck
+ * The deck plays the decoded audio as a MediaStream, so it passes through the deck's gain,
+ * the equalizer and the analyser like any other station.
+ * @param {HTMLAudioElement} audioElement - Deck to play on
+ * @param {Object} station - Station being played
+ * @param {string} streamUrl - Stream URL
+ * @param {string} codec - 'flac', 'opus' or 'vorbis'
+ * @param {ResourceScope} session - Station session
+ * @returns {Promise} - Resolves once playback starts
+ */
+async function attemptWebAudioPlayback(audioElement, station, streamUrl, codec, session) {
+    session.signal.throwIfAborted();
+    
+    // The first station of a visit may need the graph before anything has played
+    if (!ensureAudioGraph()) {
+        throw new Error('WebAudio playback needs the audio graph');
+    }
+    
+    // A MediaSource attempt that failed before this one must not keep its reader
+    stopActiveStream();
+    deckAppenders.delete(audioElement);
+    
+    const stream = new WebAudioStream(streamUrl, codec, audioContext);
+    deckStreamHeads.set(audioElement, new Uint8Array(0));
+    stream.onBytes = (chunk) => forwardStreamBytes(audioElement, chunk);
+    const releaseStream = session.addCleanup(() => stream.cancel());
+    markConnecting();
+    
+    try {
+        await stream.open(audioElement);
+        activeStreamReader = stream;
+        
+        // The MediaStream plays on through gaps, so buffering is reported by the decoder instead of the element
+        const { BUFFERING, PLAYING } = PLAYBACK_STATES;
+        stream.onWaiting = (waiting) => {
+            if (activeStreamReader !== stream) return;
+            if (waiting && playbackState.getState() === PLAYING) {
+                playbackState.transition(BUFFERING);
+            } else if (!waiting && playbackState.getState() === BUFFERING) {
+                playbackState.transition(PLAYING);
+            }
+        };
+        
+        await attemptPlayback(audioElement, station, session);
+        releaseStream();
+        console.log(`✅ WebAudio ${codec} playback started`);
+    } catch (error) {
+        releaseStream();
+        stream.cancel();
+        if (activeStreamReader === stream) {
+            activeStreamReader = null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Play a byte stream through MediaSource
+ * @param {HTMLAudioElement} audioElement - Audio element to attach to
+ * @param {Object} station - Station being played
+ * @param {string} mimeType - SourceBuffer MIME type
+ * @param {Function} openReader - Returns (a promise of) a reader with read() and cancel()
+ * @param {ResourceScope} session - Station session; ending it before playback starts cancels the reader
+ * @returns {Promise} - Resolves once playback starts, rejects with an AbortError if the session ends first
+ */
+async function attemptMediaSourcePlayback(audioElement, station, mimeType, openReader, session) {
+    session.signal.throwIfAborted();
+    
     return new Promise((resolve, reject) => {
+        session.signal.addEventListener('abort', () => reject(session.signal.reason), { once: true });
+        
         try {
             // Create MediaSource
             const mediaSource = new MediaSource();
             const url = URL.createObjectURL(mediaSource);
             
+            markConnecting();
             audioElement.src = url;
             
             mediaSource.addEventListener('sourceopen', async () => {
                 try {
                     // Create source buffer
-                    const mimeType = `audio/${codec}`;
                     const sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+                    // Chunks may come from separate segments or connections - play them in arrival order
+                    sourceBuffer.mode = 'sequence';
+                    
+                    const reader = await openReader();
+                    if (session.disposed) {
+                        reader.cancel();
+                        return;
+                    }
+                    
+                    // The session owns the reader until audio plays, then the deck does
+                    const releaseReader = session.addCleanup(() => reader.cancel());
+                    activeStreamReader = reader;
                     
-                    // Fetch the stream
-                    const response = await fetch(station.url);
-                    const reader = response.body.getReader();
+                    const appender = new SourceBufferAppender(sourceBuffer, audioElement);
+                    deckAppenders.set(audioElement, appender);
+                    deckStreamHeads.set(audioElement, new Uint8Array(0));
                     
-                    // Read and append chunks
+                    // Read and append chunks until the stream ends or the element moves on;
+                    // append() holds the reader back while the SourceBuffer catches up
                     const pump = async () => {
-                        const { done, value } = await reader.read();
-                        
-                        if (done) {
-                            if (mediaSource.readyState === 'open') {
-                                mediaSource.endOfStream();
+                        while (audioElement.src === url) {
+                            const { done, value } = await reader.read();
+                            
+                            if (done) {
+                                await appender.finish();
+                                if (mediaSource.readyState === 'open') {
+                                    mediaSource.endOfStream();
+                                }
+                                return;
                             }
-                            return;
-                        }
-                        
-                        if (sourceBuffer.updating) {
-                            sourceBuffer.addEventListener('updateend', () => {
-                                pump();
-                            }, { once: true });
-                        } else {
-                            sourceBuffer.appendBuffer(value);
-                            setTimeout(pump, 100); // Small delay to avoid overwhelming
+                            
+                            forwardStreamBytes(audioElement, value);
+                            await appender.append(value);
                         }
+                        appender.close();
+                        reader.cancel();
                     };
                     
-                    pump();
+                    pump().catch(error => {
+                        appender.close();
+                        if (audioElement.src === url) {
+                            console.error('❌ MediaSource stream failed:', error);
+                        }
+                        reject(error);
+                    });
                     
                     // Start playback
                     audioElement.play().then(() => {
                         console.log('✅ MediaSource playback started successfully');
+                        releaseReader();
                         resolve();
-                    }).catch(reject);
+                    }).catch(error => {
+                        // Autoplay was blocked - classify it so playStation does not fail over
+                        reject(error && error.name === 'NotAllowedError' ? createPlaybackError('NOT_ALLOWED', error) : error);
+                    });
                     
                 } catch (error) {
-                    console.error('❌ MediaSource setup failed:', error);
+                    if (!session.disposed) {
+                        console.error('❌ MediaSource setup failed:', error);
+                    }
                     reject(error);
                 }
             });
@@ -404,20 +1193,61 @@ async function attemptMediaSourcePlayback(audioElement, station, codec) {
     });
 }
 
-function attemptDirectPlayback(audioElement, station) {
+function stopActiveStream() {
+    if (activeStreamReader) {
+        try {
+            activeStreamReader.cancel();
+        } catch (error) {
+            console.warn('Error stopping previous stream:', error);
+        }
+        activeStreamReader = null;
+    }
+}
+
+/**
+ * Note that a stream was picked and the element is now loading it
+ * Reconnects stay in the reconnecting state until audio plays.
+ */
+function markConnecting() {
+    if (playbackState.getState() === PLAYBACK_STATES.RESOLVING) {
+        playbackState.transition(PLAYBACK_STATES.CONNECTING);
+    }
+}
+
+function attemptDirectPlayback(audioElement, station, streamUrl, session) {
+    if (session.disposed) {
+        return Promise.reject(session.signal.reason);
+    }
+    
+    // A MediaSource attempt that failed before this one must not keep its reader
+    stopActiveStream();
+    deckAppenders.delete(audioElement);
+    deckStreamHeads.delete(audioElement);
+    
     // Set the source and load
     console.log('Setting new source and loading...');
-    audioElement.src = station.url;
+    markConnecting();
+    audioElement.src = streamUrl;
     audioElement.load(); // Force reload of the new source
     
     console.log(`After load - readyState: ${audioElement.readyState}, networkState: ${audioElement.networkState}`);
     
-    return attemptPlayback(audioElement, station);
+    return attemptPlayback(audioElement, station, session);
 }
 
-function attemptPlayback(audioElement, station) {
+/**
+ * Play the element's source once it can play, retrying network failures
+ * Retry timers and load listeners belong to the session, so they end with it.
+ * @param {HTMLAudioElement} audioElement - Audio element with its source set
+ * @param {Object} station - Station being played
+ * @param {ResourceScope} session - Station session
+ * @returns {Promise} - Resolves once playback starts, rejects with an AbortError if the session ends first
+ */
+function attemptPlayback(audioElement, station, session) {
     // Wait a moment for the audio element to initialize with new source
     return new Promise((resolve, reject) => {
+        session.signal.addEventListener('abort', () => reject(session.signal.reason), { once: true });
+        
         const playWhenReady = () => {
             console.log(`🎮 Attempting to play - readyState: ${audioElement.readyState}, paused: ${audioElement.paused}`);
             audioElement.play()
@@ -427,35 +1257,31 @@ function attemptPlayback(audioElement, station) {
                     resolve();
                 })
                 .catch(error => {
+                    if (session.disposed) return;
                     console.error("❌ Playback failed:", error);
                     
                     const errorType = getAudioErrorType(error, audioElement);
                     
                     if (retryCount < maxRetries && shouldRetry(errorType)) {
                         retryCount++;
-                        console.log(`🔄 Retrying playback (${retryCount}/${maxRetries}) in ${retryDelay}ms...`);
+                        const delay = getRetryDelay(retryCount);
+                        console.log(`🔄 Retrying playback (${retryCount}/${maxRetries}) in ${delay}ms...`);
                         
-                        if (onRetryCallback) {
-                            onRetryCallback(retryCount, maxRetries, station);
-                        }
+                        playbackState.reportRetry({ attempt: retryCount, maxAttempts: maxRetries, station });
                         
-                        setTimeout(() => {
+                        session.setTimeout(() => {
                             // Reload the source before retry
                             console.log('🔄 Reloading source before retry...');
                             audioElement.load();
-                            setTimeout(() => {
-                                attemptPlayback(audioElement, station)
+                            session.setTimeout(() => {
+                                attemptPlayback(audioElement, station, session)
                                     .then(resolve)
                                     .catch(reject);
                             }, 500); // Small delay after load
-                        }, retryDelay);
+                        }, delay);
                     } else {
-                        // Max retries reached or non-retryable error
-                        const userFriendlyMessage = getUserFriendlyErrorMessage(errorType);
-                        if (onErrorCallback) {
-                            onErrorCallback(userFriendlyMessage, error, station);
-                        }
-                        reject(new Error(userFriendlyMessage));
+                        // Max retries reached or non-retryable error - playStation reports it
+                        reject(createPlaybackError(errorType, error));
                     }
                 });
         };
@@ -494,31 +1320,28 @@ function attemptPlayback(audioElement, station) {
                 
                 if (retryCount < maxRetries && shouldRetry(errorType)) {
                     retryCount++;
-                    console.log(`🔄 Retrying after load error (${retryCount}/${maxRetries})`);
+                    const delay = getRetryDelay(retryCount);
+                    console.log(`🔄 Retrying after load error (${retryCount}/${maxRetries}) in ${delay}ms`);
                     
-                    setTimeout(() => {
+                    session.setTimeout(() => {
                         audioElement.load();
-                        setTimeout(() => {
-                            attemptPlayback(audioElement, station)
+                        session.setTimeout(() => {
+                            attemptPlayback(audioElement, station, session)
                                 .then(resolve)
                                 .catch(reject);
                         }, 500);
-                    }, retryDelay);
+                    }, delay);
                 } else {
-                    const userFriendlyMessage = getUserFriendlyErrorMessage(errorType);
-                    if (onErrorCallback) {
-                        onErrorCallback(userFriendlyMessage, error, station);
-                    }
-                    reject(new Error(userFriendlyMessage));
+                    reject(createPlaybackError(errorType, error));
                 }
             };
             
-            audioElement.addEventListener('canplay', onCanPlay);
-            audioElement.addEventListener('loadeddata', onLoadedData); // Sometimes this fires before canplay
-            audioElement.addEventListener('error', onError);
+            session.addEventListener(audioElement, 'canplay', onCanPlay);
+            session.addEventListener(audioElement, 'loadeddata', onLoadedData); // Sometimes this fires before canplay
+            session.addEventListener(audioElement, 'error', onError);
             
             // Set a timeout to prevent infinite waiting
-            setTimeout(() => {
+            session.setTimeout(() => {
                 if (audioElement.readyState < 2) {
                     console.warn('⚠️ Audio loading timeout - attempting to play anyway');
                     audioElement.removeEventListener('canplay', onCanPlay);
@@ -572,6 +1395,46 @@ function getAudioErrorType(playbackError, audioElement) {
     return 'UNKNOWN';
 }
 
+/**
+ * Wrap a playback failure with its classified type and user-facing message
+ * @param {string} errorType - Result of getAudioErrorType
+ * @param {Error|MediaError} originalError - The underlying error
+ * @returns {Error} - Error carrying errorType and originalError
+ */
+function createPlaybackError(errorType, originalError) {
+    const playbackError = new Error(getUserFriendlyErrorMessage(errorType));
+    playbackError.errorType = errorType;
+    playbackError.originalError = originalError;
+    return playbackError;
+}
+
+function reportPlaybackError(error, station) {
+    if (!error) return;
+    
+    if (error.errorType) {
+        playbackState.reportError({ message: error.message, error: error.originalError, station, errorType: error.errorType });
+    } else {
+        const errorType = getAudioErrorType(error, {});
+        playbackState.reportError({ message: getUserFriendlyErrorMessage(errorType), error, station, errorType });
+    }
+}
+
+function shouldFailOver(error) {
+    // Errors without a type come from codec detection or MediaSource setup - another stream may work
+    return !error || !error.errorType || RETRY_CONFIG.FAILOVER_ERROR_TYPES.includes(error.errorType);
+}
+
+/**
+ * Delay before a retry: exponential backoff from RETRY_DELAY up to MAX_RETRY_DELAY, with random jitter
+ * @param {number} attempt - 1 for the first retry
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempt) {
+    const backoff = Math.min(RETRY_CONFIG.MAX_RETRY_DELAY, RETRY_CONFIG.RETRY_DELAY * 2 ** (attempt - 1));
+    const jitter = backoff * RETRY_CONFIG.RETRY_JITTER * (Math.random() * 2 - 1);
+    return Math.round(backoff + jitter);
+}
+
 function shouldRetry(errorType) {
     // Only retry for network-related errors
     return ['NETWORK', 'ABORTED'].includes(errorType);
@@ -592,17 +1455,12 @@ function getUserFriendlyErrorMessage(errorType) {
     return messages[errorType] || messages['UNKNOWN'];
 }
 
-// Callback setters
-export function setErrorCallback(callback) {
-    onErrorCallback = callback;
-}
-
-export function setRetryCallback(callback) {
-    onRetryCallback = callback;
+export function setStreamChangeCallback(callback) {
+    onStreamChangeCallback = callback;
 }
 
 // Connection timeout handling
-export function addConnectionTimeout(audioElement, timeoutMs = 15000) {
+export function addConnectionTimeout(timeoutMs = 15000) {
     let timeoutId;
     
     const clearExistingTimeout = () => {
@@ -613,15 +1471,16 @@ export function addConnectionTimeout(audioElement, timeoutMs = 15000) {
     };
     
     // Set timeout when loading starts
-    memoryManager.addEventListener(audioElement, 'loadstart', () => {
+    addAudioEventListener('loadstart', (event) => {
+        const audioElement = event.target;
         clearExistingTimeout();
         timeoutId = setTimeout(() => {
-            if (audioElement.readyState < 2) { // HAVE_CURRENT_DATA
+            if (audioElement === activeAudioElement && audioElement.readyState < 2) { // HAVE_CURRENT_DATA
                 audioElement.src = ''; // Stop loading
-                const error = new Error('Connection timeout');
-                if (onErrorCallback) {
-                    onErrorCallback('Connection timeout: The station is taking too long to respond.', error);
-                }
+                playbackState.reportError({
+                    message: 'Connection timeout: The station is taking too long to respond.',
+                    error: new Error('Connection timeout')
+                });
             }
         }, timeoutMs);
         
@@ -630,9 +1489,157 @@ export function addConnectionTimeout(audioElement, timeoutMs = 15000) {
     });
     
     // Clear timeout when data starts loading or playback begins
-    memoryManager.addEventListener(audioElement, 'loadeddata', clearExistingTimeout);
-    memoryManager.addEventListener(audioElement, 'canplay', clearExistingTimeout);
-    memoryManager.addEventListener(audioElement, 'playing', clearExistingTimeout);
+    addAudioEventListener('loadeddata', clearExistingTimeout);
+    addAudioEventListener('canplay', clearExistingTimeout);
+    addAudioEventListener('playing', clearExistingTimeout);
+}
+
+/**
+ * Reconnect the current station when its stream stops mid-play
+ * A stall is playback that makes no progress for STALL_TIMEOUT (counted from the element's
+ * waiting/stalled event when there is one), or a live stream that ends. Reconnects back off
+ * exponentially with jitter and are reported through the retry callback; after MAX_RECONNECTS
+ * failures playback stops with a NETWORK error. The audio graph is kept, so volume and
+ * equalizer settings carry over.
+ */
+export function addStallWatchdog() {
+    let watchedStation = null;
+    let hasPlayed = false; // The active deck played since it last loaded a stream
+    let lastPosition = null;
+    let stalledSince = null;
+    let playingSince = null; // Start of uninterrupted playback, for resetting the attempt count
+    let attempts = 0;
+    let reconnectTimer = null;
+    let reconnecting = false;
+
+    const clearReconnectTimer = () => {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    };
+
+    const reconnect = async (station) => {
+        reconnectTimer = null;
+        if (currentStation !== station || playbackStopped) return;
+
+        reconnecting = true;
+        let failed = false;
+        try {
+            await playStation(station, { reconnect: true });
+        } catch (error) {
+            console.warn(`⚠️ Reconnecting ${station.name} failed:`, error);
+            failed = true;
+        } finally {
+            reconnecting = false;
+        }
+
+        if (failed && currentStation === station && !playbackStopped) {
+            scheduleReconnect('Reconnect failed');
+        }
+    };
+
+    const scheduleReconnect = (reason) => {
+        const station = currentStation;
+        // Offline, reconnecting cannot work - resuming is left to the online handler
+        if (!station || playbackStopped || reconnecting || reconnectTimer || !navigator.onLine) return;
+
+        stalledSince = null;
+        playingSince = null;
+
+        if (attempts >= RETRY_CONFIG.MAX_RECONNECTS) {
+            console.error(`❌ Giving up on ${station.name} after ${attempts} reconnect attempts`);
+            attempts = 0;
+            stopPlayback();
+            playbackState.reportError({
+                message: 'Connection lost: The station stopped streaming and could not be reconnected.',
+                error: new Error(reason),
+                station,
+                errorType: 'NETWORK'
+            });
+            return;
+        }
+
+        attempts++;
+        const delay = getRetryDelay(attempts);
+        console.warn(`📶 ${reason} - reconnecting ${station.name} (${attempts}/${RETRY_CONFIG.MAX_RECONNECTS}) in ${delay}ms`);
+        playbackState.transition(PLAYBACK_STATES.RECONNECTING);
+        playbackState.reportRetry({ attempt: attempts, maxAttempts: RETRY_CONFIG.MAX_RECONNECTS, station });
+
+        reconnectTimer = setTimeout(() => reconnect(station), delay);
+        memoryManager.addTimeout(reconnectTimer);
+    };
+
+    const checkProgress = () => {
+        const audioElement = activeAudioElement;
+
+        // A listener's pause or seek is not a stall, and neither is a connection still being made
+        if (!hasPlayed || playbackStopped || reconnecting || reconnectTimer || audioElement.paused || audioElement.seeking) {
+            lastPosition = null;
+            stalledSince = null;
+            return;
+        }
+
+        // A decoded stream's MediaStream keeps time through gaps - count the audio actually played
+        const position = activeStreamReader instanceof WebAudioStream ? activeStreamReader.playedSeconds : audioElement.currentTime;
+        const advanced = lastPosition === null || position !== lastPosition;
+        lastPosition = position;
+
+        // Progress up to a waiting event still leaves the element waiting for data
+        if (advanced && (!stalledSince || audioElement.readyState >= audioElement.HAVE_FUTURE_DATA)) {
+            stalledSince = null;
+            playingSince = playingSince || Date.now();
+            if (attempts > 0 && Date.now() - playingSince >= RETRY_CONFIG.RECONNECT_STABLE_TIME) {
+                console.log(`📶 ${currentStation.name} is stable again`);
+                attempts = 0;
+            }
+            return;
+        }
+
+        if (!navigator.onLine) {
+            stalledSince = null;
+            return;
+        }
+
+        stalledSince = stalledSince || Date.now();
+        playingSince = null;
+        const stalledFor = Date.now() - stalledSince;
+        if (stalledFor >= RETRY_CONFIG.STALL_TIMEOUT) {
+            scheduleReconnect(`No audio for ${Math.round(stalledFor / 1000)}s`);
+        }
+    };
+
+    addAudioEventListener('playing', () => {
+        if (watchedStation !== currentStation) {
+            // A different station - earlier reconnect attempts do not count against it
+            watchedStation = currentStation;
+            attempts = 0;
+        }
+        hasPlayed = true;
+        stalledSince = null;
+    });
+
+    const markStalled = () => {
+        if (hasPlayed && !stalledSince) {
+            stalledSince = Date.now();
+        }
+    };
+    addAudioEventListener('waiting', markStalled);
+    addAudioEventListener('stalled', markStalled);
+
+    // Live streams have no end - the server closed the connection
+    addAudioEventListener('ended', () => {
+        if (hasPlayed) {
+            scheduleReconnect('Stream ended');
+        }
+    });
+
+    // A new stream (station change, crossfade or a listener restarting the station) starts over
+    addAudioEventListener('loadstart', () => {
+        if (reconnecting) return;
+        clearReconnectTimer();
+        hasPlayed = false;
+    });
+
+    memoryManager.addInterval(setInterval(checkProgress, RETRY_CONFIG.STALL_CHECK_INTERVAL));
 }
 
 // Offline mode detection
@@ -653,29 +1660,38 @@ export function addOfflineDetection(onOffline, onOnline) {
 }
 
 // Stream quality monitoring
-export function addStreamQualityMonitoring(audioElement, onQualityChange) {
+export function addStreamQualityMonitoring(onQualityChange) {
+    const audioElement = activeAudioElement;
     let lastBitrate = null;
     let lastBufferHealth = null;
     
+    const reportQuality = (quality, bufferHealth) => {
+        // HLS sessions switch variants on buffer health
+        if (activeStreamReader instanceof HlsSession) {
+            activeStreamReader.handleBufferHealth(quality, bufferHealth);
+        }
+        if (onQualityChange) {
+            onQualityChange(quality, bufferHealth);
+        }
+    };
+    
     const checkQuality = () => {
-        if (audioElement.buffered.length > 0) {
-            const bufferEnd = audioElement.buffered.end(audioElement.buffered.length - 1);
-            const currentTime = audioElement.currentTime;
-            const bufferHealth = bufferEnd - currentTime;
+        // MediaSource playback reports its own buffer; direct playback is read from the element
+        const bufferStatus = getBufferStatus();
+        if (bufferStatus || audioElement.buffered.length > 0) {
+            const bufferHealth = bufferStatus
+                ? bufferStatus.ahead
+                : audioElement.buffered.end(audioElement.buffered.length - 1) - audioElement.currentTime;
             
             // Monitor buffer health
             if (lastBufferHealth !== null) {
                 const healthChange = bufferHealth - lastBufferHealth;
                 if (bufferHealth < 2 && healthChange < 0) {
                     // Poor connection detected
-                    if (onQualityChange) {
-                        onQualityChange('poor', bufferHealth);
-                    }
+                    reportQuality('poor', bufferHealth);
                 } else if (bufferHealth > 5) {
                     // Good connection
-                    if (onQualityChange) {
-                        onQualityChange('good', bufferHealth);
-                    }
+                    reportQuality('good', bufferHealth);
                 }
             }
             
@@ -698,10 +1714,89 @@ export function addStreamQualityMonitoring(audioElement, onQualityChange) {
     return qualityCheckInterval;
 }
 
+/**
+ * Stop the current station and close its connection
+ * The station stays current, so it can be started again with playStation.
+ */
+export function stopPlayback() {
+    console.log(`⏹️ Stopping playback${currentStation ? ` of ${currentStation.name}` : ''}`);
+    
+    closeConnection(PLAYBACK_STATES.IDLE);
+}
+
+/**
+ * Pause at the listener's request
+ * A station that is still connecting has nothing to pause yet, and would start playing once
+ * ready - its connection is cancelled instead, and playing again reconnects.
+ */
+export function pausePlayback() {
+    const { RESOLVING, CONNECTING, RECONNECTING, PAUSED } = PLAYBACK_STATES;
+    if (![RESOLVING, CONNECTING, RECONNECTING].includes(playbackState.getState())) {
+        activeAudioElement.pause();
+        return;
+    }
+    
+    console.log(`⏸️ Paused while connecting${currentStation ? ` to ${currentStation.name}` : ''} - cancelling the connection`);
+    closeConnection(PAUSED);
+}
+
+/**
+ * End the station session and release its streams; the next play needs playStation
+ * @param {string} nextState - IDLE for a stop, PAUSED for a pause while connecting
+ */
+function closeConnection(nextState) {
+    endStationSession();
+    disposeOutgoingDeck();
+    stopActiveStream();
+    stopMetadata();
+    currentStream = null;
+    playbackStopped = true;
+    playbackState.transition(nextState);
+    
+    activeAudioElement.pause();
+    activeAudioElement.removeAttribute('src');
+    activeAudioElement.load();
+}
+
+/**
+ * Whether the current stream plays from a MediaSource buffer that can be paused and rewound
+ * @returns {boolean} - False for direct playback, where the browser manages the stream itself
+ */
+export function isTimeShiftAvailable() {
+    return activeStreamReader !== null && !(activeStreamReader instanceof WebAudioStream) && !playbackStopped;
+}
+
+/**
+ * How much audio the MediaSource buffer holds around the playback position
+ * @returns {Object|null} - ahead, behind and windowSeconds in seconds plus queuedBytes, or null
+ *     when the station plays directly
+ */
+export function getBufferStatus() {
+    const appender = deckAppenders.get(activeAudioElement);
+    if (!appender || !isTimeShiftAvailable()) return null;
+    return appender.getBufferStatus();
+}
+
+/**
+ * Whether playback was stopped with stopPlayback or paused while connecting, so resuming needs a new connection
+ * @returns {boolean} - True until the next playStation
+ */
+export function isPlaybackStopped() {
+    return playbackStopped;
+}
+
 export function getCurrentStation() {
     return currentStation;
 }
 
+/**
+ * Get the stream that is currently playing for the current station
+ * @returns {Object|null} - Stream with url, quality, label, index, total, resolvedUrl and sniffResult (null when not sniffed)
+ */
+export function getCurrentStream() {
+    return currentStream;
+}
+
 export function getStreamCodecInfo(station) {
     if (!station) return null;
     return getCodecInfoSync(station);
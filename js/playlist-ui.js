@@ -0,0 +1,245 @@
+// Playlist import and export dialogs
+import { STATION_CONFIG } from './config.js';
+import { getStations, addCustomStations, findStationByUrl, normalizeStreamUrl } from './stations.js';
+import { parsePlaylist, getNameFromUrl, serializePlaylist, EXPORT_FORMATS } from './playlist.js';
+import { detectStreamFormat, getFormatQualityLabel } from './codec-manager.js';
+import { openModal, escapeHtml, updateScreenReaderStatus, getFilteredStations, downloadBlob } from './ui.js';
+
+/**
+ * Open the playlist import dialog
+ * @param {Object} callbacks - onImport(result) handler, called after stations are added
+ * @returns {Object} - The modal handle
+ */
+export function openPlaylistImport({ onImport = null } = {}) {
+    let previewEntries = [];
+
+    const modal = openModal('Import Playlist', `
+        <div class="mb-4">
+            <label for="playlist-file" class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                Playlist file (M3U, PLS, XSPF or JSON export)
+            </label>
+            <input type="file" id="playlist-file" accept=".m3u,.m3u8,.pls,.xspf,.json,audio/x-mpegurl,audio/x-scpls,application/xspf+xml,application/json"
+                   class="w-full text-sm text-slate-700 dark:text-slate-300">
+        </div>
+        <p id="playlist-import-status" class="text-sm text-slate-600 dark:text-slate-400 mb-2" role="status" aria-live="polite"></p>
+        <div id="playlist-preview" class="hidden">
+            <label class="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300 mb-2">
+                <input type="checkbox" id="playlist-select-all" checked>
+                Select all new stations
+            </label>
+            <ul id="playlist-entries" class="max-h-72 overflow-y-auto custom-scrollbar border border-slate-200/50 dark:border-slate-700/50 rounded-lg divide-y divide-slate-200/50 dark:divide-slate-700/50" aria-label="Stations found in playlist"></ul>
+            <div class="flex justify-end gap-2 mt-4">
+                <button type="button" id="playlist-cancel" class="bg-slate-600 hover:bg-slate-500 text-white px-3 py-2 rounded-lg text-sm transition-colors">Cancel</button>
+                <button type="button" id="playlist-import" class="bg-indigo-600 hover:bg-indigo-500 text-white px-3 py-2 rounded-lg text-sm transition-colors">Import Selected</button>
+            </div>
+        </div>
+    `, { id: 'playlist-import-dialog' });
+
+    const fileInput = modal.body.querySelector('#playlist-file');
+    const statusEl = modal.body.querySelector('#playlist-import-status');
+    const previewEl = modal.body.querySelector('#playlist-preview');
+    const entriesEl = modal.body.querySelector('#playlist-entries');
+    const selectAll = modal.body.querySelector('#playlist-select-all');
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const { format, entries } = parsePlaylist(text, file.name);
+            previewEntries = buildPreviewEntries(entries);
+
+            const newCount = previewEntries.filter(entry => !entry.duplicate).length;
+            statusEl.textContent = `Found ${previewEntries.length} stations in ${format.toUpperCase()} playlist (${newCount} new).`;
+            renderPreview(entriesEl, previewEntries);
+            previewEl.classList.toggle('hidden', previewEntries.length === 0);
+            selectAll.checked = newCount > 0;
+        } catch (error) {
+            console.warn('Playlist import failed:', error);
+            previewEntries = [];
+            previewEl.classList.add('hidden');
+            statusEl.textContent = error.message || 'The playlist could not be read.';
+        }
+    });
+
+    selectAll.addEventListener('change', () => {
+        entriesEl.querySelectorAll('input[type="checkbox"]:not(:disabled)').forEach(checkbox => {
+            checkbox.checked = selectAll.checked;
+        });
+    });
+
+    modal.body.querySelector('#playlist-cancel').addEventListener('click', modal.close);
+
+    modal.body.querySelector('#playlist-import').addEventListener('click', () => {
+        const selected = Array.from(entriesEl.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(checkbox => previewEntries[parseInt(checkbox.dataset.index, 10)])
+            .filter(Boolean);
+
+        if (!selected.length) {
+            statusEl.textContent = 'Select at least one station to import.';
+            return;
+        }
+
+        const result = addCustomStations(selected.map(({ duplicate, favorite, ...station }) => station));
+
+        // Favorite flags from JSON exports apply to new stations and to ones already in the list
+        result.favoriteNames = previewEntries
+            .filter(entry => entry.favorite && (entry.duplicate || selected.includes(entry)))
+            .map(entry => findStationByUrl(entry.url))
+            .filter(Boolean)
+            .map(station => station.name);
+
+        const message = `Imported ${result.added.length} station${result.added.length === 1 ? '' : 's'}` +
+            (result.skipped.length ? ` (${result.skipped.length} skipped as invalid)` : '');
+
+        console.log(`📥 ${message}`, result);
+        updateScreenReaderStatus(message, 'polite');
+        modal.close();
+
+        if (onImport) {
+            onImport(result);
+        }
+    });
+
+    return modal;
+}
+
+/**
+ * Open the playlist export dialog
+ * Stations are exported in the current list order (as saved by drag-and-drop sorting).
+ * @param {Object} options - Current search term, used for the "search results" scope
+ * @returns {Object} - The modal handle
+ */
+export function openPlaylistExport({ searchTerm = '' } = {}) {
+    const trimmedSearch = searchTerm.trim();
+
+    const scopes = [
+        { value: 'all', label: 'Everything' },
+        { value: 'favorites', label: 'Favorites only' },
+        { value: 'search', label: trimmedSearch ? `Current search results ("${escapeHtml(trimmedSearch)}")` : 'Current search results (no active search)', disabled: !trimmedSearch }
+    ];
+
+    const modal = openModal('Export Stations', `
+        <form id="playlist-export-form">
+            <fieldset class="mb-4">
+                <legend class="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Stations to export</legend>
+                ${scopes.map((scope, index) => `
+                <label class="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300 mb-1 ${scope.disabled ? 'opacity-50' : ''}">
+                    <input type="radio" name="scope" value="${scope.value}" ${index === 0 ? 'checked' : ''} ${scope.disabled ? 'disabled' : ''}>
+                    ${scope.label}
+                </label>`).join('')}
+            </fieldset>
+            <div class="mb-4">
+                <label for="playlist-export-format" class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Format</label>
+                <select id="playlist-export-format" name="format" class="w-full bg-white/20 dark:bg-slate-700 text-slate-900 dark:text-white rounded px-2 py-2 text-sm border border-white/20 dark:border-slate-600">
+                    ${Object.entries(EXPORT_FORMATS).map(([value, format]) => `<option value="${value}">${format.label}</option>`).join('')}
+                </select>
+            </div>
+            <p id="playlist-export-summary" class="text-sm text-slate-600 dark:text-slate-400 mb-2" role="status" aria-live="polite"></p>
+            <div class="flex justify-end gap-2 mt-4">
+                <button type="button" id="playlist-export-cancel" class="bg-slate-600 hover:bg-slate-500 text-white px-3 py-2 rounded-lg text-sm transition-colors">Cancel</button>
+                <button type="submit" class="bg-indigo-600 hover:bg-indigo-500 text-white px-3 py-2 rounded-lg text-sm transition-colors">
+                    <i class="fas fa-file-export mr-1" aria-hidden="true"></i>Export
+                </button>
+            </div>
+        </form>
+    `, { id: 'playlist-export-dialog' });
+
+    const form = modal.body.querySelector('#playlist-export-form');
+    const summaryEl = modal.body.querySelector('#playlist-export-summary');
+
+    const updateSummary = () => {
+        const count = getExportStations(form.elements.scope.value, trimmedSearch).length;
+        summaryEl.textContent = `${count} station${count === 1 ? '' : 's'} will be exported.`;
+    };
+
+    form.addEventListener('change', updateSummary);
+    form.querySelector('#playlist-export-cancel').addEventListener('click', modal.close);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const scope = form.elements.scope.value;
+        const formatKey = form.elements.format.value;
+        const stations = getExportStations(scope, trimmedSearch);
+
+        if (!stations.length) {
+            summaryEl.textContent = 'There are no stations to export for this selection.';
+            return;
+        }
+
+        const format = EXPORT_FORMATS[formatKey];
+        const contents = serializePlaylist(stations, formatKey);
+        downloadBlob(new Blob([contents], { type: format.mimeType }), `radio-stations-${scope}.${format.extension}`);
+
+        console.log(`📤 Exported ${stations.length} stations as ${format.label}`);
+        updateScreenReaderStatus(`Exported ${stations.length} stations`, 'polite');
+        modal.close();
+    });
+
+    updateSummary();
+    return modal;
+}
+
+/**
+ * Collect the stations for an export scope, keeping the current list order
+ * @param {string} scope - 'all', 'favorites' or 'search'
+ * @param {string} searchTerm - Active search term
+ * @returns {Array} - Stations to export
+ */
+function getExportStations(scope, searchTerm) {
+    const stations = getStations();
+
+    if (scope === 'favorites') {
+        return stations.filter(station => station.isFavorite);
+    }
+
+    if (scope === 'search' && searchTerm) {
+        const matches = new Set(getFilteredStations(searchTerm, Infinity));
+        return stations.filter(station => matches.has(station));
+    }
+
+    return stations;
+}
+
+/**
+ * Turn parsed playlist entries into station candidates, flagging duplicates by URL
+ * @param {Array} entries - Parsed playlist entries
+ * @returns {Array} - Station candidates for the preview
+ */
+function buildPreviewEntries(entries) {
+    const seenUrls = new Set();
+
+    return entries.map(entry => {
+        const url = entry.url.trim();
+        const normalizedUrl = normalizeStreamUrl(url);
+        const existing = findStationByUrl(url);
+        const duplicate = existing ? existing.name : (seenUrls.has(normalizedUrl) ? 'earlier entry in this playlist' : null);
+        seenUrls.add(normalizedUrl);
+
+        return {
+            ...entry,
+            name: entry.name || getNameFromUrl(url),
+            url,
+            genre: entry.genre || STATION_CONFIG.DEFAULT_GENRE,
+            quality: entry.quality || getFormatQualityLabel(detectStreamFormat(url)),
+            duplicate
+        };
+    });
+}
+
+function renderPreview(listElement, entries) {
+    listElement.innerHTML = entries.map((entry, index) => `
+        <li class="flex items-start gap-3 p-2 ${entry.duplicate ? 'opacity-60' : ''}">
+            <input type="checkbox" id="playlist-entry-${index}" data-index="${index}" class="mt-1"
+                   ${entry.duplicate ? 'disabled' : 'checked'}>
+            <label for="playlist-entry-${index}" class="flex-1 min-w-0 text-sm">
+                <span class="block font-medium text-slate-900 dark:text-white truncate">${escapeHtml(entry.name)}</span>
+                <span class="block text-xs text-slate-500 dark:text-slate-400 truncate">${escapeHtml(entry.url)}</span>
+                <span class="inline-block mt-1 px-2 py-0.5 rounded-full text-xs bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300">${escapeHtml(entry.quality)}</span>
+                ${entry.duplicate ? `<span class="block text-xs text-amber-600 dark:text-amber-400 mt-1">Already in list: ${escapeHtml(entry.duplicate)}</span>` : ''}
+            </label>
+        </li>
+    `).join('');
+}
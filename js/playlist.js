@@ -0,0 +1,391 @@
+// Playlist parsing and serialization - M3U, PLS, XSPF and JSON station lists
+
+// File extensions recognised for each playlist format
+const PLAYLIST_EXTENSIONS = {
+    'm3u': ['.m3u', '.m3u8'],
+    'pls': ['.pls'],
+    'xspf': ['.xspf'],
+    'json': ['.json']
+};
+
+// Identifier for the app's own JSON export format
+export const STATION_EXPORT_TYPE = 'hifi-radio-stations';
+const STATION_EXPORT_VERSION = 1;
+
+// Export formats: display label, file extension and MIME type
+export const EXPORT_FORMATS = {
+    'm3u': { label: 'M3U', extension: 'm3u', mimeType: 'audio/x-mpegurl' },
+    'pls': { label: 'PLS', extension: 'pls', mimeType: 'audio/x-scpls' },
+    'xspf': { label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' },
+    'json': { label: 'JSON (all fields)', extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * Detect the playlist format from the file name, falling back to the content
+ * @param {string} text - Playlist file contents
+ * @param {string} fileName - Original file name (optional)
+ * @returns {string|null} - 'm3u', 'pls', 'xspf', 'json' or null when unrecognised
+ */
+export function detectPlaylistFormat(text, fileName = '') {
+    const nameLower = fileName.toLowerCase();
+
+    for (const [format, extensions] of Object.entries(PLAYLIST_EXTENSIONS)) {
+        if (extensions.some(ext => nameLower.endsWith(ext))) {
+            return format;
+        }
+    }
+
+    const head = text.trimStart().slice(0, 512).toLowerCase();
+    if (head.startsWith('{') && head.includes(STATION_EXPORT_TYPE)) return 'json';
+    if (head.startsWith('#extm3u')) return 'm3u';
+    if (head.startsWith('[playlist]')) return 'pls';
+    if (head.includes('<playlist') && head.includes('xspf')) return 'xspf';
+
+    // Plain M3U files are just a list of URLs
+    if (/^https?:\/\//m.test(text)) return 'm3u';
+
+    return null;
+}
+
+/**
+ * Parse an M3U/M3U8 playlist, using #EXTINF titles when present
+ * @param {string} text - Playlist contents
+ * @returns {Array} - Entries with url, name and optional genre/logo
+ */
+export function parseM3U(text) {
+    const entries = [];
+    let pendingInfo = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#')) {
+            if (line.toUpperCase().startsWith('#EXTINF:')) {
+                pendingInfo = parseExtInf(line.slice('#EXTINF:'.length));
+            }
+            continue;
+        }
+
+        const entry = { url: line, name: pendingInfo ? pendingInfo.title : '' };
+        if (pendingInfo && pendingInfo.attributes['group-title']) {
+            entry.genre = pendingInfo.attributes['group-title'];
+        }
+        if (pendingInfo && pendingInfo.attributes['tvg-logo']) {
+            entry.logo = pendingInfo.attributes['tvg-logo'];
+        }
+
+        entries.push(entry);
+        pendingInfo = null;
+    }
+
+    return entries;
+}
+
+/**
+ * Parse the body of an #EXTINF line: <duration> [key="value" ...],<title>
+ * @param {string} info - Text after "#EXTINF:"
+ * @returns {Object} - Title and attribute map
+ */
+function parseExtInf(info) {
+    // The title starts after the first comma that is not inside a quoted attribute
+    let inQuotes = false;
+    let commaIndex = -1;
+    for (let i = 0; i < info.length; i++) {
+        if (info[i] === '"') {
+            inQuotes = !inQuotes;
+        } else if (info[i] === ',' && !inQuotes) {
+            commaIndex = i;
+            break;
+        }
+    }
+
+    const head = commaIndex > -1 ? info.slice(0, commaIndex) : info;
+    const attributes = {};
+    for (const match of head.matchAll(/([\w-]+)="([^"]*)"/g)) {
+        attributes[match[1].toLowerCase()] = match[2];
+    }
+
+    return {
+        title: commaIndex > -1 ? info.slice(commaIndex + 1).trim() : '',
+        attributes
+    };
+}
+
+/**
+ * Parse a PLS playlist (File1=/Title1= pairs)
+ * @param {string} text - Playlist contents
+ * @returns {Array} - Entries with url and name, ordered by entry number
+ */
+export function parsePLS(text) {
+    const files = new Map();
+    const titles = new Map();
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const match = rawLine.trim().match(/^(file|title)(\d+)\s*=\s*(.*)$/i);
+        if (!match) continue;
+
+        const [, key, index, value] = match;
+        const target = key.toLowerCase() === 'file' ? files : titles;
+        target.set(parseInt(index, 10), value.trim());
+    }
+
+    return Array.from(files.keys())
+        .sort((a, b) => a - b)
+        .map(index => ({ url: files.get(index), name: titles.get(index) || '' }))
+        .filter(entry => entry.url);
+}
+
+/**
+ * Parse an XSPF (XML Shareable Playlist Format) playlist
+ * @param {string} text - Playlist contents
+ * @returns {Array} - Entries with url, name and optional genre/logo
+ */
+export function parseXSPF(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('Invalid XSPF playlist');
+    }
+
+    const childText = (element, tagName) => {
+        const child = element.getElementsByTagName(tagName)[0];
+        return child ? child.textContent.trim() : '';
+    };
+
+    return Array.from(doc.getElementsByTagName('track'))
+        .map(track => {
+            const entry = {
+                url: childText(track, 'location'),
+                name: childText(track, 'title') || childText(track, 'creator') || childText(track, 'annotation')
+            };
+
+            const image = childText(track, 'image');
+            if (image) {
+                entry.logo = image;
+            }
+
+            const album = childText(track, 'album');
+            if (album) {
+                entry.genre = album;
+            }
+
+            return entry;
+        })
+        .filter(entry => entry.url);
+}
+
+/**
+ * Parse the app's own JSON station export
+ * @param {string} text - JSON contents
+ * @returns {Array} - Station entries with their text fields, mirrors, quality tiers and favorite flag
+ */
+export function parseStationsJSON(text) {
+    const data = JSON.parse(text);
+    if (!data || data.type !== STATION_EXPORT_TYPE || !Array.isArray(data.stations)) {
+        throw new Error('This JSON file is not a station export from this player.');
+    }
+
+    // Hand-edited files may hold numbers or objects - keep only text fields so validation sees what it expects
+    return data.stations
+        .filter(station => station && typeof station.url === 'string')
+        .map(station => {
+            const entry = { ...pickTextFields(station, ['name', 'url', 'genre', 'quality', 'logo']), favorite: station.favorite === true };
+            entry.name = entry.name || '';
+
+            if (Array.isArray(station.mirrors)) {
+                entry.mirrors = station.mirrors
+                    .filter(mirror => mirror && typeof mirror.url === 'string')
+                    .map(mirror => pickTextFields(mirror, ['url', 'quality', 'label']));
+            }
+            if (Array.isArray(station.qualities)) {
+                entry.qualities = station.qualities
+                    .filter(tier => tier && typeof tier.url === 'string' && typeof tier.tier === 'string')
+                    .map(tier => {
+                        const picked = pickTextFields(tier, ['tier', 'url', 'quality']);
+                        if (Number.isFinite(tier.bitrate)) picked.bitrate = tier.bitrate;
+                        return picked;
+                    });
+            }
+            return entry;
+        });
+}
+
+/**
+ * Copy the fields that hold strings
+ * @param {Object} source - Parsed JSON object
+ * @param {Array<string>} keys - Fields to copy
+ * @returns {Object} - The fields of source that are strings
+ */
+function pickTextFields(source, keys) {
+    const picked = {};
+    keys.forEach(key => {
+        if (typeof source[key] === 'string') {
+            picked[key] = source[key];
+        }
+    });
+    return picked;
+}
+
+/**
+ * Parse a playlist file in any supported format
+ * @param {string} text - Playlist contents
+ * @param {string} fileName - Original file name (optional)
+ * @returns {Object} - Detected format and parsed entries
+ */
+export function parsePlaylist(text, fileName = '') {
+    const format = detectPlaylistFormat(text, fileName);
+
+    const parsers = {
+        'm3u': parseM3U,
+        'pls': parsePLS,
+        'xspf': parseXSPF,
+        'json': parseStationsJSON
+    };
+
+    if (!format || !parsers[format]) {
+        throw new Error('Unrecognised playlist format. Supported formats: M3U, PLS, XSPF and JSON exports.');
+    }
+
+    return {
+        format,
+        entries: parsers[format](text)
+    };
+}
+
+/**
+ * Build a readable station name from a stream URL when the playlist has no title
+ * @param {string} url - Stream URL
+ * @returns {string} - Fallback station name
+ */
+export function getNameFromUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const path = parsed.pathname.replace(/\/+$/, '');
+        return path && path !== '/' ? `${parsed.hostname}${path}` : parsed.hostname;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Serialize stations as an extended M3U playlist
+ * Genre and logo are written as group-title/tvg-logo attributes, which parseM3U reads back.
+ * @param {Array} stations - Stations to export
+ * @returns {string} - M3U contents
+ */
+export function serializeM3U(stations) {
+    const lines = ['#EXTM3U'];
+
+    stations.forEach(station => {
+        const attributes = [];
+        if (station.logo) attributes.push(`tvg-logo="${stripQuotes(station.logo)}"`);
+        if (station.genre) attributes.push(`group-title="${stripQuotes(station.genre)}"`);
+
+        lines.push(`#EXTINF:-1${attributes.length ? ' ' + attributes.join(' ') : ''},${station.name}`);
+        lines.push(station.url);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize stations as a PLS playlist
+ * @param {Array} stations - Stations to export
+ * @returns {string} - PLS contents
+ */
+export function serializePLS(stations) {
+    const lines = ['[playlist]'];
+
+    stations.forEach((station, index) => {
+        const number = index + 1;
+        lines.push(`File${number}=${station.url}`);
+        lines.push(`Title${number}=${station.name}`);
+        lines.push(`Length${number}=-1`);
+    });
+
+    lines.push(`NumberOfEntries=${stations.length}`);
+    lines.push('Version=2');
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize stations as an XSPF playlist (genre is stored in <album>)
+ * @param {Array} stations - Stations to export
+ * @param {string} title - Playlist title
+ * @returns {string} - XSPF contents
+ */
+export function serializeXSPF(stations, title = 'Hi-Fi Radio') {
+    const tracks = stations.map(station => [
+        '    <track>',
+        `      <location>${escapeXml(station.url)}</location>`,
+        `      <title>${escapeXml(station.name)}</title>`,
+        station.genre ? `      <album>${escapeXml(station.genre)}</album>` : null,
+        station.logo ? `      <image>${escapeXml(station.logo)}</image>` : null,
+        '    </track>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${escapeXml(title)}</title>`,
+        '  <trackList>',
+        ...tracks,
+        '  </trackList>',
+        '</playlist>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Serialize stations as JSON, keeping every station field plus the favorite flag
+ * @param {Array} stations - Stations to export, in order
+ * @returns {string} - JSON contents
+ */
+export function serializeStationsJSON(stations) {
+    const exported = stations.map(({ isFavorite, isCustom, ...fields }) => ({
+        ...fields,
+        favorite: Boolean(isFavorite)
+    }));
+
+    return JSON.stringify({
+        type: STATION_EXPORT_TYPE,
+        version: STATION_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        stations: exported
+    }, null, 2);
+}
+
+/**
+ * Serialize stations in the requested export format
+ * @param {Array} stations - Stations to export
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} - File contents
+ */
+export function serializePlaylist(stations, format) {
+    const serializers = {
+        'm3u': serializeM3U,
+        'pls': serializePLS,
+        'xspf': serializeXSPF,
+        'json': serializeStationsJSON
+    };
+
+    if (!serializers[format]) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    return serializers[format](stations);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function stripQuotes(value) {
+    return String(value).replace(/"/g, "'");
+}
@@ -0,0 +1,181 @@
+// Quality tier selection - picks a station's stream tier from the user's preference, codec support and connection
+import { STATION_CONFIG } from './config.js';
+import { loadQualityPreference, saveQualityPreference } from './storage.js';
+import { getStationStreams } from './stations.js';
+import { assessStreamCompatibility } from './stream-tester.js';
+import { isSlowConnection } from './performance.js';
+import { EventEmitter } from './event-emitter.js';
+
+const QUALITY_TIERS = STATION_CONFIG.QUALITY_TIERS;
+
+class QualitySelector extends EventEmitter {
+    constructor() {
+        super('quality preference');
+        const stored = loadQualityPreference() || {};
+
+        this.preference = this.isValidPreference(stored.preference)
+            ? stored.preference
+            : STATION_CONFIG.DEFAULT_QUALITY_PREFERENCE;
+        this.dataSaver = Boolean(stored.dataSaver);
+    }
+
+    isValidPreference(preference) {
+        return preference === 'auto' || Boolean(QUALITY_TIERS[preference]);
+    }
+
+    setPreference(preference) {
+        if (!this.isValidPreference(preference)) {
+            console.warn(`Unknown quality preference: ${preference}`);
+            return;
+        }
+
+        this.preference = preference;
+        this.save();
+    }
+
+    setDataSaver(enabled) {
+        this.dataSaver = Boolean(enabled);
+        this.save();
+    }
+
+    getSettings() {
+        return {
+            preference: this.preference,
+            dataSaver: this.dataSaver
+        };
+    }
+
+    save() {
+        saveQualityPreference(this.getSettings());
+        this.emit('change', this.getSettings());
+    }
+
+    /**
+     * Get the quality tiers a station offers, as playable streams
+     * @param {Object} station - Station object
+     * @returns {Array} - Tiers with url, tier, quality, label and bitrate (kbps)
+     */
+    getStationTiers(station) {
+        const tiers = Array.isArray(station.qualities) ? station.qualities : [];
+
+        return tiers
+            .filter(tier => tier && tier.url && QUALITY_TIERS[tier.tier])
+            .map(tier => {
+                const quality = tier.quality || station.quality;
+                return {
+                    url: tier.url,
+                    tier: tier.tier,
+                    quality,
+                    label: `${QUALITY_TIERS[tier.tier].label} quality`,
+                    bitrate: tier.bitrate || estimateBitrate(tier.tier, quality)
+                };
+            });
+    }
+
+    /**
+     * Pick the tier to play for a station
+     * @param {Object} station - Station object
+     * @returns {Object|null} - Selected tier, or null when the station has no tiers
+     */
+    selectTier(station) {
+        const tiers = this.getStationTiers(station);
+        if (!tiers.length) return null;
+
+        // Skip tiers whose codec the browser is known not to play, unless that leaves nothing
+        const supported = tiers.filter(tier =>
+            assessStreamCompatibility({ name: station.name, url: tier.url, quality: tier.quality }).compatibility !== 'poor'
+        );
+        const candidates = supported.length ? supported : tiers;
+
+        if (this.dataSaver && isSlowConnection()) {
+            const lowest = candidates.reduce((best, tier) => tier.bitrate < best.bitrate ? tier : best);
+            console.log(`📉 Data saver on a slow connection - using ${lowest.label} for ${station.name}`);
+            return lowest;
+        }
+
+        const byQuality = [...candidates].sort((a, b) =>
+            QUALITY_TIERS[b.tier].rank - QUALITY_TIERS[a.tier].rank || b.bitrate - a.bitrate
+        );
+
+        if (this.preference === 'auto') {
+            return byQuality[0];
+        }
+
+        // The preferred tier, otherwise the best one below it, otherwise the lowest available
+        const preferredRank = QUALITY_TIERS[this.preference].rank;
+        return byQuality.find(tier => QUALITY_TIERS[tier.tier].rank <= preferredRank) ||
+            byQuality[byQuality.length - 1];
+    }
+
+    /**
+     * Get a station's streams in playback order: the selected tier, then the usual failover streams
+     * @param {Object} station - Station object
+     * @returns {Array} - Streams for playStation
+     */
+    getPlaybackStreams(station) {
+        const streams = getStationStreams(station);
+        const tier = this.selectTier(station);
+        if (!tier) return streams;
+
+        return [tier, ...streams.filter(stream => stream.url !== tier.url)];
+    }
+}
+
+/**
+ * Estimate a tier's bitrate from its quality label, e.g. "AAC 128kbps"
+ * @param {string} tierName - Tier key
+ * @param {string} quality - Quality description
+ * @returns {number} - Bitrate in kbps
+ */
+function estimateBitrate(tierName, quality) {
+    const match = (quality || '').toLowerCase().match(/(\d+)\s*kbps?/);
+    return match ? parseInt(match[1], 10) : QUALITY_TIERS[tierName].bitrate;
+}
+
+// Create global instance
+export const qualitySelector = new QualitySelector();
+
+export function getPlaybackStreams(station) {
+    return qualitySelector.getPlaybackStreams(station);
+}
+
+/**
+ * Create the stream quality controls
+ * @param {HTMLElement} container - Element to append the controls to
+ * @returns {HTMLElement} - The controls element
+ */
+export function createQualitySelectorUI(container) {
+    const qualityContainer = document.createElement('div');
+    qualityContainer.className = 'quality-selector w-full flex items-center justify-between gap-3 flex-wrap text-sm';
+    qualityContainer.setAttribute('role', 'group');
+    qualityContainer.setAttribute('aria-label', 'Stream quality');
+    qualityContainer.innerHTML = `
+        <label for="quality-preference" class="text-slate-600 dark:text-slate-300">Stream quality</label>
+        <select id="quality-preference" class="bg-white/20 dark:bg-slate-700 text-slate-900 dark:text-white rounded px-2 py-1 text-sm border border-white/20 dark:border-slate-600"
+                title="Used for stations that offer several quality tiers">
+            <option value="auto">Auto (best supported)</option>
+            ${Object.entries(QUALITY_TIERS).map(([value, tier]) => `<option value="${value}">${tier.label}</option>`).join('')}
+        </select>
+        <label class="flex items-center gap-2 text-slate-600 dark:text-slate-300" title="Use the lowest bitrate tier on slow connections">
+            <input type="checkbox" id="data-saver">
+            Data saver
+        </label>
+    `;
+
+    const preferenceSelect = qualityContainer.querySelector('#quality-preference');
+    const dataSaverToggle = qualityContainer.querySelector('#data-saver');
+
+    preferenceSelect.value = qualitySelector.preference;
+    dataSaverToggle.checked = qualitySelector.dataSaver;
+
+    preferenceSelect.addEventListener('change', (e) => {
+        qualitySelector.setPreference(e.target.value);
+    });
+
+    dataSaverToggle.addEventListener('change', (e) => {
+        qualitySelector.setDataSaver(e.target.checked);
+    });
+
+    container.appendChild(qualityContainer);
+    return qualityContainer;
+}
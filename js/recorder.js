@@ -0,0 +1,543 @@
+// Stream recorder - saves the playing station to files, one file per track
+import { APP_CONFIG } from './config.js';
+import { detectStreamFormat } from './codec-manager.js';
+import { getCurrentStation, getCurrentStream, createRecordingStream, tapStreamBytes, addAudioEventListener } from './player.js';
+import { OGG_CAPTURE_PATTERN, FLAC_MARKER, startsWith, concatBytes } from './vorbis-metadata.js';
+import { parseTrackTitle } from './track-history.js';
+import { downloadBlob, updateScreenReaderStatus, formatDuration } from './ui.js';
+import { EventEmitter } from './event-emitter.js';
+
+const RECORDER_CONFIG = APP_CONFIG.RECORDER;
+
+// File extensions for raw captures, by detectStreamFormat result
+const FORMAT_EXTENSIONS = {
+    'flac': 'flac',
+    'mpeg': 'mp3',
+    'aac': 'aac',
+    'opus': 'opus',
+    'vorbis': 'ogg'
+};
+
+/**
+ * Length of the complete Ogg page at an offset
+ * @param {Uint8Array} bytes - Bytes holding the page
+ * @param {number} offset - Where the page's capture pattern starts
+ * @returns {number} - Page length, or 0 if the page is not complete yet
+ */
+function oggPageLength(bytes, offset) {
+    if (offset + 27 > bytes.length) return 0;
+
+    const segmentCount = bytes[offset + 26];
+    const headerLength = 27 + segmentCount;
+    if (offset + headerLength > bytes.length) return 0;
+
+    let bodyLength = 0;
+    for (let i = 0; i < segmentCount; i++) {
+        bodyLength += bytes[offset + 27 + i];
+    }
+    const pageLength = headerLength + bodyLength;
+    return offset + pageLength <= bytes.length ? pageLength : 0;
+}
+
+function isOggHeaderPage(page) {
+    // Header pages carry granule position 0; the first audio page ends the header
+    return page.subarray(6, 14).every(value => value === 0);
+}
+
+/**
+ * Records the station's own bytes from the connection playback reads, so the file keeps the original codec.
+ * The recording joins mid-stream, so the stream's header is taken from the first bytes the player kept.
+ * Files are split so each one can be played on its own: Ogg splits happen on page boundaries
+ * with the stream's header pages repeated, FLAC splits repeat the metadata header.
+ */
+class RawCaptureSession {
+    constructor(format, getPartTitle, onPart) {
+        this.format = format;
+        this.getPartTitle = getPartTitle;
+        this.onPart = onPart;
+        this.removeTap = null;
+        this.container = null; // 'ogg', 'flac' or 'raw', from the stream's header
+        this.pending = new Uint8Array(0); // Ogg bytes not yet split into pages
+        this.partChunks = [];
+        this.partBytes = 0;
+        this.totalBytes = 0;
+        this.flacHeader = null;
+        this.oggHeaderPages = [];
+        this.oggCapturingHeader = false;
+        this.needsHeader = false;
+    }
+
+    async start() {
+        const tap = tapStreamBytes(chunk => this.write(chunk));
+        if (!tap) {
+            throw new Error('this station is played by the browser directly, so its original stream cannot be saved');
+        }
+        this.removeTap = tap.remove;
+        this.readHeader(tap.header);
+    }
+
+    /**
+     * Take the container and its header from the start of the stream
+     * @param {Uint8Array} bytes - First bytes of the stream
+     */
+    readHeader(bytes) {
+        if (startsWith(bytes, OGG_CAPTURE_PATTERN)) {
+            this.container = 'ogg';
+            let offset = 0;
+            while (startsWith(bytes, OGG_CAPTURE_PATTERN, offset)) {
+                const pageLength = oggPageLength(bytes, offset);
+                const page = bytes.subarray(offset, offset + pageLength);
+                if (!pageLength || !isOggHeaderPage(page)) break;
+                this.oggHeaderPages.push(page);
+                offset += pageLength;
+            }
+        } else if (startsWith(bytes, FLAC_MARKER)) {
+            this.flacHeader = readFlacHeader(bytes);
+            // Without its metadata the audio frames do not make a FLAC file - save them as they come
+            this.container = this.flacHeader ? 'flac' : 'raw';
+        } else {
+            this.container = 'raw';
+        }
+        this.needsHeader = this.container !== 'raw';
+    }
+
+    get extension() {
+        if (this.container === 'flac') return 'flac';
+        if (this.container === 'ogg') return this.format === 'opus' ? 'opus' : 'ogg';
+        return FORMAT_EXTENSIONS[this.format] || 'mp3';
+    }
+
+    write(chunk) {
+        this.totalBytes += chunk.length;
+
+        if (this.container === 'ogg') {
+            this.pending = this.pending.length ? concatBytes(this.pending, chunk) : chunk;
+            this.writeOggPages();
+        } else {
+            this.appendToPart(chunk);
+        }
+    }
+
+    writeOggPages() {
+        let offset = 0;
+        while (offset + 27 <= this.pending.length) {
+            // The first chunk usually starts mid-page - skip to the next capture pattern
+            if (!startsWith(this.pending, OGG_CAPTURE_PATTERN, offset)) {
+                offset++;
+                continue;
+            }
+
+            const pageLength = oggPageLength(this.pending, offset);
+            if (!pageLength) break;
+
+            this.writeOggPage(this.pending.slice(offset, offset + pageLength));
+            offset += pageLength;
+        }
+        this.pending = this.pending.slice(offset);
+    }
+
+    writeOggPage(page) {
+        const isFirstPage = (page[5] & 0x02) !== 0;
+        const isHeaderPage = isOggHeaderPage(page);
+
+        if (isFirstPage) {
+            this.oggHeaderPages = [];
+            this.oggCapturingHeader = true;
+        }
+        if (this.oggCapturingHeader) {
+            if (isHeaderPage) {
+                this.oggHeaderPages.push(page);
+            } else {
+                this.oggCapturingHeader = false;
+            }
+        }
+
+        // A part that does not start a new logical stream needs the current stream's headers
+        if (this.needsHeader) {
+            this.needsHeader = false;
+            if (!isFirstPage) {
+                this.oggHeaderPages.forEach(headerPage => this.appendToPart(headerPage));
+            }
+        }
+
+        this.appendToPart(page);
+    }
+
+    appendToPart(bytes) {
+        if (this.needsHeader && this.container === 'flac' && this.flacHeader) {
+            this.needsHeader = false;
+            this.partChunks.push(this.flacHeader);
+            this.partBytes += this.flacHeader.length;
+        }
+
+        this.partChunks.push(bytes);
+        this.partBytes += bytes.length;
+
+        if (this.partBytes >= RECORDER_CONFIG.MAX_PART_BYTES) {
+            this.split();
+        }
+    }
+
+    /**
+     * Finish the current file and start the next one
+     */
+    split() {
+        if (this.partChunks.length) {
+            this.onPart(new Blob(this.partChunks), this.extension, this.getPartTitle());
+        }
+        this.partChunks = [];
+        this.partBytes = 0;
+        this.needsHeader = this.container === 'ogg' || this.container === 'flac';
+    }
+
+    stop() {
+        if (this.removeTap) {
+            this.removeTap();
+            this.removeTap = null;
+        }
+        this.pending = new Uint8Array(0);
+        this.split();
+    }
+}
+
+/**
+ * Copy the fLaC marker and metadata blocks from the start of a native FLAC stream
+ * @param {Uint8Array} bytes - First bytes of the stream
+ * @returns {Uint8Array|null} - Header to start each file with, or null if it did not fit in the kept bytes
+ */
+function readFlacHeader(bytes) {
+    let offset = 4;
+    while (offset + 4 <= bytes.length) {
+        const isLast = (bytes[offset] & 0x80) !== 0;
+        const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+        offset += 4 + length;
+        if (offset > bytes.length) return null;
+        if (isLast) return bytes.slice(0, offset);
+    }
+    return null;
+}
+
+/**
+ * Records the decoded audio from the AudioContext with MediaRecorder.
+ * Works for every station that plays, including HLS, at the cost of re-encoding.
+ */
+class EncodeSession {
+    constructor(getPartTitle, onPart) {
+        this.getPartTitle = getPartTitle;
+        this.onPart = onPart;
+        this.tap = null;
+        this.recorder = null;
+        this.stopCurrent = null;
+        this.totalBytes = 0;
+        this.mimeType = RECORDER_CONFIG.ENCODE_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    get extension() {
+        if (this.mimeType.startsWith('audio/ogg')) return 'ogg';
+        if (this.mimeType.startsWith('audio/mp4')) return 'm4a';
+        return 'webm';
+    }
+
+    async start() {
+        this.tap = createRecordingStream();
+        if (!this.tap) {
+            throw new Error('The audio graph is not ready yet - start playback first');
+        }
+        this.startRecorder();
+    }
+
+    startRecorder() {
+        const chunks = [];
+        const recorder = new MediaRecorder(this.tap.stream, this.mimeType ? { mimeType: this.mimeType } : undefined);
+        // The stop event fires after the next part has begun, so remember this part's title now
+        const part = { title: null };
+        recorder.addEventListener('stop', () => {
+            if (chunks.length) {
+                this.onPart(new Blob(chunks, { type: recorder.mimeType }), this.extension, part.title);
+            }
+        });
+        this.stopCurrent = () => {
+            part.title = this.getPartTitle();
+            if (recorder.state !== 'inactive') {
+                recorder.stop();
+            }
+        };
+
+        let partBytes = 0;
+        recorder.addEventListener('dataavailable', (event) => {
+            if (!event.data.size) return;
+
+            chunks.push(event.data);
+            partBytes += event.data.size;
+            this.totalBytes += event.data.size;
+            // Parts stay in memory until saved - split long untitled stretches like raw captures do
+            if (partBytes >= RECORDER_CONFIG.MAX_PART_BYTES && this.recorder === recorder) {
+                this.split();
+            }
+        });
+        recorder.start(RECORDER_CONFIG.ENCODE_TIMESLICE);
+        this.recorder = recorder;
+    }
+
+    split() {
+        // Each MediaRecorder run produces a complete file with its own headers
+        this.stopCurrent();
+        this.startRecorder();
+    }
+
+    stop() {
+        if (this.recorder) {
+            this.stopCurrent();
+        }
+        this.recorder = null;
+        if (this.tap) {
+            this.tap.disconnect();
+            this.tap = null;
+        }
+    }
+}
+
+class StreamRecorder extends EventEmitter {
+    constructor() {
+        super('recorder');
+        this.mode = RECORDER_CONFIG.DEFAULT_MODE;
+        this.session = null;
+        this.station = null;
+        this.startTime = null;
+        this.partTitle = null;
+        this.partCount = 0;
+        this.currentTitle = null;
+        this.titleStation = null;
+        this.statusInterval = null;
+    }
+
+    /**
+     * Stop recording whenever playback drops its source or loads a new one (station change or stop)
+     * A crossfade loads the next station on the other deck, so 'emptied' alone would miss it.
+     */
+    initialize() {
+        ['emptied', 'loadstart'].forEach(type => {
+            addAudioEventListener(type, () => {
+                if (this.isRecording()) {
+                    console.log('⏺️ Playback source changed - stopping the recording');
+                    this.stop();
+                }
+            });
+        });
+    }
+
+    isRecording() {
+        return this.session !== null;
+    }
+
+    setMode(mode) {
+        if (mode === 'raw' || mode === 'encode') {
+            this.mode = mode;
+        }
+    }
+
+    /**
+     * Start recording the current station
+     * @returns {Promise} - Rejects if nothing is playing or the stream cannot be captured
+     */
+    async start() {
+        const station = getCurrentStation();
+        const stream = getCurrentStream();
+        if (!station || !stream) {
+            throw new Error('Start a station before recording');
+        }
+        if (this.isRecording()) return;
+
+        const url = stream.resolvedUrl || stream.url;
+        const getPartTitle = () => this.partTitle;
+        const onPart = (blob, extension, title) => this.savePart(blob, extension, title);
+        const session = this.mode === 'raw'
+            ? new RawCaptureSession(detectStreamFormat(url, stream.quality || ''), getPartTitle, onPart)
+            : new EncodeSession(getPartTitle, onPart);
+
+        await session.start();
+
+        this.session = session;
+        this.station = station;
+        this.startTime = Date.now();
+        this.partCount = 0;
+        this.partTitle = this.titleStation === station ? this.currentTitle : null;
+        this.statusInterval = setInterval(() => this.notify(), 1000);
+
+        console.log(`⏺️ Recording ${station.name} (${this.mode === 'raw' ? 'original stream' : 're-encoded'})`);
+        updateScreenReaderStatus(`Recording ${station.name}`, 'polite');
+        this.notify();
+    }
+
+    stop() {
+        if (!this.session) return;
+
+        this.session.stop();
+        this.session = null;
+        clearInterval(this.statusInterval);
+        this.statusInterval = null;
+
+        console.log('⏹️ Recording stopped');
+        updateScreenReaderStatus('Recording stopped', 'polite');
+        this.notify();
+    }
+
+    /**
+     * Follow stream titles; while recording, each new title starts a new file
+     * @param {Object} station - Station the title belongs to
+     * @param {string} title - New stream title
+     */
+    handleTitleChange(station, title) {
+        const previousTitle = this.titleStation === station ? this.currentTitle : null;
+        this.titleStation = station;
+        this.currentTitle = title;
+
+        if (!this.session || station !== this.station || title === previousTitle) return;
+
+        if (previousTitle === null && this.partTitle === null) {
+            // First title for a recording that started before any title was known
+            this.partTitle = title;
+        } else {
+            this.session.split();
+            this.partTitle = title;
+        }
+        this.notify();
+    }
+
+    savePart(blob, extension, title) {
+        this.partCount++;
+        const fileName = buildFileName(this.station, title, new Date(), extension);
+        downloadBlob(blob, fileName);
+        console.log(`💾 Saved recording: ${fileName} (${formatBytes(blob.size)})`);
+        this.notify();
+    }
+
+    getStatus() {
+        return {
+            recording: this.isRecording(),
+            mode: this.mode,
+            elapsedSeconds: this.startTime && this.session ? Math.floor((Date.now() - this.startTime) / 1000) : 0,
+            bytes: this.session ? this.session.totalBytes : 0,
+            title: this.partTitle,
+            parts: this.partCount
+        };
+    }
+
+    notify() {
+        const status = this.getStatus();
+        this.emit('change', status);
+    }
+}
+
+/**
+ * Build a file name such as "Station - Artist - Title.mp3"
+ * @param {Object} station - Station being recorded
+ * @param {string|null} title - Stream title of the part, if known
+ * @param {Date} date - Used when no title is known
+ * @param {string} extension - File extension
+ * @returns {string} - File name without characters file systems reject
+ */
+export function buildFileName(station, title, date, extension) {
+    let baseName;
+    if (title) {
+        const { artist, title: trackTitle } = parseTrackTitle(title);
+        baseName = [station.name, artist, trackTitle].filter(Boolean).join(' - ');
+    } else {
+        baseName = `${station.name} - ${date.toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '-')}`;
+    }
+
+    const safeName = baseName
+        .replace(/[\\/:*?"<>|\u0000-\u001F]+/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, RECORDER_CONFIG.MAX_FILE_NAME_LENGTH);
+
+    return `${safeName}.${extension}`;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(0)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Create global instance
+export const streamRecorder = new StreamRecorder();
+
+export function initializeRecorder() {
+    streamRecorder.initialize();
+}
+
+/**
+ * Create the recording controls
+ * @param {HTMLElement} container - Element to append the controls to
+ * @returns {HTMLElement} - The controls element
+ */
+export function createRecorderUI(container) {
+    const recorderContainer = document.createElement('div');
+    recorderContainer.className = 'stream-recorder w-full flex items-center justify-between gap-3 flex-wrap text-sm';
+    recorderContainer.setAttribute('role', 'group');
+    recorderContainer.setAttribute('aria-label', 'Recording');
+    recorderContainer.innerHTML = `
+        <div class="flex items-center gap-2">
+            <button type="button" id="record-toggle" class="glass-btn px-3 py-1 rounded-full bg-white/40 dark:bg-slate-700/40 border border-white/20 dark:border-slate-600/30 text-red-600 dark:text-red-400 hover:bg-white/60 dark:hover:bg-slate-700/60 transition-colors"
+                    aria-pressed="false">
+                <i class="fas fa-circle mr-1" aria-hidden="true"></i><span>Record</span>
+            </button>
+            <label for="record-mode" class="sr-only">Recording format</label>
+            <select id="record-mode" class="bg-white/20 dark:bg-slate-700 text-slate-900 dark:text-white rounded px-2 py-1 text-sm border border-white/20 dark:border-slate-600">
+                <option value="raw">Original stream</option>
+                <option value="encode">Re-encode</option>
+            </select>
+        </div>
+        <span id="record-status" class="text-slate-500 dark:text-slate-400 tabular-nums truncate"></span>
+    `;
+
+    const toggleButton = recorderContainer.querySelector('#record-toggle');
+    const toggleLabel = toggleButton.querySelector('span');
+    const modeSelect = recorderContainer.querySelector('#record-mode');
+    const statusEl = recorderContainer.querySelector('#record-status');
+
+    modeSelect.value = streamRecorder.mode;
+    if (typeof MediaRecorder === 'undefined') {
+        modeSelect.querySelector('option[value="encode"]').disabled = true;
+    }
+
+    modeSelect.addEventListener('change', () => streamRecorder.setMode(modeSelect.value));
+
+    toggleButton.addEventListener('click', async () => {
+        if (streamRecorder.isRecording()) {
+            streamRecorder.stop();
+            return;
+        }
+
+        toggleButton.disabled = true;
+        try {
+            await streamRecorder.start();
+        } catch (error) {
+            console.warn('Recording could not start:', error);
+            const hint = streamRecorder.mode === 'raw' ? ' Try "Re-encode" instead.' : '';
+            statusEl.textContent = `Could not record: ${error.message}.${hint}`;
+            updateScreenReaderStatus(`Recording could not start: ${error.message}`, 'assertive');
+        } finally {
+            toggleButton.disabled = false;
+        }
+    });
+
+    streamRecorder.on('change', ({ recording, elapsedSeconds, bytes, title, parts }) => {
+        toggleButton.setAttribute('aria-pressed', String(recording));
+        toggleLabel.textContent = recording ? 'Stop' : 'Record';
+        toggleButton.querySelector('i').className = `fas ${recording ? 'fa-stop' : 'fa-circle'} mr-1`;
+        modeSelect.disabled = recording;
+
+        if (recording) {
+            statusEl.textContent = `● ${formatDuration(elapsedSeconds)} · ${formatBytes(bytes)}${title ? ` · ${title}` : ''}`;
+        } else {
+            statusEl.textContent = parts ? `Saved ${parts} file${parts === 1 ? '' : 's'}` : '';
+        }
+    });
+
+    container.appendChild(recorderContainer);
+    return recorderContainer;
+}
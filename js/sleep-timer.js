@@ -0,0 +1,282 @@
+// Sleep timer - fades the volume out and stops the stream after a set time or at the end of the current track
+import { APP_CONFIG } from './config.js';
+import { volumeController } from './volume-control.js';
+import { stopPlayback, getCurrentStation, getAudioElement } from './player.js';
+import { playbackState } from './playback-state.js';
+import { updateScreenReaderStatus, formatDuration } from './ui.js';
+import { EventEmitter } from './event-emitter.js';
+
+const TIMER_CONFIG = APP_CONFIG.SLEEP_TIMER;
+const TICK_INTERVAL = 1000;
+
+class SleepTimer extends EventEmitter {
+    constructor() {
+        super('sleep timer');
+        this.mode = null; // 'minutes' or 'track' while a timer is set
+        this.endTime = null;
+        this.fadeSeconds = TIMER_CONFIG.DEFAULT_FADE_SECONDS;
+        this.tickInterval = null;
+        this.fadeInterval = null;
+        this.fadeStartVolume = null;
+        this.warningAnnounced = false;
+        this.currentTitle = null;
+        this.titleStation = null;
+    }
+
+    /**
+     * Stop playback after a number of minutes, fading out over the last fadeSeconds
+     * @param {number} minutes - Minutes until playback stops
+     * @param {number} fadeSeconds - Length of the fade-out
+     */
+    startMinutes(minutes, fadeSeconds = this.fadeSeconds) {
+        const clamped = Math.max(1, Math.min(TIMER_CONFIG.MAX_MINUTES, Math.round(minutes)));
+
+        this.reset();
+        this.mode = 'minutes';
+        this.fadeSeconds = Math.min(fadeSeconds, clamped * 60);
+        this.endTime = Date.now() + clamped * 60 * 1000;
+        this.warningAnnounced = false;
+        this.tickInterval = setInterval(() => this.tick(), TICK_INTERVAL);
+
+        console.log(`😴 Sleep timer set for ${clamped} minutes (${this.fadeSeconds}s fade)`);
+        updateScreenReaderStatus(`Sleep timer set for ${clamped} minutes`, 'polite');
+        this.notify();
+    }
+
+    /**
+     * Stop playback when the station announces the next title
+     * @param {number} fadeSeconds - Length of the fade-out, which starts at the title change
+     */
+    startEndOfTrack(fadeSeconds = this.fadeSeconds) {
+        this.reset();
+        this.mode = 'track';
+        this.fadeSeconds = fadeSeconds;
+        this.endTime = null;
+
+        console.log('😴 Sleep timer set for the end of the current track');
+        updateScreenReaderStatus('Sleep timer set for the end of the current track', 'polite');
+        this.notify();
+    }
+
+    /**
+     * Cancel the timer and any fade in progress, restoring the volume
+     */
+    cancel() {
+        if (!this.isActive()) return;
+
+        this.reset();
+        console.log('😴 Sleep timer cancelled');
+        updateScreenReaderStatus('Sleep timer cancelled', 'polite');
+        this.notify();
+    }
+
+    reset() {
+        clearInterval(this.tickInterval);
+        this.tickInterval = null;
+        this.stopFade(true);
+        this.mode = null;
+        this.endTime = null;
+    }
+
+    /**
+     * Follow title changes from station metadata; ends an end-of-track timer
+     * @param {Object} station - Station the title belongs to
+     * @param {string} title - New stream title
+     */
+    handleTitleChange(station, title) {
+        if (station !== getCurrentStation()) return;
+
+        // The first title after switching stations is not a track change
+        const previousTitle = this.titleStation === station ? this.currentTitle : null;
+        this.titleStation = station;
+        this.currentTitle = title;
+
+        if (this.mode === 'track' && !this.fadeInterval && previousTitle && title !== previousTitle) {
+            console.log(`😴 Track changed to "${title}" - fading out`);
+            this.startFade();
+        }
+    }
+
+    tick() {
+        const remaining = this.getRemainingSeconds();
+
+        if (!this.warningAnnounced && remaining <= TIMER_CONFIG.WARNING_MINUTES * 60 + this.fadeSeconds) {
+            this.warningAnnounced = true;
+            updateScreenReaderStatus(`Sleep timer: playback stops in ${formatDuration(remaining)}`, 'polite');
+        }
+
+        if (!this.fadeInterval && remaining <= this.fadeSeconds) {
+            this.startFade();
+        }
+
+        this.notify();
+    }
+
+    startFade() {
+        if (!playbackState.isActive()) {
+            this.finish();
+            return;
+        }
+
+        const duration = Math.max(this.fadeSeconds, 0) * 1000;
+        const fadeStart = Date.now();
+        this.fadeStartVolume = volumeController.getVolume();
+
+        updateScreenReaderStatus('Sleep timer: fading out', 'polite');
+
+        this.fadeInterval = setInterval(() => {
+            const progress = duration ? Math.min(1, (Date.now() - fadeStart) / duration) : 1;
+            // Fade is not saved, so the stored volume stays what the listener chose
+            volumeController.setVolume(this.fadeStartVolume * (1 - progress), false);
+
+            if (progress >= 1) {
+                this.finish();
+            }
+        }, TIMER_CONFIG.FADE_STEP_INTERVAL);
+    }
+
+    stopFade(restoreVolume) {
+        clearInterval(this.fadeInterval);
+        this.fadeInterval = null;
+
+        if (restoreVolume && this.fadeStartVolume !== null) {
+            volumeController.setVolume(this.fadeStartVolume, false);
+        }
+        this.fadeStartVolume = null;
+    }
+
+    finish() {
+        if (getAudioElement()) {
+            stopPlayback();
+        }
+
+        // Restores the volume for next time now that nothing is playing
+        this.reset();
+
+        console.log('😴 Sleep timer ended playback');
+        updateScreenReaderStatus('Sleep timer ended playback', 'polite');
+        this.notify();
+    }
+
+    isActive() {
+        return this.mode !== null;
+    }
+
+    isFading() {
+        return this.fadeInterval !== null;
+    }
+
+    /**
+     * Get the seconds left until playback stops
+     * @returns {number|null} - Seconds, or null for end-of-track timers and when no timer is set
+     */
+    getRemainingSeconds() {
+        if (this.mode !== 'minutes') return null;
+        return Math.max(0, Math.ceil((this.endTime - Date.now()) / 1000));
+    }
+
+    notify() {
+        const state = {
+            mode: this.mode,
+            remainingSeconds: this.getRemainingSeconds(),
+            fading: this.isFading()
+        };
+        this.emit('change', state);
+    }
+}
+
+// Create global instance
+export const sleepTimer = new SleepTimer();
+
+/**
+ * Create the sleep timer controls
+ * @param {HTMLElement} container - Element to append the controls to
+ * @returns {HTMLElement} - The controls element
+ */
+export function createSleepTimerUI(container) {
+    const timerContainer = document.createElement('div');
+    timerContainer.className = 'sleep-timer w-full flex items-center justify-between gap-3 flex-wrap text-sm';
+    timerContainer.setAttribute('role', 'group');
+    timerContainer.setAttribute('aria-label', 'Sleep timer');
+    timerContainer.innerHTML = `
+        <label for="sleep-timer-mode" class="text-slate-600 dark:text-slate-300">
+            <i class="fas fa-bed mr-1" aria-hidden="true"></i>Sleep timer
+        </label>
+        <div class="flex items-center gap-2 flex-wrap">
+            <select id="sleep-timer-mode" class="bg-white/20 dark:bg-slate-700 text-slate-900 dark:text-white rounded px-2 py-1 text-sm border border-white/20 dark:border-slate-600">
+                <option value="off">Off</option>
+                ${TIMER_CONFIG.PRESET_MINUTES.map(minutes => `<option value="${minutes}">${minutes} minutes</option>`).join('')}
+                <option value="custom">Custom...</option>
+                <option value="track">End of current track</option>
+            </select>
+            <label for="sleep-timer-custom" class="sr-only">Custom sleep timer minutes</label>
+            <input type="number" id="sleep-timer-custom" min="1" max="${TIMER_CONFIG.MAX_MINUTES}" value="45"
+                   class="hidden w-20 bg-white/20 dark:bg-slate-700 text-slate-900 dark:text-white rounded px-2 py-1 text-sm border border-white/20 dark:border-slate-600">
+            <button type="button" id="sleep-timer-custom-start" class="hidden bg-indigo-600 hover:bg-indigo-500 text-white px-2 py-1 rounded text-sm transition-colors">Start</button>
+            <label for="sleep-timer-fade" class="sr-only">Fade-out length</label>
+            <select id="sleep-timer-fade" class="bg-white/20 dark:bg-slate-700 text-slate-900 dark:text-white rounded px-2 py-1 text-sm border border-white/20 dark:border-slate-600"
+                    title="How long the volume fades before the stream stops">
+                ${TIMER_CONFIG.FADE_OPTIONS.map(seconds => `<option value="${seconds}" ${seconds === TIMER_CONFIG.DEFAULT_FADE_SECONDS ? 'selected' : ''}>${seconds}s fade</option>`).join('')}
+            </select>
+            <span id="sleep-timer-remaining" class="text-slate-500 dark:text-slate-400 tabular-nums"></span>
+        </div>
+    `;
+
+    const modeSelect = timerContainer.querySelector('#sleep-timer-mode');
+    const customInput = timerContainer.querySelector('#sleep-timer-custom');
+    const customStart = timerContainer.querySelector('#sleep-timer-custom-start');
+    const fadeSelect = timerContainer.querySelector('#sleep-timer-fade');
+    const remainingEl = timerContainer.querySelector('#sleep-timer-remaining');
+
+    const showCustomInput = (visible) => {
+        customInput.classList.toggle('hidden', !visible);
+        customStart.classList.toggle('hidden', !visible);
+    };
+
+    modeSelect.addEventListener('change', () => {
+        const value = modeSelect.value;
+        const fadeSeconds = parseInt(fadeSelect.value, 10);
+        showCustomInput(value === 'custom');
+
+        if (value === 'off') {
+            sleepTimer.cancel();
+        } else if (value === 'track') {
+            sleepTimer.startEndOfTrack(fadeSeconds);
+        } else if (value !== 'custom') {
+            sleepTimer.startMinutes(parseInt(value, 10), fadeSeconds);
+        }
+    });
+
+    customStart.addEventListener('click', () => {
+        const minutes = parseInt(customInput.value, 10);
+        if (!minutes || minutes < 1) {
+            customInput.focus();
+            return;
+        }
+        sleepTimer.startMinutes(minutes, parseInt(fadeSelect.value, 10));
+    });
+
+    fadeSelect.addEventListener('change', () => {
+        sleepTimer.fadeSeconds = parseInt(fadeSelect.value, 10);
+    });
+
+    sleepTimer.on('change', ({ mode, remainingSeconds, fading }) => {
+        if (!mode) {
+            remainingEl.textContent = '';
+            modeSelect.value = 'off';
+            showCustomInput(false);
+            return;
+        }
+
+        if (fading) {
+            remainingEl.textContent = 'Fading out...';
+        } else if (mode === 'track') {
+            remainingEl.textContent = 'Stops after this track';
+        } else {
+            remainingEl.textContent = `Stops in ${formatDuration(remainingSeconds)}`;
+        }
+    });
+
+    container.appendChild(timerContainer);
+    return timerContainer;
+}
@@ -0,0 +1,258 @@
+// SourceBuffer appender - feeds stream chunks into MediaSource with backpressure, trimming and quota recovery
+import { APP_CONFIG } from './config.js';
+
+const TIMESHIFT_CONFIG = APP_CONFIG.TIMESHIFT;
+const MEDIA_SOURCE_CONFIG = APP_CONFIG.AUDIO.MEDIA_SOURCE;
+
+/**
+ * Appends a live stream to a SourceBuffer, one update at a time
+ * Chunks queue while the buffer is updating and are joined into a single append. append()
+ * resolves once the queue has room, so a reader that awaits it is held to the pace the buffer
+ * accepts. Audio older than the time-shift window is removed as new audio arrives; when the
+ * browser's quota is smaller than the window, the window shrinks instead of playback failing.
+ */
+export class SourceBufferAppender {
+    /**
+     * @param {SourceBuffer} sourceBuffer - Buffer to feed
+     * @param {HTMLAudioElement} audioElement - Element playing from the buffer
+     * @param {Function} [onBufferChange] - Called with getBufferStatus() after each append
+     */
+    constructor(sourceBuffer, audioElement, onBufferChange = null) {
+        this.sourceBuffer = sourceBuffer;
+        this.audioElement = audioElement;
+        this.onBufferChange = onBufferChange;
+        this.windowSeconds = TIMESHIFT_CONFIG.BUFFER_SECONDS; // shrinks if the browser's buffer quota is smaller
+        this.queue = [];
+        this.queuedBytes = 0;
+        this.draining = null; // Promise of the running append loop
+        this.waiters = []; // Resolved when the queue has room, playback moves on or the appender closes
+        this.error = null;
+        this.closed = false;
+    }
+
+    /**
+     * Queue a chunk for the SourceBuffer
+     * @param {Uint8Array} chunk - Stream bytes
+     * @returns {Promise} - Resolves once the queue has room for more; rejects if appending failed
+     */
+    async append(chunk) {
+        if (this.error) throw this.error;
+        if (this.closed) return;
+
+        this.queue.push(chunk);
+        this.queuedBytes += chunk.byteLength;
+        this.drain();
+
+        while (this.queuedBytes >= MEDIA_SOURCE_CONFIG.MAX_QUEUE_BYTES && !this.error && !this.closed) {
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+        if (this.error) throw this.error;
+    }
+
+    /**
+     * Wait until every queued chunk is in the SourceBuffer, e.g. before endOfStream()
+     */
+    async finish() {
+        while (this.draining) {
+            await this.draining;
+        }
+        if (this.error) throw this.error;
+    }
+
+    /**
+     * Stop appending; queued chunks are dropped
+     */
+    close() {
+        this.closed = true;
+        this.queue = [];
+        this.queuedBytes = 0;
+        this.wakeWaiters();
+    }
+
+    /**
+     * @returns {Object} - ahead (seconds buffered past the playback position), behind (seconds that
+     *     can be rewound), windowSeconds (current time-shift window) and queuedBytes (not yet appended)
+     */
+    getBufferStatus() {
+        const range = this.getBufferedRange();
+        const position = this.audioElement.currentTime;
+
+        return {
+            ahead: range ? Math.max(0, range.end - position) : 0,
+            behind: range ? Math.max(0, position - range.start) : 0,
+            windowSeconds: this.windowSeconds,
+            queuedBytes: this.queuedBytes
+        };
+    }
+
+    drain() {
+        if (!this.draining) {
+            this.draining = this.processQueue()
+                .catch(error => {
+                    this.error = error;
+                })
+                .finally(() => {
+                    this.draining = null;
+                    this.wakeWaiters();
+                });
+        }
+        return this.draining;
+    }
+
+    async processQueue() {
+        while (this.queue.length && !this.closed) {
+            const chunk = this.takeQueue();
+            // The reader can fetch the next chunks while this one is appended
+            this.wakeWaiters();
+
+            await this.appendChunk(chunk);
+            if (this.onBufferChange) {
+                this.onBufferChange(this.getBufferStatus());
+            }
+        }
+    }
+
+    /**
+     * Join the queued chunks - fewer, larger appends keep up with many small network reads
+     * @returns {Uint8Array} - Queued bytes in arrival order
+     */
+    takeQueue() {
+        const chunks = this.queue;
+        const chunk = chunks.length === 1 ? chunks[0] : new Uint8Array(this.queuedBytes);
+        if (chunks.length > 1) {
+            let offset = 0;
+            chunks.forEach(part => {
+                chunk.set(part, offset);
+                offset += part.byteLength;
+            });
+        }
+
+        this.queue = [];
+        this.queuedBytes = 0;
+        return chunk;
+    }
+
+    async appendChunk(chunk) {
+        if (this.sourceBuffer.updating) {
+            await waitForUpdateEnd(this.sourceBuffer);
+        }
+        await this.trim();
+
+        while (!this.closed) {
+            try {
+                this.sourceBuffer.appendBuffer(chunk);
+                break;
+            } catch (error) {
+                if (error.name !== 'QuotaExceededError' || !this.getBufferedRange()) {
+                    throw error;
+                }
+            }
+
+            if (!(await this.freeSpace())) {
+                // Everything buffered is still ahead of the listener - wait for playback to use some
+                await this.waitForPlayback();
+            }
+        }
+
+        if (this.sourceBuffer.updating) {
+            await waitForUpdateEnd(this.sourceBuffer);
+        }
+    }
+
+    /**
+     * Remove audio older than the time-shift window so long sessions stay within the buffer quota
+     * @param {number} margin - Seconds past the window tolerated before removing (batches removals)
+     */
+    async trim(margin = TIMESHIFT_CONFIG.TRIM_MARGIN) {
+        const range = this.getBufferedRange();
+        if (!range) return;
+
+        const windowStart = range.end - this.windowSeconds;
+        if (range.start >= windowStart - margin) return;
+
+        // Paused further back than the window reaches - continue from the oldest audio that is kept
+        if (this.audioElement.currentTime < windowStart) {
+            console.log('⏪ Paused position left the time-shift window, moving to the oldest buffered audio');
+            this.audioElement.currentTime = windowStart;
+        }
+
+        await this.remove(range.start, windowStart);
+    }
+
+    /**
+     * Make room after the browser refused an append
+     * The window shrinks to what the browser holds; once it cannot shrink further, played audio goes.
+     * @returns {Promise<boolean>} - False when nothing could be removed
+     */
+    async freeSpace() {
+        const range = this.getBufferedRange();
+        const bufferedSeconds = range.end - range.start;
+
+        const windowSeconds = Math.max(TIMESHIFT_CONFIG.MIN_BUFFER_SECONDS, bufferedSeconds * 0.75);
+        if (windowSeconds < this.windowSeconds) {
+            this.windowSeconds = windowSeconds;
+            console.warn(`⚠️ MediaSource buffer full after ${Math.round(bufferedSeconds)}s - time-shift window reduced to ${Math.round(windowSeconds)}s`);
+        }
+
+        const windowStart = range.end - this.windowSeconds;
+        if (range.start < windowStart) {
+            await this.trim(0);
+            return true;
+        }
+
+        const playedEnd = this.audioElement.currentTime - MEDIA_SOURCE_CONFIG.PLAYED_MARGIN;
+        if (range.start < playedEnd) {
+            console.warn(`⚠️ MediaSource buffer full - removing ${Math.round(playedEnd - range.start)}s of played audio`);
+            await this.remove(range.start, playedEnd);
+            return true;
+        }
+
+        return false;
+    }
+
+    async remove(start, end) {
+        if (this.sourceBuffer.updating) {
+            await waitForUpdateEnd(this.sourceBuffer);
+        }
+        this.sourceBuffer.remove(start, end);
+        await waitForUpdateEnd(this.sourceBuffer);
+    }
+
+    waitForPlayback() {
+        return new Promise(resolve => {
+            this.waiters.push(resolve);
+            this.audioElement.addEventListener('timeupdate', () => this.wakeWaiters(), { once: true });
+        });
+    }
+
+    wakeWaiters() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * @returns {Object|null} - start and end of the buffered audio, or null when nothing is buffered
+     */
+    getBufferedRange() {
+        const buffered = this.sourceBuffer.buffered;
+        if (!buffered.length) return null;
+        return { start: buffered.start(0), end: buffered.end(buffered.length - 1) };
+    }
+}
+
+function waitForUpdateEnd(sourceBuffer) {
+    return new Promise((resolve, reject) => {
+        // Each outcome removes the other's listener - this runs for every append and remove
+        const onUpdateEnd = () => {
+            sourceBuffer.removeEventListener('error', onError);
+            resolve();
+        };
+        const onError = (event) => {
+            sourceBuffer.removeEventListener('updateend', onUpdateEnd);
+            reject(event);
+        };
+        sourceBuffer.addEventListener('updateend', onUpdateEnd, { once: true });
+        sourceBuffer.addEventListener('error', onError, { once: true });
+    });
+}
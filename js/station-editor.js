@@ -0,0 +1,186 @@
+// Station editor - add, edit and delete user-managed stations
+import { addCustomStation, updateCustomStation, removeCustomStation } from './stations.js';
+import { openModal, escapeHtml, updateScreenReaderStatus } from './ui.js';
+
+const QUALITY_SUGGESTIONS = ['MP3 128kbps', 'MP3 192kbps', 'MP3 320kbps', 'AAC 128kbps', 'FLAC (Lossless)', 'OGG (Lossless)', 'Opus'];
+
+const EDITOR_FIELDS = [
+    { key: 'name', label: 'Station name', type: 'text', required: true, placeholder: 'My favourite station' },
+    { key: 'url', label: 'Stream URL', type: 'url', required: true, placeholder: 'https://example.com/stream.mp3' },
+    { key: 'genre', label: 'Genre', type: 'text', required: false, placeholder: 'Various' },
+    { key: 'quality', label: 'Quality', type: 'text', required: false, placeholder: 'MP3 128kbps', list: 'station-quality-suggestions' },
+    { key: 'logo', label: 'Logo URL (optional)', type: 'url', required: false, placeholder: 'https://example.com/logo.png' },
+    {
+        key: 'mirrors', label: 'Mirror streams (optional, one per line: URL | quality | label)', type: 'textarea', required: false,
+        placeholder: 'https://example.com/stream.aac | AAC 128kbps | AAC mirror',
+        format: formatMirrors, parse: parseMirrors
+    }
+];
+
+const INPUT_CLASSES = 'w-full px-3 py-2 bg-white/50 dark:bg-slate-800/60 border border-slate-300/50 dark:border-slate-600/80 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * Open the station editor dialog
+ * @param {Object|null} station - User station to edit, or null to add a new one
+ * @param {Object} callbacks - onSave(station, previousName) and onDelete(station) handlers
+ * @returns {Object} - The modal handle
+ */
+export function openStationEditor(station = null, { onSave = null, onDelete = null } = {}) {
+    const isEditing = Boolean(station);
+
+    const fieldsHtml = EDITOR_FIELDS.map(field => {
+        const rawValue = station ? station[field.key] : null;
+        const value = field.format ? field.format(rawValue) : (rawValue || '');
+
+        const control = field.type === 'textarea' ? `
+            <textarea id="station-field-${field.key}" name="${field.key}" rows="3"
+                      placeholder="${field.placeholder}"
+                      aria-describedby="station-error-${field.key}"
+                      class="${INPUT_CLASSES} text-sm">${escapeHtml(value)}</textarea>` : `
+            <input type="${field.type}" id="station-field-${field.key}" name="${field.key}"
+                   value="${escapeHtml(value)}"
+                   placeholder="${field.placeholder}"
+                   ${field.required ? 'required aria-required="true"' : ''}
+                   ${field.list ? `list="${field.list}"` : ''}
+                   aria-describedby="station-error-${field.key}"
+                   class="${INPUT_CLASSES}">`;
+
+        return `
+        <div class="mb-3">
+            <label for="station-field-${field.key}" class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                ${field.label}${field.required ? ' <span class="text-red-500" aria-hidden="true">*</span>' : ''}
+            </label>
+            ${control}
+            <p id="station-error-${field.key}" class="field-error text-xs text-red-600 dark:text-red-400 mt-1 hidden" role="alert"></p>
+        </div>
+    `;
+    }).join('');
+
+    const modal = openModal(isEditing ? 'Edit Station' : 'Add Station', `
+        <form id="station-editor-form" novalidate>
+            ${fieldsHtml}
+            <datalist id="station-quality-suggestions">
+                ${QUALITY_SUGGESTIONS.map(quality => `<option value="${quality}"></option>`).join('')}
+            </datalist>
+            <p id="station-error-qualities" class="field-error text-xs text-red-600 dark:text-red-400 mt-1 hidden" role="alert"></p>
+            <div class="flex items-center justify-between gap-2 mt-4">
+                <div>
+                    ${isEditing ? `
+                    <button type="button" id="station-delete" class="bg-red-500 hover:bg-red-600 text-white px-3 py-2 rounded-lg text-sm transition-colors">
+                        <i class="fas fa-trash mr-1" aria-hidden="true"></i>Delete
+                    </button>` : ''}
+                </div>
+                <div class="flex gap-2">
+                    <button type="button" id="station-cancel" class="bg-slate-600 hover:bg-slate-500 text-white px-3 py-2 rounded-lg text-sm transition-colors">Cancel</button>
+                    <button type="submit" class="bg-indigo-600 hover:bg-indigo-500 text-white px-3 py-2 rounded-lg text-sm transition-colors">
+                        ${isEditing ? 'Save Changes' : 'Add Station'}
+                    </button>
+                </div>
+            </div>
+        </form>
+    `, { id: 'station-editor' });
+
+    const form = modal.body.querySelector('#station-editor-form');
+
+    form.querySelector('#station-cancel').addEventListener('click', modal.close);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const values = {};
+        EDITOR_FIELDS.forEach(field => {
+            const value = form.elements[field.key].value;
+            values[field.key] = field.parse ? field.parse(value) : value;
+        });
+
+        // Quality tiers come from JSON imports and are not editable here - keep them
+        if (isEditing && station.qualities) {
+            values.qualities = station.qualities;
+        }
+
+        const result = isEditing
+            ? updateCustomStation(station.name, values)
+            : addCustomStation(values);
+
+        if (!result.success) {
+            showFieldErrors(form, result.errors);
+            return;
+        }
+
+        modal.close();
+        updateScreenReaderStatus(`${isEditing ? 'Updated' : 'Added'} station ${result.station.name}`, 'polite');
+
+        if (onSave) {
+            onSave(result.station, isEditing ? result.previousName : null);
+        }
+    });
+
+    const deleteButton = form.querySelector('#station-delete');
+    if (deleteButton) {
+        deleteButton.addEventListener('click', () => {
+            if (!confirm(`Delete "${station.name}" from your stations?`)) {
+                return;
+            }
+
+            if (removeCustomStation(station.name)) {
+                modal.close();
+                updateScreenReaderStatus(`Deleted station ${station.name}`, 'polite');
+                if (onDelete) {
+                    onDelete(station);
+                }
+            }
+        });
+    }
+
+    return modal;
+}
+
+function showFieldErrors(form, errors) {
+    EDITOR_FIELDS.forEach(field => {
+        const input = form.elements[field.key];
+        const errorEl = form.querySelector(`#station-error-${field.key}`);
+        const message = errors[field.key];
+
+        errorEl.textContent = message || '';
+        errorEl.classList.toggle('hidden', !message);
+        input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    });
+
+    // Quality tiers have no field of their own, so their error shows below the form
+    const tiersErrorEl = form.querySelector('#station-error-qualities');
+    tiersErrorEl.textContent = errors.qualities || '';
+    tiersErrorEl.classList.toggle('hidden', !errors.qualities);
+
+    const firstInvalid = EDITOR_FIELDS.find(field => errors[field.key]);
+    if (firstInvalid) {
+        form.elements[firstInvalid.key].focus();
+    }
+}
+
+/**
+ * Show mirrors as editable "URL | quality | label" lines
+ * @param {Array} mirrors - Station mirrors
+ * @returns {string} - Textarea contents
+ */
+function formatMirrors(mirrors) {
+    return (mirrors || [])
+        .map(mirror => {
+            // Keep positions so a label without a quality is not read back as the quality
+            const parts = [mirror.url, mirror.quality || '', mirror.label || ''];
+            while (parts.length > 1 && !parts[parts.length - 1]) {
+                parts.pop();
+            }
+            return parts.join(' | ');
+        })
+        .join('\n');
+}
+
+function parseMirrors(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const [url, quality, label] = line.split('|').map(part => part.trim());
+            return { url, quality, label };
+        });
+}
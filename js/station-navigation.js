@@ -0,0 +1,195 @@
+// Station navigation - next, previous and shuffle through the stations the list shows
+import { APP_CONFIG } from './config.js';
+import { findStationByName } from './stations.js';
+import { getCurrentStation } from './player.js';
+import { getListedStations, updateScreenReaderStatus } from './ui.js';
+import { EventEmitter } from './event-emitter.js';
+
+const HISTORY_SIZE = APP_CONFIG.NAVIGATION.SHUFFLE_HISTORY_SIZE;
+
+class StationNavigator extends EventEmitter {
+    constructor() {
+        super('station navigation');
+        this.shuffle = false;
+        this.history = []; // names of stations played, oldest first
+        this.historyIndex = -1; // position in history of the station playing now
+        this.onPlay = null;
+        this.getSearchTerm = () => '';
+    }
+
+    /**
+     * @param {Function} onPlay - Called with the station to switch to
+     * @param {Function} getSearchTerm - Returns the station list's current search text
+     */
+    initialize(onPlay, getSearchTerm) {
+        this.onPlay = onPlay;
+        this.getSearchTerm = getSearchTerm;
+    }
+
+    setShuffle(enabled) {
+        this.shuffle = Boolean(enabled);
+        console.log(`🔀 Shuffle ${this.shuffle ? 'on' : 'off'}`);
+        updateScreenReaderStatus(`Shuffle ${this.shuffle ? 'on' : 'off'}`, 'polite');
+        this.notify();
+    }
+
+    /**
+     * Note a station starting, whatever started it
+     * Moves through the history itself land on the entry they moved to and are not added again.
+     * @param {Object} station - Station that is starting
+     */
+    recordStation(station) {
+        if (this.history[this.historyIndex] === station.name) return;
+
+        // Picking a station after going back drops the stations that were ahead
+        this.history = this.history.slice(0, this.historyIndex + 1);
+        this.history.push(station.name);
+        if (this.history.length > HISTORY_SIZE) {
+            this.history.shift();
+        }
+        this.historyIndex = this.history.length - 1;
+    }
+
+    /**
+     * Play the next station: the one below in the list, or a random one when shuffling
+     */
+    next() {
+        if (this.shuffle) {
+            // After going back, next retraces the shuffled order before picking new stations
+            if (this.moveInHistory(1)) return;
+            this.play(this.pickRandomStation(), 'Shuffle');
+            return;
+        }
+        this.play(this.getAdjacentStation(1), 'Next');
+    }
+
+    /**
+     * Play the previous station: the one played before when shuffling, otherwise the one above in the list
+     */
+    previous() {
+        if (this.shuffle && this.moveInHistory(-1)) return;
+        this.play(this.getAdjacentStation(-1), 'Previous');
+    }
+
+    /**
+     * Step through the stations played so far
+     * @param {number} offset - 1 for forward, -1 for back
+     * @returns {boolean} - False when there is no station that way
+     */
+    moveInHistory(offset) {
+        let index = this.historyIndex + offset;
+
+        while (index >= 0 && index < this.history.length) {
+            const station = findStationByName(this.history[index]);
+            if (station) {
+                this.historyIndex = index;
+                this.play(station, offset > 0 ? 'Next' : 'Previous');
+                return true;
+            }
+
+            // The station was deleted since it played
+            this.history.splice(index, 1);
+            if (index < this.historyIndex) {
+                this.historyIndex--;
+            }
+            if (offset < 0) {
+                index--;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get the station before or after the playing one in the list's current order, wrapping at the ends
+     * @param {number} offset - 1 for the next station, -1 for the previous one
+     * @returns {Object|null} - Adjacent station, or null when the list is empty
+     */
+    getAdjacentStation(offset) {
+        const stations = getListedStations(this.getSearchTerm());
+        if (!stations.length) return null;
+
+        const current = getCurrentStation();
+        const index = current ? stations.findIndex(station => station.name === current.name) : -1;
+        if (index === -1) {
+            // The playing station is filtered out - start from the matching end of the list
+            return offset < 0 ? stations[stations.length - 1] : stations[0];
+        }
+
+        return stations[(index + offset + stations.length) % stations.length];
+    }
+
+    /**
+     * Pick a random listed station, avoiding the most recently played ones while others are left
+     * @returns {Object|null} - Station, or null when the list is empty
+     */
+    pickRandomStation() {
+        const stations = getListedStations(this.getSearchTerm());
+        const current = getCurrentStation();
+        const others = stations.filter(station => !current || station.name !== current.name);
+        if (!others.length) return stations[0] || null;
+
+        const recent = this.history.slice(-Math.floor(others.length / 2));
+        const fresh = others.filter(station => !recent.includes(station.name));
+        const candidates = fresh.length ? fresh : others;
+
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    play(station, label) {
+        if (!station || !this.onPlay) {
+            updateScreenReaderStatus('No stations to play', 'polite');
+            return;
+        }
+
+        console.log(`⏭️ ${label} station: ${station.name}`);
+        this.onPlay(station);
+    }
+
+    /**
+     * Keep the history pointing at a station after it is renamed
+     * @param {string} oldName - Previous station name
+     * @param {string} newName - New station name
+     */
+    renameStation(oldName, newName) {
+        this.history = this.history.map(name => name === oldName ? newName : name);
+    }
+
+    notify() {
+        this.emit('change', { shuffle: this.shuffle });
+    }
+}
+
+// Create global instance
+export const stationNavigator = new StationNavigator();
+
+export function initializeStationNavigation(onPlay, getSearchTerm) {
+    stationNavigator.initialize(onPlay, getSearchTerm);
+}
+
+/**
+ * Wire the previous, next and shuffle buttons in the player card
+ * @param {HTMLElement} container - Element containing #prev-station-btn, #next-station-btn and #shuffle-btn
+ */
+export function initStationNavigationControls(container) {
+    const previousButton = container.querySelector('#prev-station-btn');
+    const nextButton = container.querySelector('#next-station-btn');
+    const shuffleButton = container.querySelector('#shuffle-btn');
+
+    if (previousButton) {
+        previousButton.addEventListener('click', () => stationNavigator.previous());
+    }
+    if (nextButton) {
+        nextButton.addEventListener('click', () => stationNavigator.next());
+    }
+    if (shuffleButton) {
+        const render = ({ shuffle }) => {
+            shuffleButton.setAttribute('aria-pressed', String(shuffle));
+            shuffleButton.classList.toggle('text-indigo-600', shuffle);
+            shuffleButton.classList.toggle('dark:text-indigo-300', shuffle);
+            shuffleButton.classList.toggle('text-slate-500', !shuffle);
+        };
+        shuffleButton.addEventListener('click', () => stationNavigator.setShuffle(!stationNavigator.shuffle));
+        stationNavigator.on('change', render);
+        render({ shuffle: stationNavigator.shuffle });
+    }
+}
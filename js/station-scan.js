@@ -0,0 +1,271 @@
+// Station scan - plays each listed station for a few seconds, like the scan button on a car radio
+import { APP_CONFIG } from './config.js';
+import { getCurrentStation } from './player.js';
+import { playbackState, PLAYBACK_STATES, PLAYBACK_EVENTS } from './playback-state.js';
+import { getListedStations, updateScreenReaderStatus } from './ui.js';
+import { EventEmitter } from './event-emitter.js';
+
+const SCAN_CONFIG = APP_CONFIG.SCAN;
+const TICK_INTERVAL = 1000;
+
+class StationScanner extends EventEmitter {
+    constructor() {
+        super('station scan');
+        this.stations = [];
+        this.index = -1;
+        this.dwellSeconds = SCAN_CONFIG.DEFAULT_DWELL_SECONDS;
+        this.favoritesOnly = false;
+        this.dwellEnd = null; // set once the scanned station is playing
+        this.failedCount = 0; // stations skipped in a row; the scan ends when every station failed
+        this.tickInterval = null;
+        this.connectTimeout = null;
+        this.onPlay = null;
+        this.getSearchTerm = () => '';
+    }
+
+    /**
+     * @param {Function} onPlay - Called with each station the scan moves to
+     * @param {Function} getSearchTerm - Returns the station list's current search text
+     */
+    initialize(onPlay, getSearchTerm) {
+        this.onPlay = onPlay;
+        this.getSearchTerm = getSearchTerm;
+
+        playbackState.on(PLAYBACK_EVENTS.STATE_CHANGE, ({ state }) => {
+            if (state === PLAYBACK_STATES.PLAYING) {
+                this.handlePlaying();
+            }
+        });
+    }
+
+    isScanning() {
+        return this.stations.length > 0;
+    }
+
+    /**
+     * Start scanning the stations the list currently shows, after the one that is playing
+     * @returns {boolean} - False when there is nothing to scan
+     */
+    start() {
+        let stations = getListedStations(this.getSearchTerm());
+        if (this.favoritesOnly) {
+            stations = stations.filter(station => station.isFavorite);
+        }
+
+        this.reset();
+        if (!stations.length) {
+            updateScreenReaderStatus(this.favoritesOnly ? 'No favorite stations to scan' : 'No stations to scan', 'assertive');
+            this.notify();
+            return false;
+        }
+
+        const current = getCurrentStation();
+        this.stations = stations;
+        this.index = current ? stations.findIndex(station => station.name === current.name) : -1;
+        this.failedCount = 0;
+
+        console.log(`📡 Scanning ${stations.length} stations, ${this.dwellSeconds}s each`);
+        updateScreenReaderStatus(`Scanning ${stations.length} stations. Press Enter to stay on a station.`, 'polite');
+        this.next();
+        return true;
+    }
+
+    /**
+     * End the scan and keep listening to the station it is on
+     */
+    stop() {
+        if (!this.isScanning()) return;
+
+        const station = this.getScanStation();
+        this.reset();
+        console.log(`📡 Scan stopped on ${station.name}`);
+        updateScreenReaderStatus(`Scan stopped. Staying on ${station.name}`, 'polite');
+        this.notify();
+    }
+
+    reset() {
+        this.clearTimers();
+        this.stations = [];
+        this.index = -1;
+        this.dwellEnd = null;
+    }
+
+    clearTimers() {
+        clearInterval(this.tickInterval);
+        clearTimeout(this.connectTimeout);
+        this.tickInterval = null;
+        this.connectTimeout = null;
+    }
+
+    next() {
+        if (!this.isScanning()) return;
+
+        this.clearTimers();
+        this.index = (this.index + 1) % this.stations.length;
+        this.dwellEnd = null;
+
+        const station = this.stations[this.index];
+        // The countdown starts once audio plays; a station that never gets there is skipped
+        this.connectTimeout = setTimeout(() => this.handleError(station), SCAN_CONFIG.CONNECT_TIMEOUT_SECONDS * 1000);
+
+        this.notify();
+        this.onPlay(station);
+    }
+
+    handlePlaying() {
+        const station = this.getScanStation();
+        const current = getCurrentStation();
+        if (!station || this.dwellEnd || !current || current.name !== station.name) return;
+
+        clearTimeout(this.connectTimeout);
+        this.connectTimeout = null;
+        this.failedCount = 0;
+        this.dwellEnd = Date.now() + this.dwellSeconds * 1000;
+        this.tickInterval = setInterval(() => this.tick(), TICK_INTERVAL);
+        this.notify();
+    }
+
+    tick() {
+        if (this.getRemainingSeconds() <= 0) {
+            this.next();
+        } else {
+            this.notify();
+        }
+    }
+
+    /**
+     * Skip a station that failed to play instead of stopping on an error
+     * Errors that name no station are left to the scan's own connect timeout.
+     * @param {Object} station - Station the error belongs to
+     */
+    handleError(station) {
+        const scanStation = this.getScanStation();
+        if (!scanStation || !station || station.name !== scanStation.name) return;
+
+        this.failedCount++;
+        if (this.failedCount >= this.stations.length) {
+            console.warn('📡 No station in the scan could be played - stopping');
+            this.reset();
+            updateScreenReaderStatus('Scan stopped: none of the stations could be played', 'assertive');
+            this.notify();
+            return;
+        }
+
+        console.log(`📡 ${scanStation.name} failed - skipping`);
+        this.next();
+    }
+
+    /**
+     * Stop the scan when the listener picks a station themselves
+     * @param {Object} station - Station that is starting
+     */
+    handleStationChange(station) {
+        const scanStation = this.getScanStation();
+        if (scanStation && station.name !== scanStation.name) {
+            this.stop();
+        }
+    }
+
+    getScanStation() {
+        return this.isScanning() ? this.stations[this.index] : null;
+    }
+
+    /**
+     * Get the seconds left on the current station
+     * @returns {number|null} - Seconds, or null while the station is still connecting or no scan runs
+     */
+    getRemainingSeconds() {
+        if (!this.dwellEnd) return null;
+        return Math.max(0, Math.ceil((this.dwellEnd - Date.now()) / 1000));
+    }
+
+    notify() {
+        const state = {
+            scanning: this.isScanning(),
+            station: this.getScanStation(),
+            position: this.index + 1,
+            total: this.stations.length,
+            remainingSeconds: this.getRemainingSeconds()
+        };
+        this.emit('change', state);
+    }
+}
+
+// Create global instance
+export const stationScanner = new StationScanner();
+
+export function initializeStationScan(onPlay, getSearchTerm) {
+    stationScanner.initialize(onPlay, getSearchTerm);
+}
+
+/**
+ * Create the scan controls
+ * @param {HTMLElement} container - Element to append the controls to
+ * @returns {HTMLElement} - The controls element
+ */
+export function createStationScanUI(container) {
+    const scanContainer = document.createElement('div');
+    scanContainer.className = 'station-scan w-full flex items-center justify-between gap-3 flex-wrap text-sm';
+    scanContainer.setAttribute('role', 'group');
+    scanContainer.setAttribute('aria-label', 'Station scan');
+    scanContainer.innerHTML = `
+        <div class="flex items-center gap-2">
+            <button type="button" id="scan-toggle" class="glass-btn px-3 py-1 rounded-full bg-white/40 dark:bg-slate-700/40 border border-white/20 dark:border-slate-600/30 text-indigo-700 dark:text-indigo-300 hover:bg-white/60 dark:hover:bg-slate-700/60 transition-colors"
+                    aria-pressed="false" title="Play each listed station for a few seconds (S)">
+                <i class="fas fa-satellite-dish mr-1" aria-hidden="true"></i><span>Scan</span>
+            </button>
+            <label for="scan-dwell" class="sr-only">Seconds per station</label>
+            <select id="scan-dwell" class="bg-white/20 dark:bg-slate-700 text-slate-900 dark:text-white rounded px-2 py-1 text-sm border border-white/20 dark:border-slate-600">
+                ${SCAN_CONFIG.DWELL_OPTIONS.map(seconds => `<option value="${seconds}">${seconds}s each</option>`).join('')}
+            </select>
+            <label class="flex items-center gap-2 text-slate-600 dark:text-slate-300">
+                <input type="checkbox" id="scan-favorites">
+                Favorites only
+            </label>
+        </div>
+        <span id="scan-status" class="text-slate-500 dark:text-slate-400 tabular-nums truncate" aria-live="off"></span>
+    `;
+
+    const toggleButton = scanContainer.querySelector('#scan-toggle');
+    const toggleLabel = toggleButton.querySelector('span');
+    const dwellSelect = scanContainer.querySelector('#scan-dwell');
+    const favoritesToggle = scanContainer.querySelector('#scan-favorites');
+    const statusEl = scanContainer.querySelector('#scan-status');
+
+    dwellSelect.value = String(stationScanner.dwellSeconds);
+    favoritesToggle.checked = stationScanner.favoritesOnly;
+
+    toggleButton.addEventListener('click', () => {
+        if (stationScanner.isScanning()) {
+            stationScanner.stop();
+        } else {
+            stationScanner.start();
+        }
+    });
+
+    // Takes effect from the next station
+    dwellSelect.addEventListener('change', () => {
+        stationScanner.dwellSeconds = parseInt(dwellSelect.value, 10);
+    });
+
+    favoritesToggle.addEventListener('change', () => {
+        stationScanner.favoritesOnly = favoritesToggle.checked;
+    });
+
+    stationScanner.on('change', ({ scanning, station, position, total, remainingSeconds }) => {
+        toggleButton.setAttribute('aria-pressed', String(scanning));
+        toggleLabel.textContent = scanning ? 'Stay' : 'Scan';
+        favoritesToggle.disabled = scanning;
+
+        if (!scanning) {
+            statusEl.textContent = '';
+        } else if (remainingSeconds === null) {
+            statusEl.textContent = `${position}/${total} · Tuning ${station.name}...`;
+        } else {
+            statusEl.textContent = `${position}/${total} · ${station.name} · ${remainingSeconds}s`;
+        }
+    });
+
+    container.appendChild(scanContainer);
+    return scanContainer;
+}
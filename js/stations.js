@@ -1,4 +1,7 @@
 // Station data and management
+import { STATION_CONFIG } from './config.js';
+import { loadCustomStations, saveCustomStations } from './storage.js';
+
 export const stationData = [
     { name: 'Cavo Paradiso', url: 'https://neos.win:48488/1', genre: 'Deep & Progressive House', quality: 'MP3 192kbps' },
     { name: 'Ibiza Global Radio', url: 'https://andromeda.housejunkie.ca/radio/8000/radio.mp3', genre: 'House, Tech House', quality: 'MP3 320kbps' },
@@ -18,7 +21,16 @@ export const stationData = [
     { name: 'Sector 10s', url: 'http://89.223.45.5:8000/zed-flac', genre: '10s Dance & Pop', quality: 'OGG (Lossless)' },
     { name: 'Sector Progressive', url: 'http://89.223.45.5:8000/progressive-flac', genre: 'EDM, Dance, Progressive', quality: 'OGG (Lossless)' },
     { name: 'Sector Jazz', url: 'http://89.223.45.5:8000/jazz-flac', genre: 'Jazz', quality: 'OGG (Lossless)' },
-    { name: 'Radio Paradise (Main)', url: 'https://stream.radioparadise.com/flac', genre: 'Eclectic Rock, Pop, Jazz', quality: 'FLAC (Lossless)' },
+    { name: 'Radio Paradise (Main)', url: 'https://stream.radioparadise.com/flac', genre: 'Eclectic Rock, Pop, Jazz', quality: 'FLAC (Lossless)',
+        mirrors: [
+            { url: 'https://stream.radioparadise.com/aac-320', quality: 'AAC 320kbps', label: 'AAC' },
+            { url: 'https://stream.radioparadise.com/mp3-192', quality: 'MP3 192kbps', label: 'MP3' }
+        ],
+        qualities: [
+            { tier: 'lossless', url: 'https://stream.radioparadise.com/flac', quality: 'FLAC (Lossless)' },
+            { tier: 'high', url: 'https://stream.radioparadise.com/aac-320', quality: 'AAC 320kbps', bitrate: 320 },
+            { tier: 'low', url: 'https://stream.radioparadise.com/aac-64', quality: 'AAC 64kbps', bitrate: 64 }
+        ] },
     { name: 'Fréquence 3 – Dance', url: 'https://frequence3.net-radio.fr/frequence3dance.flac', genre: 'House and Dance', quality: 'FLAC (Lossless)' },
     { name: 'Fréquence 3 – Gold', url: 'https://frequence3.net-radio.fr/frequence3gold.flac', genre: '80s and 90s hits', quality: 'FLAC (Lossless)' },
     { name: 'Fréquence 3 – World', url: 'https://frequence3.net-radio.fr/frequence3world.flac', genre: 'World music', quality: 'FLAC (Lossless)' },
@@ -26,7 +38,17 @@ export const stationData = [
 
 ];
 
-let stations = [...stationData];
+let customStations = loadCustomStations().map(station => ({ ...station, isCustom: true }));
+let stations = [...stationData, ...customStations];
+
+// Station fields that hold text, with the names validation errors use
+const STATION_TEXT_FIELDS = {
+    name: 'Station name',
+    url: 'Stream URL',
+    genre: 'Genre',
+    quality: 'Quality',
+    logo: 'Logo URL'
+};
 
 export function getStations() {
     return stations;
@@ -40,8 +62,264 @@ export function findStationByName(name) {
     return stations.find(s => s.name === name);
 }
 
+/**
+ * Normalise a stream URL so equivalent URLs compare equal
+ * @param {string} url - Stream URL
+ * @returns {string} - Normalised URL
+ */
+export function normalizeStreamUrl(url) {
+    const trimmed = (url || '').trim();
+    try {
+        return new URL(trimmed).href;
+    } catch (error) {
+        return trimmed;
+    }
+}
+
+export function findStationByUrl(url) {
+    const normalized = normalizeStreamUrl(url);
+    return stations.find(s => normalizeStreamUrl(s.url) === normalized);
+}
+
+/**
+ * Get a station's streams in failover order: the main URL, then its mirrors
+ * @param {Object} station - Station object
+ * @returns {Array} - Streams with url, quality and label
+ */
+export function getStationStreams(station) {
+    const mirrors = Array.isArray(station.mirrors) ? station.mirrors : [];
+
+    return [
+        { url: station.url, quality: station.quality, label: 'Main stream' },
+        ...mirrors
+            .filter(mirror => mirror && mirror.url)
+            .map((mirror, index) => ({
+                url: mirror.url,
+                quality: mirror.quality || station.quality,
+                label: mirror.label || `Mirror ${index + 1}`
+            }))
+    ];
+}
+
+/**
+ * Get the stations in the order the station list shows them: favorites first, then the saved order
+ * @returns {Array} - Stations in list order
+ */
+export function getStationsInListOrder() {
+    return [...stations].sort((a, b) => Number(Boolean(b.isFavorite)) - Number(Boolean(a.isFavorite)));
+}
+
 export function updateStationOrder(oldIndex, newIndex) {
     const movedItem = stations.splice(oldIndex, 1)[0];
     stations.splice(newIndex, 0, movedItem);
     return stations;
 }
+
+/**
+ * Validate a station entry from the station editor or a playlist import
+ * @param {Object} station - Station fields (name, url, genre, quality, logo, mirrors, qualities)
+ * @param {string} originalName - Name of the station being edited, if any
+ * @returns {Object} - Validation result with a per-field errors map
+ */
+export function validateStation(station, originalName = null) {
+    const errors = {};
+    const name = trimText(station.name);
+    const url = trimText(station.url);
+    const logo = trimText(station.logo);
+
+    if (!name) {
+        errors.name = 'Station name is required';
+    } else if (stations.some(s => s.name.toLowerCase() === name.toLowerCase() && s.name !== originalName)) {
+        errors.name = 'A station with this name already exists';
+    }
+
+    if (!url) {
+        errors.url = 'Stream URL is required';
+    } else if (!isHttpUrl(url)) {
+        errors.url = 'Stream URL must start with http:// or https://';
+    }
+
+    if (logo && !isHttpUrl(logo)) {
+        errors.logo = 'Logo URL must start with http:// or https://';
+    }
+
+    const mirrors = Array.isArray(station.mirrors) ? station.mirrors : [];
+    const badMirror = mirrors.find(mirror =>
+        !mirror || !isOptionalText(mirror.quality) || !isOptionalText(mirror.label) || !isHttpUrl(trimText(mirror.url))
+    );
+    if (badMirror) {
+        errors.mirrors = 'Mirror URLs must start with http:// or https://, and qualities and labels must be text';
+    }
+
+    const qualities = Array.isArray(station.qualities) ? station.qualities : [];
+    const badTier = qualities.find(tier =>
+        !tier || !STATION_CONFIG.QUALITY_TIERS[tier.tier] || !isOptionalText(tier.quality) || !isHttpUrl(trimText(tier.url))
+    );
+    if (badTier) {
+        errors.qualities = `Quality tiers need a tier (${Object.keys(STATION_CONFIG.QUALITY_TIERS).join(', ')}) and an http(s) URL`;
+    }
+
+    // Imported files can hold numbers or objects where text belongs
+    Object.entries(STATION_TEXT_FIELDS).forEach(([key, label]) => {
+        if (!isOptionalText(station[key])) {
+            errors[key] = `${label} must be text`;
+        }
+    });
+
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+function isOptionalText(value) {
+    return value === undefined || value === null || typeof value === 'string';
+}
+
+function trimText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function isHttpUrl(value) {
+    try {
+        const parsed = new URL(value);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+function normalizeStation(station) {
+    const normalized = {
+        name: station.name.trim(),
+        url: station.url.trim(),
+        genre: (station.genre || '').trim() || STATION_CONFIG.DEFAULT_GENRE,
+        quality: (station.quality || '').trim() || STATION_CONFIG.DEFAULT_QUALITY
+    };
+
+    const logo = (station.logo || '').trim();
+    if (logo) {
+        normalized.logo = logo;
+    }
+
+    const mirrors = (Array.isArray(station.mirrors) ? station.mirrors : [])
+        .map(mirror => {
+            const normalizedMirror = { url: mirror.url.trim() };
+            if ((mirror.quality || '').trim()) normalizedMirror.quality = mirror.quality.trim();
+            if ((mirror.label || '').trim()) normalizedMirror.label = mirror.label.trim();
+            return normalizedMirror;
+        });
+    if (mirrors.length) {
+        normalized.mirrors = mirrors;
+    }
+
+    const qualities = (Array.isArray(station.qualities) ? station.qualities : [])
+        .map(tier => {
+            const normalizedTier = { tier: tier.tier, url: tier.url.trim() };
+            if ((tier.quality || '').trim()) normalizedTier.quality = tier.quality.trim();
+            const bitrate = parseInt(tier.bitrate, 10);
+            if (bitrate > 0) normalizedTier.bitrate = bitrate;
+            return normalizedTier;
+        });
+    if (qualities.length) {
+        normalized.qualities = qualities;
+    }
+
+    return normalized;
+}
+
+function persistCustomStations() {
+    saveCustomStations(customStations.map(({ isCustom, isFavorite, ...station }) => station));
+}
+
+export function addCustomStation(station) {
+    const validation = validateStation(station);
+    if (!validation.valid) {
+        return { success: false, errors: validation.errors };
+    }
+
+    const newStation = { ...normalizeStation(station), isCustom: true };
+    customStations.push(newStation);
+    stations.push(newStation);
+    persistCustomStations();
+
+    return { success: true, station: newStation };
+}
+
+/**
+ * Add several user stations at once (e.g. from a playlist import)
+ * Name clashes get a numeric suffix since names identify favorites and sort order.
+ * @param {Array} newStations - Station entries to add
+ * @returns {Object} - Added stations and skipped entries with their errors
+ */
+export function addCustomStations(newStations) {
+    const added = [];
+    const skipped = [];
+
+    newStations.forEach(station => {
+        const candidate = typeof station.name === 'string'
+            ? { ...station, name: getUniqueStationName(station.name.trim()) }
+            : station;
+        const validation = validateStation(candidate);
+        if (!validation.valid) {
+            skipped.push({ station, errors: validation.errors });
+            return;
+        }
+
+        const newStation = { ...normalizeStation(candidate), isCustom: true };
+        customStations.push(newStation);
+        stations.push(newStation);
+        added.push(newStation);
+    });
+
+    if (added.length) {
+        persistCustomStations();
+    }
+
+    return { added, skipped };
+}
+
+function getUniqueStationName(name) {
+    if (!name) return name;
+
+    const taken = new Set(stations.map(s => s.name.toLowerCase()));
+    let uniqueName = name;
+    let suffix = 2;
+    while (taken.has(uniqueName.toLowerCase())) {
+        uniqueName = `${name} (${suffix++})`;
+    }
+    return uniqueName;
+}
+
+export function updateCustomStation(originalName, updates) {
+    const existing = customStations.find(s => s.name === originalName);
+    if (!existing) {
+        return { success: false, errors: { name: 'Only user stations can be edited' } };
+    }
+
+    const validation = validateStation(updates, originalName);
+    if (!validation.valid) {
+        return { success: false, errors: validation.errors };
+    }
+
+    // Update in place so the station keeps its position and favorite flag
+    const isFavorite = existing.isFavorite;
+    Object.keys(existing).forEach(key => delete existing[key]);
+    Object.assign(existing, normalizeStation(updates), { isCustom: true, isFavorite });
+    persistCustomStations();
+
+    return { success: true, station: existing, previousName: originalName };
+}
+
+export function removeCustomStation(name) {
+    const station = customStations.find(s => s.name === name);
+    if (!station) {
+        return false;
+    }
+
+    customStations = customStations.filter(s => s !== station);
+    stations = stations.filter(s => s !== station);
+    persistCustomStations();
+
+    return true;
+}
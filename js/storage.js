@@ -4,7 +4,12 @@ export const STORAGE_KEYS = {
     SORT_ORDER: 'radioSortOrder', 
     VISUALIZATION: 'radioViz',
     THEME: 'theme',
-    QUALITY: 'radioQuality'
+    QUALITY: 'radioQuality',
+    CUSTOM_STATIONS: 'radioCustomStations',
+    TRACK_HISTORY: 'radioTrackHistory',
+    ALARM: 'radioAlarm',
+    CROSSFADE: 'radioCrossfade',
+    LAST_STATION: 'radioLastStation'
 };
 
 // Generic storage functions
@@ -59,3 +64,51 @@ export function loadTheme() {
 export function saveTheme(theme) {
     localStorage.setItem(STORAGE_KEYS.THEME, theme);
 }
+
+export function loadCustomStations() {
+    return loadFromStorage(STORAGE_KEYS.CUSTOM_STATIONS, []);
+}
+
+export function saveCustomStations(customStations) {
+    saveToStorage(STORAGE_KEYS.CUSTOM_STATIONS, customStations);
+}
+
+export function loadQualityPreference() {
+    return loadFromStorage(STORAGE_KEYS.QUALITY, null);
+}
+
+export function saveQualityPreference(settings) {
+    saveToStorage(STORAGE_KEYS.QUALITY, settings);
+}
+
+export function loadTrackHistory() {
+    return loadFromStorage(STORAGE_KEYS.TRACK_HISTORY, []);
+}
+
+export function saveTrackHistory(entries) {
+    saveToStorage(STORAGE_KEYS.TRACK_HISTORY, entries);
+}
+
+export function loadAlarm() {
+    return loadFromStorage(STORAGE_KEYS.ALARM, null);
+}
+
+export function saveAlarm(alarm) {
+    saveToStorage(STORAGE_KEYS.ALARM, alarm);
+}
+
+export function loadCrossfade() {
+    return loadFromStorage(STORAGE_KEYS.CROSSFADE, null);
+}
+
+export function saveCrossfade(settings) {
+    saveToStorage(STORAGE_KEYS.CROSSFADE, settings);
+}
+
+export function loadLastStation() {
+    return loadFromStorage(STORAGE_KEYS.LAST_STATION, null);
+}
+
+export function saveLastStation(lastStation) {
+    saveToStorage(STORAGE_KEYS.LAST_STATION, lastStation);
+}
@@ -0,0 +1,211 @@
+// Stream resolver - expands playlist URLs (.pls/.m3u/.m3u8/.xspf) into playable stream URLs
+import { APP_CONFIG } from './config.js';
+import { detectStreamMimeType, getPlaylistFormatForMimeType } from './codec-manager.js';
+import { parsePlaylist } from './playlist.js';
+
+// URL patterns that point at playlists rather than audio
+const PLAYLIST_URL_PATTERN = /\.(pls|m3u8?|xspf)([?#]|$)/i;
+
+// HLS media and master playlists are M3U files with #EXT-X- tags
+const HLS_TAG_PATTERN = /^#EXT-X-(TARGETDURATION|STREAM-INF|MEDIA-SEQUENCE|VERSION|MEDIA|INDEPENDENT-SEGMENTS)/m;
+
+// Resolved stream per station URL, so repeat plays skip the playlist request
+const resolvedStreamCache = new Map();
+
+/**
+ * Check whether a URL looks like a playlist from its extension
+ * @param {string} url - Stream or playlist URL
+ * @returns {boolean} - True for .pls/.m3u/.m3u8/.xspf URLs
+ */
+export function isPlaylistUrl(url) {
+    try {
+        return PLAYLIST_URL_PATTERN.test(new URL(url).pathname);
+    } catch (error) {
+        return PLAYLIST_URL_PATTERN.test(url);
+    }
+}
+
+/**
+ * Resolve a station URL into an ordered list of candidate stream URLs
+ * Plain stream URLs resolve to themselves; playlists are fetched and expanded.
+ * @param {string} url - Station URL
+ * @param {AbortSignal} [signal] - Cancels the playlist requests; the promise then rejects with an AbortError
+ * @returns {Promise<Object>} - Candidates ({ url, isHls } each, in play order) plus the playlist flag
+ */
+export async function resolveStreamCandidates(url, signal = null) {
+    const cached = resolvedStreamCache.get(url);
+    if (cached) {
+        console.log(`📃 Using cached stream resolution for: ${url} → ${cached.resolvedUrl}`);
+        return {
+            url,
+            candidates: [
+                ...cached.candidates.filter(candidate => candidate.url === cached.resolvedUrl),
+                ...cached.candidates.filter(candidate => candidate.url !== cached.resolvedUrl)
+            ],
+            isPlaylist: cached.isPlaylist,
+            fromCache: true
+        };
+    }
+
+    const result = await resolveUrl(url, 0, signal);
+    return { url, ...result, fromCache: false };
+}
+
+/**
+ * Remember which candidate actually played so the next play goes straight to it
+ * @param {string} url - Station URL
+ * @param {string} resolvedUrl - Candidate stream URL that played
+ * @param {Object} resolution - Result of resolveStreamCandidates
+ */
+export function cacheResolvedStream(url, resolvedUrl, resolution) {
+    resolvedStreamCache.set(url, {
+        resolvedUrl,
+        candidates: resolution.candidates,
+        isPlaylist: resolution.isPlaylist
+    });
+}
+
+/**
+ * Forget the cached resolution for a station (e.g. after all candidates failed)
+ * @param {string} url - Station URL
+ */
+export function clearResolvedStream(url) {
+    resolvedStreamCache.delete(url);
+}
+
+async function resolveUrl(url, depth, signal) {
+    const passthrough = { candidates: [{ url, isHls: false }], isPlaylist: false };
+
+    let looksLikePlaylist = isPlaylistUrl(url);
+    if (!looksLikePlaylist) {
+        // Reuses the HEAD request (and its cache) made for codec detection
+        const mimeResult = await detectStreamMimeType(url, APP_CONFIG.AUDIO.PLAYLIST_RESOLVE_TIMEOUT, signal);
+        looksLikePlaylist = Boolean(mimeResult.playlistFormat);
+    }
+
+    if (!looksLikePlaylist || depth >= APP_CONFIG.AUDIO.PLAYLIST_MAX_DEPTH) {
+        return passthrough;
+    }
+
+    console.log(`📃 Resolving playlist: ${url}`);
+
+    let playlist;
+    try {
+        playlist = await fetchPlaylistText(url, signal);
+    } catch (error) {
+        if (signal && signal.aborted) {
+            throw error;
+        }
+        console.warn(`⚠️ Could not fetch playlist ${url}, trying it as a stream:`, error);
+        return passthrough;
+    }
+
+    if (!playlist) {
+        // The server answered with audio, so the URL is a stream after all
+        return passthrough;
+    }
+
+    if (HLS_TAG_PATTERN.test(playlist.text)) {
+        console.log(`📺 HLS playlist detected: ${url}`);
+        return { candidates: [{ url, isHls: true }], isPlaylist: true };
+    }
+
+    let entries;
+    try {
+        entries = parsePlaylist(playlist.text, new URL(playlist.url).pathname).entries;
+    } catch (error) {
+        console.warn(`⚠️ Could not parse playlist ${url}:`, error);
+        return passthrough;
+    }
+
+    // Each entry keeps its own HLS flag - a playlist may list an HLS stream with a plain MP3 fallback
+    const candidates = [];
+    for (const entry of entries) {
+        let entryUrl;
+        try {
+            // Entries may be relative to the playlist location
+            entryUrl = new URL(entry.url, playlist.url).href;
+        } catch (error) {
+            continue;
+        }
+
+        if (isPlaylistUrl(entryUrl)) {
+            const nested = await resolveUrl(entryUrl, depth + 1, signal);
+            candidates.push(...nested.candidates);
+        } else {
+            candidates.push({ url: entryUrl, isHls: false });
+        }
+    }
+
+    const uniqueCandidates = candidates.filter((candidate, index) =>
+        candidates.findIndex(other => other.url === candidate.url) === index
+    );
+    if (!uniqueCandidates.length) {
+        console.warn(`⚠️ Playlist ${url} contained no stream URLs`);
+        return passthrough;
+    }
+
+    console.log(`📃 Playlist resolved to ${uniqueCandidates.length} candidate stream(s):`, uniqueCandidates.map(candidate => candidate.url));
+    return { candidates: uniqueCandidates, isPlaylist: true };
+}
+
+/**
+ * Fetch a playlist body, giving up if the response turns out to be audio or too large
+ * @param {string} url - Playlist URL
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Object|null>} - Text and final URL, or null when the response is a stream
+ */
+async function fetchPlaylistText(url, signal) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), APP_CONFIG.AUDIO.PLAYLIST_RESOLVE_TIMEOUT);
+    const abortRequest = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', abortRequest, { once: true });
+    }
+
+    try {
+        const response = await fetch(url, { signal: controller.signal, cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType.startsWith('audio/') && !getPlaylistFormatForMimeType(contentType)) {
+            controller.abort();
+            return null;
+        }
+
+        // Read at most PLAYLIST_MAX_BYTES - an endless body means this is a stream
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            chunks.push(value);
+            received += value.length;
+            if (received > APP_CONFIG.AUDIO.PLAYLIST_MAX_BYTES) {
+                reader.cancel();
+                return null;
+            }
+        }
+
+        const bytes = new Uint8Array(received);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        return {
+            text: new TextDecoder().decode(bytes),
+            url: response.url || url
+        };
+    } finally {
+        clearTimeout(timeoutId);
+        if (signal) {
+            signal.removeEventListener('abort', abortRequest);
+        }
+    }
+}
@@ -0,0 +1,432 @@
+// Stream sniffer - identifies a stream's real codec from its first bytes (MP3, ADTS AAC, FLAC, Ogg Opus/Vorbis/FLAC)
+import { APP_CONFIG } from './config.js';
+import { matchesAscii } from './vorbis-metadata.js';
+
+const SNIFF_CONFIG = APP_CONFIG.AUDIO.SNIFF;
+
+// MPEG audio bitrates in kbps by [MPEG-1 | MPEG-2/2.5][layer], indexed by the header's bitrate index
+const MPEG_BITRATES = {
+    1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+
+// MPEG-1 sample rates; MPEG-2 halves them and MPEG-2.5 quarters them
+const MPEG_SAMPLE_RATES = [44100, 48000, 32000];
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const OPUS_SAMPLE_RATE = 48000; // Opus always decodes at 48 kHz, whatever rate the source had
+
+// Cache of sniff results by URL
+const sniffCache = new Map();
+
+/**
+ * Identify a stream's codec by reading its first bytes
+ * Icecast servers often reject the HEAD request MIME detection uses, and a Content-Type such as
+ * audio/ogg does not say which codec is inside. The stream's own bytes answer both.
+ * @param {string} url - The stream URL
+ * @param {AbortSignal} [signal] - Cancels the request; the promise then rejects with an AbortError
+ * @returns {Promise<Object>} - format, mimeType, sampleRate, channels and bitrate (kbps), each null when unknown
+ */
+export async function sniffStreamFormat(url, signal = null) {
+    if (sniffCache.has(url)) {
+        console.log(`🔬 Using cached stream sniff for: ${url}`);
+        return sniffCache.get(url);
+    }
+
+    console.log(`🔬 Sniffing stream format for: ${url}`);
+
+    const result = {
+        url,
+        format: null,
+        mimeType: null,
+        sampleRate: null,
+        channels: null,
+        bitrate: null,
+        detected: false,
+        error: null
+    };
+
+    // Aborted on timeout, when the caller cancels, and once enough bytes are read
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SNIFF_CONFIG.TIMEOUT);
+    const abortRequest = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', abortRequest, { once: true });
+    }
+
+    try {
+        const response = await fetch(url, {
+            headers: { 'Range': `bytes=0-${SNIFF_CONFIG.MAX_BYTES - 1}` },
+            signal: controller.signal,
+            cache: 'no-store'
+        });
+        if (!response.ok || !response.body) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const identified = await readStreamStart(response.body.getReader(), signal);
+        if (identified) {
+            Object.assign(result, identified, { detected: true });
+            console.log(`✅ Stream content identified: ${describeSniffResult(result)}`);
+        } else {
+            result.error = 'Unrecognised stream data';
+            console.warn(`⚠️ Could not identify stream content for: ${url}`);
+        }
+    } catch (error) {
+        if (signal && signal.aborted) {
+            // Cancelled, not failed - nothing worth caching
+            throw error;
+        } else if (error.name === 'AbortError') {
+            result.error = 'Request timeout';
+            console.warn(`⏱️ Stream sniffing timeout for: ${url}`);
+        } else {
+            result.error = error.message;
+            console.warn(`❌ Stream sniffing failed for: ${url}`, error);
+        }
+    } finally {
+        clearTimeout(timeoutId);
+        // Only the first bytes were wanted - close the connection
+        controller.abort();
+        if (signal) {
+            signal.removeEventListener('abort', abortRequest);
+        }
+    }
+
+    sniffCache.set(url, result);
+    return result;
+}
+
+/**
+ * Summarise a sniff result for logs and status text
+ * @param {Object} result - Result of sniffStreamFormat or identifyStreamBytes
+ * @returns {string} - e.g. "opus, 48000 Hz, 2 ch, 128 kbps"
+ */
+export function describeSniffResult(result) {
+    return [
+        result.format,
+        result.sampleRate && `${result.sampleRate} Hz`,
+        result.channels && `${result.channels} ch`,
+        result.bitrate && `${result.bitrate} kbps`
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Read up to MAX_BYTES, stopping early once the codec and its bitrate are known
+ * @param {ReadableStreamDefaultReader} reader - Reader of the response body
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @returns {Promise<Object|null>} - identifyStreamBytes result for the bytes read
+ */
+async function readStreamStart(reader, signal) {
+    const bytes = new Uint8Array(SNIFF_CONFIG.MAX_BYTES);
+    let length = 0;
+    let identified = null;
+
+    try {
+        while (length < bytes.length) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            const count = Math.min(value.length, bytes.length - length);
+            bytes.set(value.subarray(0, count), length);
+            length += count;
+
+            identified = identifyStreamBytes(bytes.subarray(0, length));
+            if (identified && identified.bitrate) break;
+        }
+    } catch (error) {
+        // Timed out while reading on for a bitrate - the codec found so far still counts
+        if (!identified || (signal && signal.aborted)) {
+            throw error;
+        }
+    }
+
+    return identified;
+}
+
+/**
+ * Identify the codec of the first bytes of a stream
+ * @param {Uint8Array} bytes - Stream bytes from the start of the response
+ * @returns {Object|null} - format ('mpeg', 'aac', 'flac', 'opus' or 'vorbis'), mimeType of the
+ *     container, sampleRate, channels and bitrate (kbps, null when it cannot be told yet); null when
+ *     the bytes are not recognised or too few
+ */
+export function identifyStreamBytes(bytes) {
+    if (matchesAscii(bytes, 0, 'fLaC')) {
+        return identifyNativeFlac(bytes);
+    }
+
+    // Icecast starts Ogg streams at a page boundary; "OggS" further in may just be MP3/AAC data
+    const oggStart = findAscii(bytes, 'OggS');
+    const ogg = oggStart !== -1 ? identifyOgg(bytes, oggStart) : null;
+    if (ogg || oggStart === 0) {
+        return ogg;
+    }
+
+    let offset = 0;
+    if (matchesAscii(bytes, 0, 'ID3')) {
+        // ID3v2 tag before the first frame: 10-byte header, syncsafe size, optional 10-byte footer
+        if (bytes.length < 10) return null;
+        const tagSize = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+        offset = 10 + tagSize + ((bytes[5] & 0x10) ? 10 : 0);
+    }
+
+    return identifyFrames(bytes, offset);
+}
+
+function identifyNativeFlac(bytes) {
+    // STREAMINFO is always the first metadata block
+    if (bytes.length < 8 + 34) return null;
+    if ((bytes[4] & 0x7F) !== 0) return null;
+
+    return {
+        format: 'flac',
+        mimeType: 'audio/flac',
+        ...parseStreamInfo(bytes, 8),
+        bitrate: null // FLAC frames vary in size; nothing in the header states a bitrate
+    };
+}
+
+/**
+ * Parse a FLAC STREAMINFO block
+ * @param {Uint8Array} bytes - Bytes holding the block
+ * @param {number} offset - Start of the block data, after its 4-byte header
+ * @returns {Object} - sampleRate and channels
+ */
+function parseStreamInfo(bytes, offset) {
+    // 20 bits of sample rate and 3 bits of channel count minus one, after the block and frame sizes
+    const sampleRate = (bytes[offset + 10] << 12) | (bytes[offset + 11] << 4) | (bytes[offset + 12] >> 4);
+    const channels = ((bytes[offset + 12] >> 1) & 0x07) + 1;
+    return { sampleRate, channels };
+}
+
+/**
+ * Identify an Ogg stream from the identification header on its first (BOS) page
+ * Without a nominal bitrate in the header, the bitrate is estimated from the granule positions
+ * of the audio pages that follow.
+ */
+function identifyOgg(bytes, start) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let stream = null;
+    let firstAudioPage = null;
+    let lastAudioPage = null;
+
+    let offset = start;
+    while (offset + 27 <= bytes.length && matchesAscii(bytes, offset, 'OggS')) {
+        const headerType = bytes[offset + 5];
+        const granule = Number(view.getBigInt64(offset + 6, true));
+        const serial = view.getUint32(offset + 14, true);
+        const segmentCount = bytes[offset + 26];
+        const headerLength = 27 + segmentCount;
+        if (offset + headerLength > bytes.length) break;
+
+        let bodyLength = 0;
+        for (let i = 0; i < segmentCount; i++) {
+            bodyLength += bytes[offset + 27 + i];
+        }
+        const pageEnd = offset + headerLength + bodyLength;
+        if (pageEnd > bytes.length) break;
+
+        if (!stream && (headerType & 0x02)) {
+            // A BOS page holds exactly the identification packet
+            stream = parseOggIdHeader(bytes.subarray(offset + headerLength, pageEnd));
+            if (stream) {
+                stream.serial = serial;
+            }
+        } else if (stream && serial === stream.serial && granule > 0) {
+            // Header pages have granule 0 and pages without a finished packet have -1
+            lastAudioPage = { end: pageEnd, granule };
+            firstAudioPage = firstAudioPage || lastAudioPage;
+        }
+
+        offset = pageEnd;
+    }
+
+    if (!stream) return null;
+
+    let bitrate = stream.bitrate;
+    if (!bitrate && firstAudioPage && lastAudioPage.granule > firstAudioPage.granule) {
+        const seconds = (lastAudioPage.granule - firstAudioPage.granule) / stream.granuleRate;
+        bitrate = Math.round((lastAudioPage.end - firstAudioPage.end) * 8 / seconds / 1000);
+    }
+
+    return {
+        format: stream.format,
+        mimeType: 'audio/ogg',
+        sampleRate: stream.sampleRate,
+        channels: stream.channels,
+        bitrate: bitrate || null
+    };
+}
+
+/**
+ * Parse the identification header that opens an Ogg logical stream
+ * @param {Uint8Array} packet - First packet of the logical stream
+ * @returns {Object|null} - format, sampleRate, channels, bitrate (nominal, or null) and granuleRate
+ */
+function parseOggIdHeader(packet) {
+    const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+
+    if (packet.length >= 19 && matchesAscii(packet, 0, 'OpusHead')) {
+        return {
+            format: 'opus',
+            sampleRate: OPUS_SAMPLE_RATE,
+            channels: packet[9],
+            bitrate: null,
+            granuleRate: OPUS_SAMPLE_RATE
+        };
+    }
+
+    if (packet.length >= 28 && packet[0] === 0x01 && matchesAscii(packet, 1, 'vorbis')) {
+        const sampleRate = view.getUint32(12, true);
+        const nominalBitrate = view.getInt32(20, true);
+        return {
+            format: 'vorbis',
+            sampleRate,
+            channels: packet[11],
+            bitrate: nominalBitrate > 0 ? Math.round(nominalBitrate / 1000) : null,
+            granuleRate: sampleRate
+        };
+    }
+
+    // FLAC mapping: 0x7F "FLAC", version, header count, then "fLaC" and the STREAMINFO block
+    if (packet.length >= 13 + 4 + 34 && packet[0] === 0x7F && matchesAscii(packet, 1, 'FLAC') && matchesAscii(packet, 9, 'fLaC')) {
+        const { sampleRate, channels } = parseStreamInfo(packet, 17);
+        return {
+            format: 'flac',
+            sampleRate,
+            channels,
+            bitrate: null,
+            granuleRate: sampleRate
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Find MP3 or ADTS AAC frames
+ * A sync pattern alone turns up in any binary data, so a frame only counts when another frame of
+ * the same stream starts exactly where it ends.
+ */
+function identifyFrames(bytes, start) {
+    for (let offset = start; offset + 7 <= bytes.length; offset++) {
+        if (bytes[offset] !== 0xFF) continue;
+
+        const frame = parseFrameHeader(bytes, offset);
+        if (!frame) continue;
+
+        const next = offset + frame.length;
+        if (next + 7 > bytes.length) {
+            // Wait for more bytes to check the following frame
+            return null;
+        }
+        if (!isSameStream(frame, parseFrameHeader(bytes, next))) continue;
+
+        return describeFrames(bytes, offset, frame);
+    }
+    return null;
+}
+
+/**
+ * Follow the chain of frames from the first one and average their bitrate
+ */
+function describeFrames(bytes, offset, first) {
+    let frameBytes = 0;
+    let seconds = 0;
+
+    let frame = first;
+    while (isSameStream(first, frame) && offset + frame.length <= bytes.length) {
+        frameBytes += frame.length;
+        seconds += frame.samples / frame.sampleRate;
+        offset += frame.length;
+        frame = offset + 7 <= bytes.length ? parseFrameHeader(bytes, offset) : null;
+    }
+
+    return {
+        format: first.format,
+        mimeType: first.format === 'aac' ? 'audio/aac' : 'audio/mpeg',
+        sampleRate: first.sampleRate,
+        channels: first.channels,
+        bitrate: Math.round(frameBytes * 8 / seconds / 1000)
+    };
+}
+
+function isSameStream(frame, other) {
+    return Boolean(other) &&
+        other.format === frame.format &&
+        other.sampleRate === frame.sampleRate &&
+        other.channels === frame.channels;
+}
+
+/**
+ * Parse an MPEG audio or ADTS frame header
+ * @param {Uint8Array} bytes - Stream bytes; at least 7 must follow offset
+ * @param {number} offset - Position of the 0xFF sync byte
+ * @returns {Object|null} - format, sampleRate, channels, samples and length (bytes) of the frame
+ */
+function parseFrameHeader(bytes, offset) {
+    const b1 = bytes[offset + 1];
+    const b2 = bytes[offset + 2];
+    const b3 = bytes[offset + 3];
+    if (bytes[offset] !== 0xFF) return null;
+
+    // ADTS: 12-bit sync, then the MPEG version bit and a layer of 00
+    if ((b1 & 0xF6) === 0xF0) {
+        const sampleRate = ADTS_SAMPLE_RATES[(b2 >> 2) & 0x0F];
+        const channelConfig = ((b2 & 0x01) << 2) | (b3 >> 6);
+        const length = ((b3 & 0x03) << 11) | (bytes[offset + 4] << 3) | (bytes[offset + 5] >> 5);
+        if (!sampleRate || length < 7) return null;
+
+        return {
+            format: 'aac',
+            sampleRate,
+            channels: channelConfig === 7 ? 8 : channelConfig || null, // 0 means a program config element sets it
+            samples: 1024 * ((bytes[offset + 6] & 0x03) + 1),
+            length
+        };
+    }
+
+    // MPEG audio: 11-bit sync, version (0 = 2.5, 1 reserved, 2 = 2, 3 = 1) and layer (3 = I ... 1 = III)
+    if ((b1 & 0xE0) !== 0xE0) return null;
+    const version = (b1 >> 3) & 0x03;
+    const layer = 4 - ((b1 >> 1) & 0x03);
+    const bitrateIndex = b2 >> 4;
+    const sampleRateIndex = (b2 >> 2) & 0x03;
+    // Free-format bitrates and reserved values (including emphasis) don't occur in real streams
+    if (version === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3 || (b3 & 0x03) === 2) {
+        return null;
+    }
+
+    const isMpeg1 = version === 3;
+    const bitrate = MPEG_BITRATES[isMpeg1 ? 1 : 2][layer][bitrateIndex] * 1000;
+    const sampleRate = MPEG_SAMPLE_RATES[sampleRateIndex] / (isMpeg1 ? 1 : version === 2 ? 2 : 4);
+    const padding = (b2 >> 1) & 0x01;
+    const samples = layer === 1 ? 384 : layer === 3 && !isMpeg1 ? 576 : 1152;
+    const length = layer === 1
+        ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+        : Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+
+    return {
+        format: 'mpeg',
+        sampleRate,
+        channels: (b3 >> 6) === 3 ? 1 : 2,
+        samples,
+        length
+    };
+}
+
+function findAscii(bytes, text) {
+    for (let offset = 0; offset + text.length <= bytes.length; offset++) {
+        if (matchesAscii(bytes, offset, text)) return offset;
+    }
+    return -1;
+}
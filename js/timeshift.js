@@ -0,0 +1,150 @@
+// Time-shift - pause, rewind and scrub live radio inside the MediaSource buffer
+import { APP_CONFIG } from './config.js';
+import { isTimeShiftAvailable, getAudioElement, addAudioEventListener } from './player.js';
+import { memoryManager } from './memory-manager.js';
+import { updateScreenReaderStatus, formatDuration } from './ui.js';
+
+const TIMESHIFT_CONFIG = APP_CONFIG.TIMESHIFT;
+const PROGRESS_STEPS = 1000;
+
+class TimeShift {
+    /**
+     * Get the rewindable range and the playback position in it
+     * @returns {Object} - available, start, end (newest audio), position and behindLive (seconds)
+     */
+    getState() {
+        const audio = getAudioElement();
+        if (!audio || !isTimeShiftAvailable() || !audio.buffered.length) {
+            return { available: false, start: 0, end: 0, position: 0, behindLive: 0, isLive: true };
+        }
+
+        const start = audio.buffered.start(0);
+        const end = audio.buffered.end(audio.buffered.length - 1);
+        const position = Math.min(Math.max(audio.currentTime, start), end);
+        const behindLive = Math.max(0, end - position);
+
+        return {
+            available: true,
+            start,
+            end,
+            position,
+            behindLive,
+            isLive: behindLive <= TIMESHIFT_CONFIG.LIVE_THRESHOLD
+        };
+    }
+
+    /**
+     * Move playback to a point in the buffer
+     * @param {number} time - Media time; clamped to the buffered range
+     */
+    seekTo(time) {
+        const state = this.getState();
+        if (!state.available) return;
+
+        const liveEdge = state.end - TIMESHIFT_CONFIG.LIVE_EDGE_OFFSET;
+        getAudioElement().currentTime = Math.min(Math.max(time, state.start), Math.max(state.start, liveEdge));
+    }
+
+    skipBack(seconds) {
+        const state = this.getState();
+        if (!state.available) return;
+
+        this.seekTo(state.position - seconds);
+        updateScreenReaderStatus(`Skipped back ${seconds} seconds, ${formatDuration(this.getState().behindLive)} behind live`, 'polite');
+    }
+
+    jumpToLive() {
+        const state = this.getState();
+        if (!state.available) return;
+
+        this.seekTo(state.end);
+        const audio = getAudioElement();
+        if (audio.paused) {
+            audio.play().catch(error => console.warn('Resume after jump to live failed:', error));
+        }
+        updateScreenReaderStatus('Playing live', 'polite');
+    }
+}
+
+// Create global instance
+export const timeShift = new TimeShift();
+
+/**
+ * Wire the time-shift controls in the player card to playback
+ * @param {HTMLElement} container - Element containing #progress-bar, #current-time, #jump-to-live and [data-skip-back] buttons
+ */
+export function initTimeShiftControls(container) {
+    const progressBar = container.querySelector('#progress-bar');
+    const currentTimeEl = container.querySelector('#current-time');
+    const liveButton = container.querySelector('#jump-to-live');
+    const skipButtons = container.querySelectorAll('[data-skip-back]');
+    if (!progressBar || !currentTimeEl) return;
+
+    progressBar.max = String(PROGRESS_STEPS);
+    let scrubbing = false;
+
+    const positionFromBar = (state) => state.start + (progressBar.value / PROGRESS_STEPS) * (state.end - state.start);
+
+    const render = () => {
+        const state = timeShift.getState();
+
+        progressBar.disabled = !state.available;
+        skipButtons.forEach(button => { button.disabled = !state.available; });
+        if (liveButton) {
+            liveButton.disabled = !state.available || state.isLive;
+            liveButton.setAttribute('aria-pressed', String(state.isLive));
+        }
+
+        if (scrubbing) return;
+
+        if (!state.available) {
+            progressBar.value = String(PROGRESS_STEPS);
+            progressBar.setAttribute('aria-valuetext', 'Live');
+            currentTimeEl.textContent = 'LIVE';
+            return;
+        }
+
+        const range = state.end - state.start;
+        progressBar.value = String(range > 0 ? Math.round(((state.position - state.start) / range) * PROGRESS_STEPS) : PROGRESS_STEPS);
+
+        const label = state.isLive ? 'LIVE' : `-${formatDuration(state.behindLive)}`;
+        currentTimeEl.textContent = label;
+        progressBar.setAttribute('aria-valuetext', state.isLive ? 'Live' : `${formatDuration(state.behindLive)} behind live`);
+    };
+
+    // Show where the listener is scrubbing to, seek once they let go
+    progressBar.addEventListener('input', () => {
+        const state = timeShift.getState();
+        if (!state.available) return;
+        scrubbing = true;
+        currentTimeEl.textContent = `-${formatDuration(state.end - positionFromBar(state))}`;
+    });
+    progressBar.addEventListener('change', () => {
+        const state = timeShift.getState();
+        scrubbing = false;
+        if (state.available) {
+            timeShift.seekTo(positionFromBar(state));
+        }
+        render();
+    });
+
+    skipButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            timeShift.skipBack(parseInt(button.dataset.skipBack, 10));
+            render();
+        });
+    });
+
+    if (liveButton) {
+        liveButton.addEventListener('click', () => {
+            timeShift.jumpToLive();
+            render();
+        });
+    }
+
+    ['timeupdate', 'pause', 'play', 'emptied', 'seeked'].forEach(event => {
+        addAudioEventListener(event, render);
+    });
+    memoryManager.addInterval(setInterval(render, TIMESHIFT_CONFIG.UPDATE_INTERVAL));
+    render();
+}
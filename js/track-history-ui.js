@@ -0,0 +1,114 @@
+// Track history panel - browse, filter, search and export the now-playing log
+import { APP_CONFIG } from './config.js';
+import { trackHistory, serializeHistoryCSV, serializeHistoryJSON } from './track-history.js';
+import { openModal, escapeHtml, updateScreenReaderStatus, downloadBlob } from './ui.js';
+
+/**
+ * Open the track history panel
+ * @param {Object} options - Station name to pre-select in the station filter
+ * @returns {Object} - The modal handle
+ */
+export function openTrackHistory({ stationName = '' } = {}) {
+    const stationNames = trackHistory.getStationNames();
+    const selectedStation = stationNames.includes(stationName) ? stationName : '';
+
+    const modal = openModal('Track History', `
+        <div class="flex flex-col sm:flex-row gap-2 mb-3">
+            <label for="history-station" class="sr-only">Filter by station</label>
+            <select id="history-station" class="flex-1 bg-white/20 dark:bg-slate-700 text-slate-900 dark:text-white rounded px-2 py-2 text-sm border border-white/20 dark:border-slate-600">
+                <option value="">All stations</option>
+                ${stationNames.map(name => `<option value="${escapeHtml(name)}" ${name === selectedStation ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+            </select>
+            <label for="history-search" class="sr-only">Search track history</label>
+            <input type="search" id="history-search" placeholder="Search artist or title..."
+                   class="flex-1 px-3 py-2 text-sm bg-white/50 dark:bg-slate-800/60 border border-slate-300/50 dark:border-slate-600/80 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500">
+        </div>
+        <p id="history-summary" class="text-xs text-slate-500 dark:text-slate-400 mb-2" role="status" aria-live="polite"></p>
+        <ul id="history-entries" class="max-h-80 overflow-y-auto custom-scrollbar border border-slate-200/50 dark:border-slate-700/50 rounded-lg divide-y divide-slate-200/50 dark:divide-slate-700/50" aria-label="Played tracks"></ul>
+        <div class="flex items-center justify-between gap-2 mt-4">
+            <button type="button" id="history-clear" class="bg-red-500 hover:bg-red-600 text-white px-3 py-2 rounded-lg text-sm transition-colors">
+                <i class="fas fa-trash mr-1" aria-hidden="true"></i>Clear
+            </button>
+            <div class="flex gap-2">
+                <button type="button" id="history-export-csv" class="bg-slate-600 hover:bg-slate-500 text-white px-3 py-2 rounded-lg text-sm transition-colors">
+                    <i class="fas fa-file-csv mr-1" aria-hidden="true"></i>CSV
+                </button>
+                <button type="button" id="history-export-json" class="bg-indigo-600 hover:bg-indigo-500 text-white px-3 py-2 rounded-lg text-sm transition-colors">
+                    <i class="fas fa-file-code mr-1" aria-hidden="true"></i>JSON
+                </button>
+            </div>
+        </div>
+    `, { id: 'track-history-dialog' });
+
+    const stationSelect = modal.body.querySelector('#history-station');
+    const searchInput = modal.body.querySelector('#history-search');
+    const summaryEl = modal.body.querySelector('#history-summary');
+    const entriesEl = modal.body.querySelector('#history-entries');
+
+    const getVisibleEntries = () => trackHistory.getEntries({
+        stationName: stationSelect.value,
+        search: searchInput.value
+    });
+
+    const render = () => {
+        const entries = getVisibleEntries();
+        const { MAX_ENTRIES, MAX_AGE_DAYS } = APP_CONFIG.TRACK_HISTORY;
+
+        summaryEl.textContent = `${entries.length} track${entries.length === 1 ? '' : 's'} shown. ` +
+            `History keeps the last ${MAX_ENTRIES} tracks from the past ${MAX_AGE_DAYS} days.`;
+        entriesEl.innerHTML = entries.length
+            ? entries.map(renderEntry).join('')
+            : '<li class="p-3 text-sm text-slate-500 dark:text-slate-400">No tracks recorded yet. Titles are logged as stations announce them.</li>';
+    };
+
+    const exportEntries = (format) => {
+        const entries = getVisibleEntries();
+        if (!entries.length) {
+            summaryEl.textContent = 'There are no tracks to export for this selection.';
+            return;
+        }
+
+        const contents = format === 'csv' ? serializeHistoryCSV(entries) : serializeHistoryJSON(entries);
+        const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+        downloadBlob(new Blob([contents], { type: mimeType }), `track-history.${format}`);
+
+        console.log(`📤 Exported ${entries.length} history entries as ${format.toUpperCase()}`);
+        updateScreenReaderStatus(`Exported ${entries.length} tracks`, 'polite');
+    };
+
+    stationSelect.addEventListener('change', render);
+    searchInput.addEventListener('input', render);
+    modal.body.querySelector('#history-export-csv').addEventListener('click', () => exportEntries('csv'));
+    modal.body.querySelector('#history-export-json').addEventListener('click', () => exportEntries('json'));
+
+    modal.body.querySelector('#history-clear').addEventListener('click', () => {
+        if (!confirm('Clear the whole track history?')) {
+            return;
+        }
+        trackHistory.clear();
+        stationSelect.innerHTML = '<option value="">All stations</option>';
+        render();
+        updateScreenReaderStatus('Track history cleared', 'polite');
+    });
+
+    render();
+    return modal;
+}
+
+function renderEntry(entry) {
+    const time = new Date(entry.timestamp);
+    const heading = entry.artist
+        ? `<span class="font-medium text-slate-900 dark:text-white">${escapeHtml(entry.title)}</span>
+           <span class="text-slate-600 dark:text-slate-300">· ${escapeHtml(entry.artist)}</span>`
+        : `<span class="font-medium text-slate-900 dark:text-white">${escapeHtml(entry.title)}</span>`;
+
+    return `
+        <li class="p-2 text-sm">
+            <div class="truncate">${heading}</div>
+            <div class="text-xs text-slate-500 dark:text-slate-400">
+                <time datetime="${time.toISOString()}">${escapeHtml(time.toLocaleString())}</time>
+                · ${escapeHtml(entry.stationName)}
+            </div>
+        </li>
+    `;
+}
@@ -0,0 +1,171 @@
+// Track history - persisted log of the titles received from station metadata
+import { APP_CONFIG } from './config.js';
+import { loadTrackHistory, saveTrackHistory } from './storage.js';
+
+const HISTORY_CONFIG = APP_CONFIG.TRACK_HISTORY;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrackHistory {
+    constructor() {
+        this.entries = this.prune(loadTrackHistory());
+    }
+
+    /**
+     * Record a title received from station metadata
+     * Repeats of the station's latest title are ignored, since servers resend metadata.
+     * @param {Object} station - Station that is playing
+     * @param {string} rawTitle - Title as received (e.g. "Artist - Title")
+     * @param {Object} metadata - Metadata object (ICY fields or Vorbis comments)
+     * @returns {Object|null} - The new entry, or null when nothing was recorded
+     */
+    record(station, rawTitle, metadata = {}) {
+        const title = (rawTitle || '').trim();
+        if (!station || !title) return null;
+
+        const latest = this.entries.find(entry => entry.stationName === station.name);
+        if (latest && latest.rawTitle === title) return null;
+
+        const entry = {
+            timestamp: Date.now(),
+            stationName: station.name,
+            rawTitle: title,
+            ...parseTrackTitle(title, metadata)
+        };
+
+        // Newest first
+        this.entries.unshift(entry);
+        this.entries = this.prune(this.entries);
+        this.save();
+
+        return entry;
+    }
+
+    /**
+     * Get history entries, newest first
+     * @param {Object} filters - Optional stationName and search text
+     * @returns {Array} - Matching entries
+     */
+    getEntries({ stationName = '', search = '' } = {}) {
+        const searchLower = search.trim().toLowerCase();
+
+        return this.entries.filter(entry => {
+            if (stationName && entry.stationName !== stationName) return false;
+            if (!searchLower) return true;
+
+            return [entry.rawTitle, entry.artist, entry.title, entry.stationName]
+                .some(value => value && value.toLowerCase().includes(searchLower));
+        });
+    }
+
+    /**
+     * Get the names of stations that appear in the history
+     * @returns {Array} - Sorted station names
+     */
+    getStationNames() {
+        return [...new Set(this.entries.map(entry => entry.stationName))]
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Rename a station's entries after the station itself was renamed
+     * @param {string} oldName - Previous station name
+     * @param {string} newName - New station name
+     */
+    renameStation(oldName, newName) {
+        let changed = false;
+        this.entries.forEach(entry => {
+            if (entry.stationName === oldName) {
+                entry.stationName = newName;
+                changed = true;
+            }
+        });
+        if (changed) {
+            this.save();
+        }
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    /**
+     * Drop entries older than the retention period and beyond the entry cap
+     * @param {Array} entries - Entries, newest first
+     * @returns {Array} - Entries to keep
+     */
+    prune(entries) {
+        const cutoff = Date.now() - HISTORY_CONFIG.MAX_AGE_DAYS * DAY_MS;
+        return (Array.isArray(entries) ? entries : [])
+            .filter(entry => entry && entry.timestamp >= cutoff)
+            .slice(0, HISTORY_CONFIG.MAX_ENTRIES);
+    }
+
+    save() {
+        saveTrackHistory(this.entries);
+    }
+}
+
+/**
+ * Split a stream title into artist and title
+ * Vorbis comments carry ARTIST/TITLE separately; ICY titles are usually "Artist - Title".
+ * @param {string} rawTitle - Title as received
+ * @param {Object} metadata - Metadata object
+ * @returns {Object} - artist and title (artist is empty when it cannot be told apart)
+ */
+export function parseTrackTitle(rawTitle, metadata = {}) {
+    if (metadata.ARTIST || metadata.TITLE) {
+        return { artist: metadata.ARTIST || '', title: metadata.TITLE || rawTitle };
+    }
+
+    const separator = rawTitle.indexOf(' - ');
+    if (separator > 0) {
+        return {
+            artist: rawTitle.slice(0, separator).trim(),
+            title: rawTitle.slice(separator + 3).trim()
+        };
+    }
+
+    return { artist: '', title: rawTitle };
+}
+
+/**
+ * Serialize history entries as CSV
+ * @param {Array} entries - History entries
+ * @returns {string} - CSV contents with a header row
+ */
+export function serializeHistoryCSV(entries) {
+    const rows = [['Time', 'Station', 'Artist', 'Title', 'Raw title']];
+    entries.forEach(entry => {
+        rows.push([new Date(entry.timestamp).toISOString(), entry.stationName, entry.artist, entry.title, entry.rawTitle]);
+    });
+
+    return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize history entries as JSON
+ * @param {Array} entries - History entries
+ * @returns {string} - JSON contents
+ */
+export function serializeHistoryJSON(entries) {
+    return JSON.stringify(entries.map(entry => ({
+        time: new Date(entry.timestamp).toISOString(),
+        station: entry.stationName,
+        artist: entry.artist,
+        title: entry.title,
+        rawTitle: entry.rawTitle
+    })), null, 2);
+}
+
+function escapeCsvField(value) {
+    let text = String(value ?? '');
+    // Stop spreadsheet apps from evaluating titles that start like a formula
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Create global instance
+export const trackHistory = new TrackHistory();
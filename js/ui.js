@@ -1,7 +1,8 @@
 // UI interactions and DOM manipulation
 // UI management functions
-import { getStations } from './stations.js';
+import { getStations, getStationsInListOrder } from './stations.js';
 import { getCodecInfoSync } from './codec-manager.js';
+import { describeSniffResult } from './stream-sniffer.js';
 import { assessStreamCompatibility, getCompatibilityDisplay, batchAssessCompatibility } from './stream-tester.js';
 import { saveSortOrder } from './storage.js';
 
@@ -19,32 +20,7 @@ export function populateStationList(stationListElement, favorites = [], filter =
         return;
     }
     
-    // Use more efficient filtering approach
-    let filteredStations;
-    if (searchTerm) {
-        // If there's a search term, use the optimized search function
-        filteredStations = getFilteredStations(searchTerm);
-    } else {
-        // Sort stations with favorites first only when no search
-        filteredStations = [...stations].sort((a, b) => {
-            if (a.isFavorite && !b.isFavorite) return -1;
-            if (!a.isFavorite && b.isFavorite) return 1;
-            return 0;
-        });
-    }
-
-    // Apply compatibility filter if enabled
-    if (showOnlyCompatible) {
-        filteredStations = filteredStations.filter(station => {
-            try {
-                const compatibility = assessStreamCompatibility(station);
-                return compatibility.compatibility === 'excellent' || compatibility.compatibility === 'good';
-            } catch (error) {
-                console.warn('Error assessing compatibility for filtering:', error);
-                return true; // Include station if assessment fails
-            }
-        });
-    }
+    const filteredStations = getListedStations(searchTerm);
     
     // Apply lazy loading limit
     const stationsToRender = isLazyLoadingEnabled ? 
@@ -88,6 +64,40 @@ export function populateStationList(stationListElement, favorites = [], filter =
     renderBatch();
 }
 
+/**
+ * Get the stations the list shows for a search, in list order, before lazy loading limits them
+ * @param {string} filter - Search text; empty for the full list
+ * @returns {Array} - Matching stations, honouring the compatibility filter
+ */
+export function getListedStations(filter = '') {
+    const searchTerm = filter.toLowerCase().trim();
+    
+    // Use more efficient filtering approach
+    let filteredStations;
+    if (searchTerm) {
+        // If there's a search term, use the optimized search function
+        filteredStations = getFilteredStations(searchTerm);
+    } else {
+        // Sort stations with favorites first only when no search
+        filteredStations = getStationsInListOrder();
+    }
+
+    // Apply compatibility filter if enabled
+    if (showOnlyCompatible) {
+        filteredStations = filteredStations.filter(station => {
+            try {
+                const compatibility = assessStreamCompatibility(station);
+                return compatibility.compatibility === 'excellent' || compatibility.compatibility === 'good';
+            } catch (error) {
+                console.warn('Error assessing compatibility for filtering:', error);
+                return true; // Include station if assessment fails
+            }
+        });
+    }
+    
+    return filteredStations;
+}
+
 function createOptimizedStationElement(station, favorites, searchTerm = '') {
     const stationDiv = document.createElement('div');
     stationDiv.className = 'station-item w-full text-left p-4 border-b border-white/10 dark:border-slate-700/50 hover:bg-white/30 dark:hover:bg-slate-700/50 transition-colors duration-200 flex items-center justify-between';
@@ -96,6 +106,8 @@ function createOptimizedStationElement(station, favorites, searchTerm = '') {
     stationDiv.setAttribute('tabindex', '0');
     stationDiv.setAttribute('aria-label', `${station.name} - ${station.genre}. Press space to play, F to favorite`);
     
+    const safeName = escapeHtml(station.name);
+    
     // Check if station is favorited
     const isFavorite = favorites.includes(station.name);
     
@@ -115,23 +127,36 @@ function createOptimizedStationElement(station, favorites, searchTerm = '') {
         compatDisplay = getCompatibilityDisplay('unknown');
     }
     
-    // Highlight search terms if present
-    let displayName = station.name;
-    let displayGenre = station.genre;
+    // Highlight search terms if present (user stations may contain markup, so escape first)
+    let displayName = safeName;
+    let displayGenre = escapeHtml(station.genre);
     
     if (searchTerm) {
-        const regex = new RegExp(`(${escapeRegex(searchTerm)})`, 'gi');
-        displayName = station.name.replace(regex, '<mark class="bg-yellow-200 dark:bg-yellow-600 px-1 rounded">$1</mark>');
-        displayGenre = station.genre.replace(regex, '<mark class="bg-yellow-200 dark:bg-yellow-600 px-1 rounded">$1</mark>');
+        const regex = new RegExp(`(${escapeRegex(escapeHtml(searchTerm))})`, 'gi');
+        displayName = displayName.replace(regex, '<mark class="bg-yellow-200 dark:bg-yellow-600 px-1 rounded">$1</mark>');
+        displayGenre = displayGenre.replace(regex, '<mark class="bg-yellow-200 dark:bg-yellow-600 px-1 rounded">$1</mark>');
     }
     
+    const logoHtml = station.logo
+        ? `<img src="${escapeHtml(station.logo)}" alt="" class="station-logo w-8 h-8 mr-3 rounded-md object-cover flex-shrink-0" loading="lazy" onerror="this.remove()">`
+        : '';
+    
+    const editButtonHtml = station.isCustom ? `
+        <button class="edit-station-btn ml-2 p-2 rounded-lg hover:bg-white/20 dark:hover:bg-slate-600/30 transition-colors text-slate-500 dark:text-slate-400 flex-shrink-0"
+                data-station-name="${safeName}"
+                aria-label="Edit station: ${safeName}"
+                title="Edit station">
+            <i class="fas fa-pen" aria-hidden="true"></i>
+        </button>` : '';
+    
     // Create the structure with drag handle
     stationDiv.innerHTML = `
         <div class="flex items-center flex-grow min-w-0">
             <span class="drag-handle mr-3 cursor-grab" aria-label="Drag to reorder station" role="button" tabindex="0">
                 <i class="fas fa-grip-vertical text-slate-400 hover:text-slate-600 dark:text-slate-500 dark:hover:text-slate-300" aria-hidden="true"></i>
             </span>
-            <div class="flex-1 min-w-0 cursor-pointer" role="button" aria-label="Play ${station.name}">
+            ${logoHtml}
+            <div class="flex-1 min-w-0 cursor-pointer" role="button" aria-label="Play ${safeName}">
                 <div class="font-medium text-slate-900 dark:text-white text-lg truncate">${displayName}</div>
                 <div class="text-slate-600 dark:text-slate-300 text-sm truncate flex items-center justify-between gap-2">
                     <div class="flex items-center gap-2">
@@ -150,9 +175,10 @@ function createOptimizedStationElement(station, favorites, searchTerm = '') {
                 </div>
             </div>
         </div>
+        ${editButtonHtml}
         <button class="favorite-btn ml-4 p-2 rounded-lg hover:bg-white/20 dark:hover:bg-slate-600/30 transition-colors text-xl flex-shrink-0" 
-                data-station-name="${station.name}"
-                aria-label="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}: ${station.name}"
+                data-station-name="${safeName}"
+                aria-label="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}: ${safeName}"
                 title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
             <i class="fa-star ${isFavorite ? 'fas favorited' : 'far'} favorite-star" aria-hidden="true"></i>
         </button>
@@ -224,6 +250,11 @@ function addStationEventListeners(stationDiv, station) {
 
     // Add keyboard support for individual stations
     stationDiv.addEventListener('keydown', (e) => {
+        // Let the row's own buttons handle their activation keys
+        if (e.target.closest('.edit-station-btn, .favorite-btn')) {
+            return;
+        }
+        
         if (e.key === 'Enter' || e.key === ' ') {
             e.preventDefault();
             e.stopPropagation();
@@ -263,6 +294,20 @@ function escapeRegex(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+/**
+ * Escape text for safe insertion into HTML markup
+ * @param {string} value - Raw text (e.g. a user-entered station name)
+ * @returns {string} - HTML-escaped text
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 export function setActiveStation(stationName) {
     // Remove active state from all stations
     document.querySelectorAll('.station-item.active').forEach(item => {
@@ -275,7 +320,7 @@ export function setActiveStation(stationName) {
     });
 
     // Set active state for current station
-    const activeItem = document.querySelector(`[data-station-name="${stationName}"]`);
+    const activeItem = document.querySelector(`.station-item[data-station-name="${CSS.escape(stationName)}"]`);
     if (activeItem) {
         activeItem.classList.add('active');
         activeItem.setAttribute('aria-current', 'true');
@@ -293,6 +338,39 @@ export function updatePlayerInfo(station, infoNameElement, infoQualityElement) {
     }
 }
 
+/**
+ * Show which of a station's streams is live, and what its data turned out to be
+ * @param {Object} stream - Stream from getCurrentStream (quality, label, index, total, sniffResult)
+ * @param {HTMLElement} infoQualityElement - The #info-quality element
+ */
+export function updateStreamInfo(stream, infoQualityElement) {
+    if (!infoQualityElement || !stream) return;
+
+    const parts = [`Quality: ${stream.quality}`];
+    if (stream.total > 1) {
+        parts.push(`${stream.label} (${stream.index + 1}/${stream.total})`);
+    }
+    if (stream.sniffResult) {
+        parts.push(`Detected: ${describeSniffResult(stream.sniffResult)}`);
+    }
+    infoQualityElement.textContent = parts.join(' · ');
+}
+
+/**
+ * Format seconds as m:ss, or h:mm:ss for an hour or more
+ * @param {number} totalSeconds - Seconds (rounded to whole seconds)
+ * @returns {string} - Formatted time
+ */
+export function formatDuration(totalSeconds) {
+    const total = Math.round(totalSeconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = total % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return hours ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+}
+
 export function updateNowPlaying(text, infoGenreElement) {
     infoGenreElement.textContent = text;
     
@@ -404,7 +482,7 @@ function performSearch(searchValue) {
     }
 }
 
-function getFilteredStations(searchTerm, limit = MAX_SEARCH_RESULTS) {
+export function getFilteredStations(searchTerm, limit = MAX_SEARCH_RESULTS) {
     const searchTermLower = searchTerm.toLowerCase();
     const stations = getStations();
     const results = [];
@@ -568,6 +646,90 @@ export function showRetryMessage(currentRetry, maxRetries, stationName, containe
     return retryDiv;
 }
 
+/**
+ * Ask for a tap when the browser blocked playback that was not started by the listener
+ * (e.g. a wake-up alarm) - browsers only allow audio after a user gesture on the page
+ * @param {string} stationName - Station that is waiting to play
+ * @param {Function} onStart - Called from the tap, inside the user gesture
+ * @returns {HTMLElement} - The prompt element
+ */
+export function showAutoplayPrompt(stationName, onStart) {
+    clearAutoplayPrompt();
+
+    const promptDiv = document.createElement('div');
+    promptDiv.className = 'autoplay-prompt fixed inset-x-0 top-1/3 flex justify-center z-50 px-4';
+    promptDiv.setAttribute('role', 'alertdialog');
+    promptDiv.setAttribute('aria-label', 'Playback blocked by the browser');
+    promptDiv.innerHTML = `
+        <button type="button" class="bg-indigo-600 hover:bg-indigo-500 text-white px-8 py-5 rounded-2xl shadow-2xl text-lg font-semibold flex items-center gap-3 animate-pulse">
+            <i class="fas fa-play-circle text-3xl" aria-hidden="true"></i>
+            <span>Tap to start ${escapeHtml(stationName)}</span>
+        </button>
+    `;
+
+    const startButton = promptDiv.querySelector('button');
+    startButton.addEventListener('click', () => {
+        clearAutoplayPrompt();
+        onStart();
+    });
+
+    document.body.appendChild(promptDiv);
+    startButton.focus();
+    updateScreenReaderStatus(`Your browser blocked automatic playback. Activate the button to start ${stationName}.`, 'assertive');
+
+    return promptDiv;
+}
+
+export function clearAutoplayPrompt() {
+    document.querySelectorAll('.autoplay-prompt').forEach(prompt => prompt.remove());
+}
+
+/**
+ * Offer to pick up a station again (after a reload, or while reconnecting after the network returned)
+ * @param {string} message - Text to show; update it later through the .resume-prompt-message element
+ * @param {string} actionLabel - Label of the action button
+ * @param {Function} onAction - Called when the action button is pressed
+ * @param {Function} [onDismiss] - Called when the prompt is closed without the action
+ * @returns {HTMLElement} - The prompt element
+ */
+export function showResumePrompt(message, actionLabel, onAction, onDismiss) {
+    clearResumePrompt();
+
+    const promptDiv = document.createElement('div');
+    promptDiv.className = 'resume-prompt fixed bottom-4 left-1/2 transform -translate-x-1/2 bg-indigo-600 text-white px-6 py-3 rounded-lg shadow-lg z-50 max-w-md';
+    promptDiv.setAttribute('role', 'status');
+    promptDiv.innerHTML = `
+        <div class="flex items-center gap-3">
+            <i class="fas fa-history" aria-hidden="true"></i>
+            <p class="resume-prompt-message flex-1 text-sm">${escapeHtml(message)}</p>
+            <button type="button" class="resume-prompt-action px-3 py-1 rounded-full bg-white/20 hover:bg-white/30 text-sm font-medium">${escapeHtml(actionLabel)}</button>
+            <button type="button" class="resume-prompt-close text-white hover:text-gray-200" aria-label="Close">
+                <i class="fas fa-times" aria-hidden="true"></i>
+            </button>
+        </div>
+    `;
+
+    promptDiv.querySelector('.resume-prompt-action').addEventListener('click', () => {
+        promptDiv.remove();
+        onAction();
+    });
+    promptDiv.querySelector('.resume-prompt-close').addEventListener('click', () => {
+        promptDiv.remove();
+        if (onDismiss) {
+            onDismiss();
+        }
+    });
+
+    document.body.appendChild(promptDiv);
+    updateScreenReaderStatus(message, 'polite');
+
+    return promptDiv;
+}
+
+export function clearResumePrompt() {
+    document.querySelectorAll('.resume-prompt').forEach(prompt => prompt.remove());
+}
+
 export function clearErrorMessage() {
     const existingErrors = document.querySelectorAll('.error-message');
     existingErrors.forEach(error => error.remove());
@@ -676,3 +838,91 @@ export function toggleCompatibilityFilter(stationListElement, favorites = [], cu
 export function isCompatibilityFilterActive() {
     return showOnlyCompatible;
 }
+
+/**
+ * Open a modal dialog on top of the player
+ * @param {string} title - Dialog heading
+ * @param {string} bodyHtml - Markup for the dialog body
+ * @param {Object} options - Optional dialog id and close callback
+ * @returns {Object} - The dialog and body elements plus a close function
+ */
+export function openModal(title, bodyHtml, { id = '', onClose = null } = {}) {
+    const previouslyFocused = document.activeElement;
+    const titleId = `modal-title-${Date.now()}`;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay fixed inset-0 bg-slate-900/50 backdrop-blur-sm flex items-center justify-center p-4 z-50';
+    if (id) {
+        overlay.id = id;
+    }
+    overlay.innerHTML = `
+        <div class="modal-dialog w-full max-w-lg max-h-[90vh] flex flex-col bg-white/90 dark:bg-slate-800/95 border border-white/20 dark:border-slate-700/50 rounded-2xl shadow-2xl" role="dialog" aria-modal="true" aria-labelledby="${titleId}">
+            <div class="flex items-center justify-between p-4 border-b border-slate-200/50 dark:border-slate-700/50">
+                <h2 id="${titleId}" class="text-lg font-semibold text-slate-900 dark:text-white">${escapeHtml(title)}</h2>
+                <button class="modal-close p-2 rounded-lg text-slate-500 hover:text-slate-700 dark:hover:text-slate-200 transition-colors" aria-label="Close dialog">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+            <div class="modal-body p-4 overflow-y-auto custom-scrollbar">
+                ${bodyHtml}
+            </div>
+        </div>
+    `;
+
+    const close = () => {
+        if (!overlay.parentNode) return;
+        overlay.remove();
+        if (onClose) {
+            onClose();
+        }
+        if (previouslyFocused && typeof previouslyFocused.focus === 'function') {
+            previouslyFocused.focus();
+        }
+    };
+
+    overlay.querySelector('.modal-close').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            close();
+        }
+    });
+
+    // Keep the global keyboard shortcuts from reacting while the dialog is open
+    overlay.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+        }
+    });
+
+    document.body.appendChild(overlay);
+
+    const firstField = overlay.querySelector('.modal-body input, .modal-body select, .modal-body textarea, .modal-body button');
+    (firstField || overlay.querySelector('.modal-close')).focus();
+
+    return {
+        element: overlay,
+        body: overlay.querySelector('.modal-body'),
+        close
+    };
+}
+
+/**
+ * Offer a blob to the user as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
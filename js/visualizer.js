@@ -2,12 +2,19 @@
 import { CanvasVisualizer } from './canvas-visualizer.js';
 import { ERROR_MESSAGES } from './config.js';
 import { getCurrentQuality, getQualitySettings } from './performance.js';
+import { playbackState, PLAYBACK_STATES, PLAYBACK_EVENTS } from './playback-state.js';
 
 let canvasVisualizer = null;
 let visualizerInitialized = false;
 let currentContainer = null;
 let errorCallback = null;
 let qualitySettings = null;
+let isPlaying = playbackState.getState() === PLAYBACK_STATES.PLAYING;
+
+// Bars move only while audio plays; otherwise the static pattern shows
+playbackState.on(PLAYBACK_EVENTS.STATE_CHANGE, ({ state }) => {
+    isPlaying = state === PLAYBACK_STATES.PLAYING;
+});
 
 export function initVisualizer(container, audioContext, analyser) {
     console.log('Initializing 2D Canvas visualizer...');
@@ -82,13 +89,13 @@ export function setupVisualization(vizType, analyser) {
     console.log('2D Canvas visualization ready for type:', vizType);
 }
 
-export function animate(analyser, currentViz, isPlaying) {
+export function animate(analyser, currentViz) {
     if (!visualizerInitialized || !canvasVisualizer) {
         return;
     }
 
     // Continue the animation loop
-    requestAnimationFrame(() => animate(analyser, currentViz, isPlaying));
+    requestAnimationFrame(() => animate(analyser, currentViz));
 
     try {
         canvasVisualizer.animate(analyser, currentViz, isPlaying);
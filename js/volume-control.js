@@ -1,5 +1,7 @@
 // Volume control functionality for the Radio Player
 import { memoryManager } from './memory-manager.js';
+import { getAudioElement } from './player.js';
+import { playbackState, PLAYBACK_STATES, PLAYBACK_EVENTS } from './playback-state.js';
 
 class VolumeController {
     constructor() {
@@ -36,6 +38,13 @@ class VolumeController {
         // Set up keyboard shortcuts
         this.setupKeyboardShortcuts();
 
+        // A crossfade moves the station to the other audio deck - follow it when it starts playing
+        playbackState.on(PLAYBACK_EVENTS.STATE_CHANGE, ({ state }) => {
+            if (state === PLAYBACK_STATES.PLAYING && this.audioElement) {
+                this.audioElement = getAudioElement();
+            }
+        });
+
         this.isInitialized = true;
         console.log('Volume controller initialized');
     }
@@ -0,0 +1,375 @@
+// Ogg and FLAC in-stream metadata - reads Vorbis comments (ARTIST/TITLE) from Ogg pages and FLAC metadata blocks
+import { APP_CONFIG } from './config.js';
+
+export const OGG_CAPTURE_PATTERN = [0x4F, 0x67, 0x67, 0x53]; // "OggS"
+export const FLAC_MARKER = [0x66, 0x4C, 0x61, 0x43]; // "fLaC"
+const FLAC_VORBIS_COMMENT_BLOCK = 4;
+
+// Header packets are the only ones that can carry comments; later audio packets are skipped
+const MAX_HEADER_PACKETS = 8;
+
+/**
+ * Parse a Vorbis comment structure (vendor string plus KEY=value list)
+ * @param {Uint8Array} bytes - Comment data, starting at the vendor length
+ * @returns {Object} - Comments with upper-case keys; repeated keys are joined with ", "
+ */
+export function parseVorbisComment(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder('utf-8');
+    const comments = {};
+
+    let offset = 0;
+    const vendorLength = view.getUint32(offset, true);
+    offset += 4 + vendorLength;
+
+    const count = view.getUint32(offset, true);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = view.getUint32(offset, true);
+        offset += 4;
+        if (offset + length > bytes.length) break;
+
+        const entry = decoder.decode(bytes.subarray(offset, offset + length));
+        offset += length;
+
+        const separator = entry.indexOf('=');
+        if (separator < 1) continue;
+
+        const key = entry.slice(0, separator).toUpperCase();
+        const value = entry.slice(separator + 1).trim();
+        comments[key] = comments[key] ? `${comments[key]}, ${value}` : value;
+    }
+
+    return comments;
+}
+
+/**
+ * Build a display title from Vorbis comments
+ * @param {Object} comments - Parsed comments
+ * @returns {string} - "ARTIST - TITLE", or whichever of the two is present
+ */
+export function formatCommentTitle(comments) {
+    return [comments.ARTIST, comments.TITLE].filter(Boolean).join(' - ');
+}
+
+/**
+ * Identify the codec of an Ogg logical stream from its first packet
+ * @param {Uint8Array} packet - First packet of the logical stream
+ * @returns {string|null} - 'vorbis', 'opus', 'flac' or null
+ */
+function detectOggCodec(packet) {
+    if (packet[0] === 0x01 && matchesAscii(packet, 1, 'vorbis')) return 'vorbis';
+    if (matchesAscii(packet, 0, 'OpusHead')) return 'opus';
+    if (packet[0] === 0x7F && matchesAscii(packet, 1, 'FLAC')) return 'flac';
+    return null;
+}
+
+/**
+ * Find the Vorbis comment data inside an Ogg header packet, if it is a comment packet
+ * @param {Uint8Array} packet - Complete Ogg packet
+ * @param {string} codec - Codec of the logical stream
+ * @returns {Uint8Array|null} - Comment data, or null for other packets
+ */
+function getCommentData(packet, codec) {
+    if (codec === 'vorbis' && packet.length > 7 && packet[0] === 0x03 && matchesAscii(packet, 1, 'vorbis')) {
+        return packet.subarray(7);
+    }
+    if (codec === 'opus' && packet.length > 8 && matchesAscii(packet, 0, 'OpusTags')) {
+        return packet.subarray(8);
+    }
+    // Ogg FLAC: after the mapping packet, each header packet is one metadata block
+    if (codec === 'flac' && packet.length > 4 && (packet[0] & 0x7F) === FLAC_VORBIS_COMMENT_BLOCK) {
+        return packet.subarray(4);
+    }
+    return null;
+}
+
+/**
+ * Check for ASCII text at an offset in a byte array
+ * @param {Uint8Array} bytes - Bytes to check
+ * @param {number} offset - Where the text should start
+ * @param {string} text - ASCII text, e.g. 'OggS'
+ * @returns {boolean} - True if the bytes spell the text there
+ */
+export function matchesAscii(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+/**
+ * Check for a byte pattern at an offset
+ * @param {Uint8Array} bytes - Bytes to check
+ * @param {Array<number>} pattern - Expected bytes, e.g. OGG_CAPTURE_PATTERN
+ * @param {number} [offset] - Where the pattern should start
+ * @returns {boolean} - True if the bytes match there
+ */
+export function startsWith(bytes, pattern, offset = 0) {
+    return pattern.every((value, index) => bytes[offset + index] === value);
+}
+
+/**
+ * Join two byte arrays
+ * @param {Uint8Array} first - Leading bytes
+ * @param {Uint8Array} second - Trailing bytes
+ * @returns {Uint8Array} - New array holding both
+ */
+export function concatBytes(first, second) {
+    const bytes = new Uint8Array(first.length + second.length);
+    bytes.set(first, 0);
+    bytes.set(second, first.length);
+    return bytes;
+}
+
+/**
+ * Reads titles from an Ogg (Vorbis, Opus, FLAC) or native FLAC stream.
+ * Ogg stations start a new chained logical stream for every track, each with fresh
+ * comment headers, so the reader keeps following the stream; native FLAC only has
+ * comments at the start, so the reader stops once they have been read.
+ * start() reads over a connection of its own; push() takes bytes read by someone else.
+ */
+export class VorbisMetadataReader {
+    constructor(url, onMetadata) {
+        this.url = url;
+        this.onMetadata = onMetadata;
+        this.controller = new AbortController();
+        this.buffer = new Uint8Array(0);
+        this.container = null; // 'ogg' or 'flac'
+        this.streams = new Map(); // Ogg serial number -> { packetIndex, codec, pending }
+        this.lastTitle = null;
+        this.lastMetadata = null;
+        this.stopped = false;
+    }
+
+    /**
+     * Start reading the stream in the background
+     * @returns {Promise} - Resolves when the connection is open, rejects if the stream cannot be fetched
+     */
+    async start() {
+        const timeoutId = setTimeout(() => this.controller.abort(), APP_CONFIG.AUDIO.ICY_CONNECT_TIMEOUT);
+        let response;
+        try {
+            response = await fetch(this.url, { signal: this.controller.signal, cache: 'no-store' });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!response.ok || !response.body) {
+            throw new Error(`HTTP ${response.status} opening metadata stream`);
+        }
+
+        const reader = response.body.getReader();
+        this.readLoop(reader).catch(error => {
+            if (!this.stopped) {
+                console.warn('⚠️ Ogg/FLAC metadata stream ended:', error);
+            }
+        });
+    }
+
+    stop() {
+        this.stopped = true;
+        this.onMetadata = null;
+        this.controller.abort();
+    }
+
+    async readLoop(reader) {
+        while (!this.stopped) {
+            const { done, value } = await reader.read();
+            if (done) return;
+
+            if (this.push(value)) {
+                // Native FLAC has no further metadata - no need to keep the connection open
+                reader.cancel().catch(() => {});
+                return;
+            }
+        }
+        reader.cancel().catch(() => {});
+    }
+
+    /**
+     * Parse the next bytes of the stream
+     * @param {Uint8Array} chunk - Stream bytes in arrival order
+     * @returns {boolean} - True once no more metadata can follow (native FLAC after its metadata blocks)
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length ? concatBytes(this.buffer, chunk) : chunk;
+
+        if (!this.container) {
+            if (this.buffer.length < 4) return false;
+            this.container = startsWith(this.buffer, FLAC_MARKER) ? 'flac' : 'ogg';
+            console.log(`🏷️ Reading ${this.container === 'flac' ? 'FLAC' : 'Ogg'} metadata from ${this.url}`);
+        }
+
+        if (this.container === 'flac') {
+            if (!this.parseFlacMetadata()) return false;
+            this.buffer = new Uint8Array(0);
+            return true;
+        }
+
+        this.parseOggPages();
+        return false;
+    }
+
+    /**
+     * Parse native FLAC metadata blocks from the start of the stream
+     * @returns {boolean} - True once the last metadata block has been read
+     */
+    parseFlacMetadata() {
+        let offset = 4;
+        while (offset + 4 <= this.buffer.length) {
+            const isLast = (this.buffer[offset] & 0x80) !== 0;
+            const blockType = this.buffer[offset] & 0x7F;
+            const length = (this.buffer[offset + 1] << 16) | (this.buffer[offset + 2] << 8) | this.buffer[offset + 3];
+
+            if (offset + 4 + length > this.buffer.length) {
+                return false; // wait for the rest of the block
+            }
+
+            if (blockType === FLAC_VORBIS_COMMENT_BLOCK) {
+                this.emitComments(parseVorbisComment(this.buffer.subarray(offset + 4, offset + 4 + length)));
+            }
+
+            offset += 4 + length;
+            if (isLast) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    parseOggPages() {
+        let offset = 0;
+
+        while (offset + 27 <= this.buffer.length) {
+            if (!startsWith(this.buffer, OGG_CAPTURE_PATTERN, offset)) {
+                // Lost sync - skip to the next capture pattern
+                offset++;
+                continue;
+            }
+
+            const headerType = this.buffer[offset + 5];
+            const serial = new DataView(this.buffer.buffer, this.buffer.byteOffset + offset + 14, 4).getUint32(0, true);
+            const segmentCount = this.buffer[offset + 26];
+            const headerLength = 27 + segmentCount;
+            if (offset + headerLength > this.buffer.length) break;
+
+            const lacing = this.buffer.subarray(offset + 27, offset + headerLength);
+            const bodyLength = lacing.reduce((sum, value) => sum + value, 0);
+            if (offset + headerLength + bodyLength > this.buffer.length) break;
+
+            this.handleOggPage(serial, headerType, lacing, this.buffer.subarray(offset + headerLength, offset + headerLength + bodyLength));
+            offset += headerLength + bodyLength;
+        }
+
+        // Keep only the unparsed tail (copied so the consumed bytes can be released)
+        this.buffer = this.buffer.slice(offset);
+    }
+
+    handleOggPage(serial, headerType, lacing, body) {
+        // Beginning-of-stream flag: a new chained stream (usually a new track) starts here
+        if ((headerType & 0x02) || !this.streams.has(serial)) {
+            this.streams.set(serial, { packetIndex: 0, codec: null, pending: null });
+        }
+
+        const stream = this.streams.get(serial);
+        if (stream.packetIndex >= MAX_HEADER_PACKETS) {
+            return;
+        }
+
+        let position = 0;
+        let packetStart = 0;
+        lacing.forEach(segmentLength => {
+            position += segmentLength;
+            if (segmentLength === 255) return; // packet continues in the next segment
+
+            const part = body.subarray(packetStart, position);
+            const packet = stream.pending ? concatBytes(stream.pending, part) : part;
+            stream.pending = null;
+            packetStart = position;
+
+            this.handleOggPacket(stream, packet);
+        });
+
+        // A packet that continues on the next page
+        if (packetStart < body.length && stream.packetIndex < MAX_HEADER_PACKETS) {
+            const part = body.slice(packetStart);
+            stream.pending = stream.pending ? concatBytes(stream.pending, part) : part;
+        }
+    }
+
+    handleOggPacket(stream, packet) {
+        if (stream.packetIndex >= MAX_HEADER_PACKETS) return;
+        if (stream.packetIndex++ === 0) {
+            stream.codec = detectOggCodec(packet);
+            return;
+        }
+
+        const commentData = getCommentData(packet, stream.codec);
+        if (commentData) {
+            try {
+                this.emitComments(parseVorbisComment(commentData));
+            } catch (error) {
+                console.warn('⚠️ Could not parse Vorbis comment header:', error);
+            }
+        }
+    }
+
+    emitComments(comments) {
+        const title = formatCommentTitle(comments);
+        if (!title || title === this.lastTitle) return;
+
+        this.lastTitle = title;
+        this.lastMetadata = { StreamTitle: title, ...comments };
+        if (this.onMetadata) {
+            this.onMetadata(this.lastMetadata);
+        }
+    }
+}
+
+/**
+ * Reader over an Ogg/FLAC response body that passes the audio through unchanged and reports
+ * Vorbis comments through onMetadata, like IcyStreamReader - titles come from the playback
+ * connection instead of a second one. read() resolves { done, value } like a fetch reader.
+ */
+export class VorbisCommentStreamReader {
+    /**
+     * @param {ReadableStreamDefaultReader} reader - Reader of the response body
+     * @param {string} url - Stream URL, for logs
+     */
+    constructor(reader, url) {
+        this.reader = reader;
+        this.parser = new VorbisMetadataReader(url, (metadata) => {
+            if (this.onMetadata) {
+                this.onMetadata(metadata);
+            }
+        });
+        this.parsing = true;
+        this.onMetadata = null;
+    }
+
+    get lastMetadata() {
+        return this.parser.lastMetadata;
+    }
+
+    async read() {
+        const result = await this.reader.read();
+        if (!result.done && this.parsing) {
+            try {
+                this.parsing = !this.parser.push(result.value);
+            } catch (error) {
+                // Titles are optional - the audio keeps flowing
+                console.warn('⚠️ Ogg/FLAC metadata parsing stopped:', error);
+                this.parsing = false;
+            }
+        }
+        return result;
+    }
+
+    cancel() {
+        this.onMetadata = null;
+        this.parsing = false;
+        return this.reader.cancel().catch(() => {});
+    }
+}
@@ -0,0 +1,215 @@
+// WebAudio playback - decodes FLAC/Opus/Vorbis in JavaScript for browsers whose MediaSource cannot play them
+import { APP_CONFIG } from './config.js';
+import { loadCodecModules, getIcecastMetadataPlayer } from './codec-manager.js';
+import { formatCommentTitle } from './vorbis-metadata.js';
+
+const WEBAUDIO_CONFIG = APP_CONFIG.AUDIO.WEBAUDIO;
+const WORKLET_URL = 'js/pcm-player-worklet.js';
+const WEBAUDIO_CODECS = ['flac', 'opus', 'vorbis'];
+
+// AudioContext -> promise of the worklet module being added
+const workletModules = new WeakMap();
+
+/**
+ * Whether a codec can be decoded in JavaScript in this browser
+ * @param {string} codec - Codec from getBestCodec
+ * @returns {boolean}
+ */
+export function canPlayWithWebAudio(codec) {
+    return WEBAUDIO_CODECS.includes(codec) &&
+        typeof AudioWorkletNode !== 'undefined' &&
+        typeof WebAssembly !== 'undefined' &&
+        getIcecastMetadataPlayer() !== null;
+}
+
+function loadWorklet(audioContext) {
+    if (!workletModules.has(audioContext)) {
+        const loading = audioContext.audioWorklet.addModule(WORKLET_URL);
+        // A failed load may be retried with the next stream
+        loading.catch(() => workletModules.delete(audioContext));
+        workletModules.set(audioContext, loading);
+    }
+    return workletModules.get(audioContext);
+}
+
+/**
+ * A stream decoded by IcecastMetadataPlayer's WASM decoders (in a web worker) and played by an AudioWorklet
+ * The worklet writes into a MediaStream that a deck plays like any other source, so the deck's
+ * audio graph, volume, pause and media events all apply. The player's own output goes to a
+ * muted element of its own. Titles arrive from the same connection, through onMetadata.
+ * Stream readers are cancelled with cancel(), like fetch readers and HlsSession.
+ */
+export class WebAudioStream {
+    /**
+     * @param {string} url - Stream URL
+     * @param {string} codec - 'flac', 'opus' or 'vorbis'
+     * @param {AudioContext} audioContext - Context of the decks' audio graph
+     */
+    constructor(url, codec, audioContext) {
+        this.url = url;
+        this.codec = codec;
+        this.audioContext = audioContext;
+        this.decoder = null;
+        this.node = null;
+        this.destination = null;
+        this.element = null; // Deck playing the MediaStream once attached
+        this.decodedSeconds = 0;
+        this.playedSeconds = 0; // Audio the worklet has played - unlike currentTime, stops when the stream does
+        this.bufferedSeconds = 0;
+        this.waiting = false;
+        this.cancelled = false;
+        this.lastMetadata = null;
+        this.onMetadata = null;
+        this.onWaiting = null; // Called with true when the decoded audio runs out, false once it refills
+        this.onPrebuffered = null; // Settle open() - set while it waits for the first audio
+        this.onDecoderError = null;
+        this.onBytes = null; // Called with the stream's bytes as they arrive, ICY metadata removed
+    }
+
+    /**
+     * Connect and decode until PREBUFFER_SECONDS of audio are ready, then play it on a deck
+     * @param {HTMLAudioElement} element - Deck to play on; its srcObject is set
+     * @returns {Promise} - Rejects when the decoder fails or no audio arrives in CONNECT_TIMEOUT
+     */
+    async open(element) {
+        const modules = await loadCodecModules(['common', this.codec]);
+        if (!modules.common || !modules[this.codec]) {
+            throw new Error(`WebAudio ${this.codec} decoder could not be loaded`);
+        }
+
+        await loadWorklet(this.audioContext);
+        if (this.cancelled) throw new Error('WebAudio stream cancelled');
+
+        this.node = new AudioWorkletNode(this.audioContext, 'pcm-player', {
+            numberOfInputs: 0,
+            outputChannelCount: [2],
+            processorOptions: {
+                prebufferSeconds: WEBAUDIO_CONFIG.PREBUFFER_SECONDS,
+                maxBufferSeconds: WEBAUDIO_CONFIG.MAX_BUFFER_SECONDS
+            }
+        });
+        this.node.port.onmessage = ({ data }) => this.handleWorkletMessage(data);
+        this.destination = this.audioContext.createMediaStreamDestination();
+        this.node.connect(this.destination);
+
+        await new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                reject(new Error(`No ${this.codec} audio decoded within ${WEBAUDIO_CONFIG.CONNECT_TIMEOUT / 1000}s`));
+            }, WEBAUDIO_CONFIG.CONNECT_TIMEOUT);
+            this.onPrebuffered = () => {
+                clearTimeout(timeoutId);
+                resolve();
+            };
+            this.onDecoderError = (error) => {
+                clearTimeout(timeoutId);
+                reject(error);
+            };
+
+            this.startDecoder();
+        });
+
+        this.onPrebuffered = null;
+        this.onDecoderError = null;
+        this.element = element;
+        element.srcObject = this.destination.stream;
+    }
+
+    startDecoder() {
+        const Player = getIcecastMetadataPlayer();
+        const silentElement = new Audio();
+        silentElement.muted = true;
+
+        this.decoder = new Player(this.url, {
+            playbackMethod: 'webaudio',
+            audioElement: silentElement,
+            metadataTypes: ['icy', 'ogg'],
+            retryTimeout: 0, // Reconnects are the stall watchdog's job
+            onStream: (data) => this.handleDecodedAudio(data),
+            onMetadata: (metadata) => this.handleMetadata(metadata),
+            onError: (message, error) => {
+                console.warn(`🔊 WebAudio ${this.codec} decoder error:`, message, error || '');
+                if (this.onDecoderError) {
+                    this.onDecoderError(error instanceof Error ? error : new Error(message));
+                }
+            }
+        });
+
+        this.decoder.play().catch(error => {
+            if (this.onDecoderError) {
+                this.onDecoderError(error);
+            }
+        });
+    }
+
+    handleDecodedAudio(data) {
+        if (this.cancelled || !data) return;
+        // The player also reports raw stream bytes through onStream - only decoded audio has channelData
+        if (data instanceof Uint8Array) {
+            if (this.onBytes) {
+                this.onBytes(data);
+            }
+            return;
+        }
+        if (!data.channelData || !data.samplesDecoded) return;
+
+        const { channelData, samplesDecoded, sampleRate } = data;
+        const channels = channelData.map(channel => channel.slice(0, samplesDecoded));
+        this.node.port.postMessage({ type: 'pcm', channelData: channels, sampleRate }, channels.map(channel => channel.buffer));
+
+        this.decodedSeconds += samplesDecoded / sampleRate;
+        if (this.onPrebuffered && this.decodedSeconds >= WEBAUDIO_CONFIG.PREBUFFER_SECONDS) {
+            this.onPrebuffered();
+        }
+    }
+
+    handleMetadata(metadata) {
+        // Ogg streams carry Vorbis comments rather than an ICY StreamTitle
+        const title = metadata.StreamTitle || formatCommentTitle(metadata);
+        if (!title) return;
+
+        this.lastMetadata = { ...metadata, StreamTitle: title };
+        if (this.onMetadata) {
+            this.onMetadata(this.lastMetadata);
+        }
+    }
+
+    handleWorkletMessage(message) {
+        if (message.type === 'progress') {
+            this.playedSeconds = message.playedSeconds;
+            this.bufferedSeconds = message.bufferedSeconds;
+        } else if (message.type === 'waiting' && message.waiting !== this.waiting) {
+            this.waiting = message.waiting;
+            if (this.onWaiting) {
+                this.onWaiting(message.waiting);
+            }
+        }
+    }
+
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+
+        // An open() still waiting for audio fails now rather than at its timeout
+        const rejectOpen = this.onDecoderError;
+        this.onMetadata = null;
+        this.onWaiting = null;
+        this.onPrebuffered = null;
+        this.onDecoderError = null;
+        this.onBytes = null;
+        if (rejectOpen) {
+            rejectOpen(new Error('WebAudio stream cancelled'));
+        }
+
+        if (this.decoder) {
+            // Also stops the player
+            this.decoder.detachAudioElement().catch(() => {});
+        }
+        if (this.node) {
+            this.node.port.postMessage({ type: 'stop' });
+            this.node.disconnect();
+        }
+        if (this.element && this.element.srcObject === this.destination.stream) {
+            this.element.srcObject = null;
+        }
+    }
+}